@@ -0,0 +1,331 @@
+const { BadRequestError } = require('./error');
+
+const matrixOrder = "ARNDCQEGHILKMFPSTWYV";
+
+// Rows and columns follow matrixOrder
+const matrixTables = {
+    BLOSUM62: `
+         4 -1 -2 -2  0 -1 -1  0 -2 -1 -1 -1 -1 -2 -1  1  0 -3 -2  0
+        -1  5  0 -2 -3  1  0 -2  0 -3 -2  2 -1 -3 -2 -1 -1 -3 -2 -3
+        -2  0  6  1 -3  0  0  0  1 -3 -3  0 -2 -3 -2  1  0 -4 -2 -3
+        -2 -2  1  6 -3  0  2 -1 -1 -3 -4 -1 -3 -3 -1  0 -1 -4 -3 -3
+         0 -3 -3 -3  9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1
+        -1  1  0  0 -3  5  2 -2  0 -3 -2  1  0 -3 -1  0 -1 -2 -1 -2
+        -1  0  0  2 -4  2  5 -2  0 -3 -3  1 -2 -3 -1  0 -1 -3 -2 -2
+         0 -2  0 -1 -3 -2 -2  6 -2 -4 -4 -2 -3 -3 -2  0 -2 -2 -3 -3
+        -2  0  1 -1 -3  0  0 -2  8 -3 -3 -1 -2 -1 -2 -1 -2 -2  2 -3
+        -1 -3 -3 -3 -1 -3 -3 -4 -3  4  2 -3  1  0 -3 -2 -1 -3 -1  3
+        -1 -2 -3 -4 -1 -2 -3 -4 -3  2  4 -2  2  0 -3 -2 -1 -2 -1  1
+        -1  2  0 -1 -3  1  1 -2 -1 -3 -2  5 -1 -3 -1  0 -1 -3 -2 -2
+        -1 -1 -2 -3 -1  0 -2 -3 -2  1  2 -1  5  0 -2 -1 -1 -1 -1  1
+        -2 -3 -3 -3 -2 -3 -3 -3 -1  0  0 -3  0  6 -4 -2 -2  1  3 -1
+        -1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4  7 -1 -1 -4 -3 -2
+         1 -1  1  0 -1  0  0  0 -1 -2 -2  0 -1 -2 -1  4  1 -3 -2 -2
+         0 -1  0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1  1  5 -2 -2  0
+        -3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1  1 -4 -3 -2 11  2 -3
+        -2 -2 -2 -3 -2 -1 -2 -3  2 -1 -1 -2 -1  3 -3 -2 -2  2  7 -1
+         0 -3 -3 -3 -1 -2 -2 -3 -3  3  1 -2  1 -1 -2 -2  0 -3 -1  4`,
+    PAM250: `
+         2 -2  0  0 -2  0  0  1 -1 -1 -2 -1 -1 -3  1  1  1 -6 -3  0
+        -2  6  0 -1 -4  1 -1 -3  2 -2 -3  3  0 -4  0  0 -1  2 -4 -2
+         0  0  2  2 -4  1  1  0  2 -2 -3  1 -2 -3  0  1  0 -4 -2 -2
+         0 -1  2  4 -5  2  3  1  1 -2 -4  0 -3 -6 -1  0  0 -7 -4 -2
+        -2 -4 -4 -5 12 -5 -5 -3 -3 -2 -6 -5 -5 -4 -3  0 -2 -8  0 -2
+         0  1  1  2 -5  4  2 -1  3 -2 -2  1 -1 -5  0 -1 -1 -5 -4 -2
+         0 -1  1  3 -5  2  4  0  1 -2 -3  0 -2 -5 -1  0  0 -7 -4 -2
+         1 -3  0  1 -3 -1  0  5 -2 -3 -4 -2 -3 -5  0  1  0 -7 -5 -1
+        -1  2  2  1 -3  3  1 -2  6 -2 -2  0 -2 -2  0 -1 -1 -3  0 -2
+        -1 -2 -2 -2 -2 -2 -2 -3 -2  5  2 -2  2  1 -2 -1  0 -5 -1  4
+        -2 -3 -3 -4 -6 -2 -3 -4 -2  2  6 -3  4  2 -3 -3 -2 -2 -1  2
+        -1  3  1  0 -5  1  0 -2  0 -2 -3  5  0 -5 -1  0  0 -3 -4 -2
+        -1  0 -2 -3 -5 -1 -2 -3 -2  2  4  0  6  0 -2 -2 -1 -4 -2  2
+        -3 -4 -3 -6 -4 -5 -5 -5 -2  1  2 -5  0  9 -5 -3 -3  0  7 -1
+         1  0  0 -1 -3  0 -1  0  0 -2 -3 -1 -2 -5  6  1  0 -6 -5 -1
+         1  0  1  0  0 -1  0  1 -1 -1 -3  0 -2 -3  1  2  1 -2 -3 -1
+         1 -1  0  0 -2 -1  0  0 -1  0 -2  0 -1 -3  0  1  3 -5 -3  0
+        -6  2 -4 -7 -8 -5 -7 -7 -3 -5 -2 -3 -4  0 -6 -2 -5 17  0 -6
+        -3 -4 -2 -4  0 -4 -4 -5  0 -1 -1 -4 -2  7 -5 -3 -3  0 10 -2
+         0 -2 -2 -2 -2 -2 -2 -1 -2  4  2 -2  2 -1 -1 -1  0 -6 -2  4`
+};
+
+// Parse the tables into { A: { A: 4, R: -1, ... }, ... }
+const substitutionMatrices = {};
+for(const [name, table] of Object.entries(matrixTables)) {
+    const rows = table.trim().split("\n").map(row => row.trim().split(/\s+/).map(Number));
+    substitutionMatrices[name] = {};
+    for(let i = 0; i < matrixOrder.length; i++) {
+        substitutionMatrices[name][matrixOrder[i]] = {};
+        for(let j = 0; j < matrixOrder.length; j++) {
+            substitutionMatrices[name][matrixOrder[i]][matrixOrder[j]] = rows[i][j];
+        }
+    }
+}
+
+// Traceback states
+const FROM_MATCH = 0;
+const FROM_GAP_A = 1;
+const FROM_GAP_B = 2;
+const FROM_START = 3;
+
+// Needleman-Wunsch (global) or Smith-Waterman (local) with affine gaps (Gotoh).
+// A gap of length L costs gapOpen + (L - 1) * gapExtend.
+function alignSequences(a, b, { mode = 'global', matrix = 'BLOSUM62', gapOpen = 10, gapExtend = 0.5 } = {}) {
+    if(mode !== 'global' && mode !== 'local') throw new BadRequestError("[Align Error] Invalid mode, expected 'global' or 'local'");
+    if(!(matrix in substitutionMatrices)) throw new BadRequestError(`[Align Error] Invalid matrix, expected one of ${Object.keys(substitutionMatrices).join(", ")}`);
+    if(!Number.isFinite(gapOpen) || !Number.isFinite(gapExtend) || gapOpen < 0 || gapExtend < 0 || gapExtend > gapOpen) {
+        throw new BadRequestError("[Align Error] Invalid gap penalties, expected 0 <= gapExtend <= gapOpen");
+    }
+
+    const scores = substitutionMatrices[matrix];
+    const local = mode === 'local';
+    const n = a.length;
+    const m = b.length;
+    const width = m + 1;
+    const size = (n + 1) * width;
+
+    // M: a[i] aligned to b[j], X: a[i] aligned to a gap, Y: b[j] aligned to a gap
+    const M = new Float32Array(size).fill(-Infinity);
+    const X = new Float32Array(size).fill(-Infinity);
+    const Y = new Float32Array(size).fill(-Infinity);
+    const traceM = new Uint8Array(size);
+    const traceX = new Uint8Array(size);
+    const traceY = new Uint8Array(size);
+
+    // Local alignments may start anywhere, so the border only seeds global ones
+    M[0] = 0;
+    if(!local) {
+        for(let i = 1; i <= n; i++) {
+            X[i * width] = -gapOpen - (i - 1) * gapExtend;
+            traceX[i * width] = i === 1 ? FROM_MATCH : FROM_GAP_A;
+        }
+        for(let j = 1; j <= m; j++) {
+            Y[j] = -gapOpen - (j - 1) * gapExtend;
+            traceY[j] = j === 1 ? FROM_MATCH : FROM_GAP_B;
+        }
+    }
+
+    let bestScore = local ? 0 : -Infinity;
+    let bestIndex = local ? 0 : size - 1;
+
+    for(let i = 1; i <= n; i++) {
+        const row = scores[a[i - 1]];
+        for(let j = 1; j <= m; j++) {
+            const index = i * width + j;
+
+            const diagonal = index - width - 1;
+            let best = M[diagonal];
+            let from = FROM_MATCH;
+            if(X[diagonal] > best) { best = X[diagonal]; from = FROM_GAP_A; }
+            if(Y[diagonal] > best) { best = Y[diagonal]; from = FROM_GAP_B; }
+            if(local && !(best > 0)) { best = 0; from = FROM_START; }
+            M[index] = best + row[b[j - 1]];
+            traceM[index] = from;
+
+            const up = index - width;
+            let gapA = M[up] - gapOpen;
+            let fromA = FROM_MATCH;
+            if(X[up] - gapExtend > gapA) { gapA = X[up] - gapExtend; fromA = FROM_GAP_A; }
+            if(Y[up] - gapOpen > gapA) { gapA = Y[up] - gapOpen; fromA = FROM_GAP_B; }
+            X[index] = gapA;
+            traceX[index] = fromA;
+
+            const left = index - 1;
+            let gapB = M[left] - gapOpen;
+            let fromB = FROM_MATCH;
+            if(Y[left] - gapExtend > gapB) { gapB = Y[left] - gapExtend; fromB = FROM_GAP_B; }
+            if(X[left] - gapOpen > gapB) { gapB = X[left] - gapOpen; fromB = FROM_GAP_A; }
+            Y[index] = gapB;
+            traceY[index] = fromB;
+
+            if(local && M[index] > bestScore) {
+                bestScore = M[index];
+                bestIndex = index;
+            }
+        }
+    }
+
+    // Global alignments may end in any state, local ones always end on a match
+    let state = FROM_MATCH;
+    if(!local) {
+        bestScore = M[bestIndex];
+        if(X[bestIndex] > bestScore) { bestScore = X[bestIndex]; state = FROM_GAP_A; }
+        if(Y[bestIndex] > bestScore) { bestScore = Y[bestIndex]; state = FROM_GAP_B; }
+    }
+
+    let alignedA = "";
+    let alignedB = "";
+    let i = Math.floor(bestIndex / width);
+    let j = bestIndex % width;
+    const endA = i;
+    const endB = j;
+
+    while((i > 0 || j > 0) && !(local && bestScore <= 0)) {
+        const index = i * width + j;
+        if(state === FROM_MATCH) {
+            const previous = traceM[index];
+            alignedA = a[i - 1] + alignedA;
+            alignedB = b[j - 1] + alignedB;
+            i--;
+            j--;
+            if(previous === FROM_START) break;
+            state = previous;
+        }
+        else if(state === FROM_GAP_A) {
+            alignedA = a[i - 1] + alignedA;
+            alignedB = "-" + alignedB;
+            state = traceX[index];
+            i--;
+        }
+        else {
+            alignedA = "-" + alignedA;
+            alignedB = b[j - 1] + alignedB;
+            state = traceY[index];
+            j--;
+        }
+    }
+
+    return summarizeAlignment(alignedA, alignedB, scores, {
+        mode, matrix, gapOpen, gapExtend,
+        score: bestScore,
+        startA: i, endA, startB: j, endB
+    });
+}
+
+// Column statistics and the match line ('|' identical, ':' positive score, ' ' otherwise)
+function summarizeAlignment(alignedA, alignedB, scores, info) {
+    let identical = 0;
+    let similar = 0;
+    let gaps = 0;
+    let gapOpenings = 0;
+    let matchLine = "";
+
+    for(let k = 0; k < alignedA.length; k++) {
+        const x = alignedA[k];
+        const y = alignedB[k];
+        if(x === "-" || y === "-") {
+            gaps++;
+            const previousGap = k > 0 && (x === "-" ? alignedA[k - 1] === "-" : alignedB[k - 1] === "-");
+            if(!previousGap) gapOpenings++;
+            matchLine += " ";
+        }
+        else if(x === y) {
+            identical++;
+            similar++;
+            matchLine += "|";
+        }
+        else if(scores[x][y] > 0) {
+            similar++;
+            matchLine += ":";
+        }
+        else {
+            matchLine += " ";
+        }
+    }
+
+    const length = alignedA.length;
+    const percent = count => length > 0 ? count / length * 100 : 0;
+
+    return {
+        mode: info.mode,
+        matrix: info.matrix,
+        gapOpen: info.gapOpen,
+        gapExtend: info.gapExtend,
+        score: info.score,
+        length,
+        identity: { count: identical, percent: percent(identical) },
+        similarity: { count: similar, percent: percent(similar) },
+        gaps: { count: gaps, percent: percent(gaps), openings: gapOpenings },
+        a: { start: info.startA + 1, end: info.endA, aligned: alignedA },
+        b: { start: info.startB + 1, end: info.endB, aligned: alignedB },
+        matchLine
+    };
+}
+
+// EMBOSS-like text rendering in blocks of `width` columns with residue positions
+function formatAlignmentText(alignment, labelA = "A", labelB = "B", width = 60) {
+    const label = Math.max(labelA.length, labelB.length, 1);
+    const lines = [];
+    let positionA = alignment.a.start;
+    let positionB = alignment.b.start;
+
+    for(let k = 0; k < alignment.length; k += width) {
+        const blockA = alignment.a.aligned.slice(k, k + width);
+        const blockB = alignment.b.aligned.slice(k, k + width);
+        const residuesA = blockA.replace(/-/g, "").length;
+        const residuesB = blockB.replace(/-/g, "").length;
+
+        const endA = residuesA > 0 ? positionA + residuesA - 1 : positionA - 1;
+        const endB = residuesB > 0 ? positionB + residuesB - 1 : positionB - 1;
+
+        lines.push(`${labelA.padEnd(label)} ${String(positionA).padStart(6)} ${blockA} ${endA}`);
+        lines.push(`${"".padEnd(label)} ${"".padStart(6)} ${alignment.matchLine.slice(k, k + width)}`);
+        lines.push(`${labelB.padEnd(label)} ${String(positionB).padStart(6)} ${blockB} ${endB}`);
+        lines.push("");
+
+        positionA = endA + 1;
+        positionB = endB + 1;
+    }
+
+    return lines.join("\n");
+}
+
+// Render the alignment as wrapped rows of colored residue pairs
+function generateAlignmentSVG(alignment, rowLength = 60) {
+    const cellWidth = 10;
+    const margin = 40;
+    const rowHeight = 50;
+    const rows = Math.max(1, Math.ceil(alignment.length / rowLength));
+    const svgWidth = margin * 2 + Math.min(Math.max(alignment.length, 1), rowLength) * cellWidth;
+    const svgHeight = rows * rowHeight + 30;
+    let svg = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">`;
+
+    for(let row = 0; row < rows; row++) {
+        const rowStart = row * rowLength;
+        const rowEnd = Math.min(rowStart + rowLength, alignment.length);
+        const y = row * rowHeight;
+
+        svg += `<text x="${margin - 5}" y="${y + 15}" font-size="8" text-anchor="end">A</text>`;
+        svg += `<text x="${margin - 5}" y="${y + 35}" font-size="8" text-anchor="end">B</text>`;
+
+        for(let k = rowStart; k < rowEnd; k++) {
+            let color;
+            switch(alignment.matchLine[k]) {
+                case '|':
+                    color = 'green';
+                    break;
+                case ':':
+                    color = 'yellow';
+                    break;
+                default:
+                    color = alignment.a.aligned[k] === '-' || alignment.b.aligned[k] === '-' ? 'white' : 'gray';
+            }
+            const x = margin + (k - rowStart) * cellWidth;
+            svg += `<rect x="${x}" y="${y + 5}" width="${cellWidth}" height="35" fill="${color}" stroke="lightgray" stroke-width="0.5" />`;
+            svg += `<text x="${x + cellWidth / 2}" y="${y + 15}" font-size="8" text-anchor="middle">${alignment.a.aligned[k]}</text>`;
+            svg += `<text x="${x + cellWidth / 2}" y="${y + 35}" font-size="8" text-anchor="middle">${alignment.b.aligned[k]}</text>`;
+        }
+    }
+
+    // Add legend
+    const legendY = rows * rowHeight + 5;
+    svg += `
+        <rect x="${margin}" y="${legendY}" width="10" height="10" fill="green" />
+        <text x="${margin + 15}" y="${legendY + 10}" font-size="10">identical</text>
+        <rect x="${margin + 70}" y="${legendY}" width="10" height="10" fill="yellow" />
+        <text x="${margin + 85}" y="${legendY + 10}" font-size="10">similar</text>
+        <rect x="${margin + 130}" y="${legendY}" width="10" height="10" fill="gray" />
+        <text x="${margin + 145}" y="${legendY + 10}" font-size="10">mismatch</text>
+        <rect x="${margin + 200}" y="${legendY}" width="10" height="10" fill="white" stroke="lightgray" />
+        <text x="${margin + 215}" y="${legendY + 10}" font-size="10">gap</text>
+    `;
+
+    svg += '</svg>';
+    return svg;
+}
+
+module.exports = {
+    substitutionMatrices,
+    alignSequences,
+    formatAlignmentText,
+    generateAlignmentSVG
+};
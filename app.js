@@ -1,63 +1,156 @@
 'use strict';
-const fs = require('fs');
-const path = require('path');
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const dotenv = require('dotenv');
-const { Pool } = require('pg');
-const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('./error');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, NotAcceptableError, ConflictError, PreconditionFailedError } = require('./error');
+const { substitutionMatrices, alignSequences, formatAlignmentText, generateAlignmentSVG } = require('./align');
+const { JOB_STATUSES, enqueueJob, startJobWorker, formatJob } = require('./jobs');
+const { parseDigestOptions, digestSequence, parsePmfRequest, matchPeptideMassFingerprint } = require('./digest');
+const { parseVariant, applyVariant, formatEdit, diffVariant } = require('./variants');
+const {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    generateWebhookSecret,
+    isPrivateTarget,
+    startWebhookWorker,
+    testWebhook,
+    formatWebhook,
+    formatDelivery
+} = require('./webhooks');
 const { 
     generateProteinName, 
     calculateMolecularWeight, 
+    calculateNetCharge,
+    calculateExtinctionCoefficient,
+    calculateComposition,
+    calculateProperties,
     predictSecondaryStructure, 
+    calculateConfidenceScore,
     generateStructureSVG, 
     authenticateUser,
+    API_KEY_SCOPES,
+    issueApiKey,
+    authenticateApiKey,
+    formatApiKey,
+    AUDIT_ACTIONS,
+    diffAuditFields,
+    recordAudit,
+    requireProteinSequence,
+    proteinETag,
+    matchesETag,
+    purgeProtein,
+    purgeExpiredTrash,
+    refragmentProtein,
+    rescanMotif,
+    importFastaRecords,
+    formatAuditEntry,
     createProteinWithFragments,
+    normalizeFragmentationStrategy,
+    proteinLinks,
+    withProteinLinks,
     getUpdatedFragmentData,
-    getMotifs
+    getMotifs,
+    prositeToRegExp,
+    getMotifDefinitions,
+    formatMotifDefinition,
+    getProteinMotifHits,
+    KMER_SIZE,
+    findSimilarProteins,
+    parseFasta,
+    parsePagination,
+    parseProteinSearch,
+    searchProteins,
+    formatFasta,
+    formatGenBank,
+    formatCsv
 } = require('./lib');
+const { createStore } = require('./storage');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.text());
 dotenv.config();
+app.use(express.text({
+    type: ['text/plain', 'text/x-fasta', 'application/x-fasta'],
+    limit: process.env.MAX_UPLOAD_SIZE || '10mb'
+}));
 
 const PORT = process.env.PORT || 3000;
 const MAX_PROTEIN_LENGTH = process.env.MAX_PROTEIN_LENGTH || 2000;
-
-const DATA_FILE = 'data/proteins.json';
-
-// ensureDataFileExists()
-// Create connection pool
-const pool = new Pool({
-    host: process.env.PG_HOST,
-    port: process.env.PG_PORT,
-    database: process.env.PG_DATABASE,
-    user: process.env.PG_USER,
-    password: process.env.PG_PASSWORD
-});
-// Test the database connection
-pool.query('SELECT NOW()', (err, res) => {
-    if (err) {
-        console.error('Error connecting to PostgreSQL:', err);
-        process.exit(1);
-    } else {
-        console.log('Connected to PostgreSQL');
-        // Start the server after the database connection is established
-        app.listen(PORT, () => {
-            console.log(`Server running on port ${PORT}`);
-        });
+// Opt-in while clients move from X-User-ID to API keys
+const ALLOW_LEGACY_USER_HEADER = process.env.ALLOW_LEGACY_USER_HEADER === 'true';
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+const JOB_POLL_INTERVAL = Number(process.env.JOB_POLL_INTERVAL || 1000);
+// Origin clients reach the API through, e.g. https://proteins.example.org
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+// Behind a reverse proxy, X-Forwarded-Proto and X-Forwarded-Host describe the original request
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// Lets webhooks target loopback and private addresses, for local testing only
+const ALLOW_PRIVATE_WEBHOOK_TARGETS = process.env.ALLOW_PRIVATE_WEBHOOK_TARGETS === 'true';
+app.set('trust proxy', TRUST_PROXY);
+
+// PostgreSQL, or an in-memory store (kept in DATA_FILE if set) with STORAGE_BACKEND=memory
+const store = createStore(process.env);
+// Connect (or load) and bring the schema up to date, then start serving
+store.connect().then(({ issued }) => {
+    console.log(`Connected to ${store.name}`);
+    for(const { userId, key } of issued) {
+        console.log(`Issued bootstrap key for ${userId}: ${key}`);
     }
+    if(issued.length > 0) console.log(`Issued ${issued.length} bootstrap key(s), store them now, they are not shown again`);
+
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+    });
+
+    // Empty the trash of proteins past the retention period, now and then hourly
+    purgeTrash();
+    setInterval(purgeTrash, TRASH_PURGE_INTERVAL).unref();
+
+    // Queued jobs, including those left over from before a restart
+    startJobWorker(store, { pollInterval: JOB_POLL_INTERVAL });
+    // Pending webhook deliveries and their retries
+    startWebhookWorker(store, { pollInterval: JOB_POLL_INTERVAL, allowPrivateTargets: ALLOW_PRIVATE_WEBHOOK_TARGETS });
+}).catch(error => {
+    console.error(`Cannot start on ${store.name}:`, error.message);
+    process.exit(1);
 });
 
+async function purgeTrash() {
+    try {
+        const purged = await purgeExpiredTrash(store, TRASH_RETENTION_DAYS);
+        if(purged > 0) console.log(`Purged ${purged} protein(s) from the trash`);
+    } catch (error) {
+        console.error('Trash purge failed:', error);
+    }
+}
+
+// POST routes that only compute on existing data need just the read scope
+const READ_ONLY_POST_ROUTES = ['/api/proteins/search', '/api/proteins/similar', '/api/align', '/api/pmf'];
+
 app.use('/api', async (req, res, next) => {
     try {
-        // Extract the user ID from request headers
-        const userId = req.header('X-User-ID');
+        const authorization = req.header('Authorization');
 
         // If authorized, attach user information to the request object
-        req.user = await authenticateUser(pool, userId);
+        if(authorization) {
+            const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+            if(!match) throw new UnauthorizedError('[Unauthorized] Malformed Authorization header, expected Bearer <key>');
+            req.user = await authenticateApiKey(store, match[1]);
+        }
+        else if(ALLOW_LEGACY_USER_HEADER) {
+            // Extract the user ID from request headers
+            req.user = await authenticateUser(store, req.header('X-User-ID'));
+        }
+        else {
+            throw new UnauthorizedError('[Unauthorized] Missing API key');
+        }
+
+        const readOnly = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+            (req.method === 'POST' && READ_ONLY_POST_ROUTES.includes(req.baseUrl + req.path));
+        const scope = readOnly ? 'read' : 'write';
+        if(!req.user.scopes.includes(scope)) throw new ForbiddenError(`[Forbidden] API key lacks the '${scope}' scope`);
 
         // Continue to the next middleware or route handler
         next();
@@ -66,46 +159,84 @@ app.use('/api', async (req, res, next) => {
     }
 });
 
-app.get('/api/proteins', async (req, res) => {
-    try {
-        let limit = req.query.limit ? parseInt(req.query.limit) : null;
-        let offset = req.query.offset ? parseInt(req.query.offset) : null;
-        if((limit != null && limit <= 0) || (offset !== null && offset < 0)) {
-            throw new BadRequestError('Invalid query parameters');
-        }
+const USER_ROLES = ['admin', 'basic'];
 
-        const countRow = await pool.query('SELECT * FROM proteins;');
-        const proteinsListLength = countRow.rowCount;
-        if(offset != null && offset >= proteinsListLength) {
-            throw new BadRequestError('Invalid query parameters');
-        }
+// Admin rights need both the admin role and a key carrying the admin scope
+function hasAdminAccess(user) {
+    return user.role === 'admin' && user.scopes.includes('admin');
+}
 
-        let sqlQuery = `
-            SELECT * 
-            FROM proteins
-            ORDER BY created_at ASC
-        `
-        if(limit === null && offset === null) {
-            const proteinList = await pool.query(sqlQuery);
-            return res.status(200).json(proteinList.rows);
+// Route guard: the authenticated user must hold one of the given roles
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if(!roles.includes(req.user.role)) {
+            return next(new ForbiddenError(`[Forbidden] Requires role: ${roles.join(" or ")}`));
         }
-        
-        if(limit === null) {
-            limit = proteinsListLength;
+        if(roles.length === 1 && roles[0] === 'admin' && !hasAdminAccess(req.user)) {
+            return next(new ForbiddenError("[Forbidden] API key lacks the 'admin' scope"));
         }
-        if(offset === null) {
-            offset = 0;
+        next();
+    };
+}
+
+// Long-running routes run as a job when asked with `Prefer: respond-async` or ?async=true
+function wantsAsync(req) {
+    return req.query.async === 'true' || /\brespond-async\b/i.test(req.header('Prefer') || '');
+}
+
+// Base URL for the links in a response, PUBLIC_BASE_URL wins over what the request says about itself
+function publicBaseUrl(req) {
+    if(PUBLIC_BASE_URL) return PUBLIC_BASE_URL;
+
+    const forwardedHost = TRUST_PROXY && req.header('X-Forwarded-Host');
+    const host = forwardedHost ? forwardedHost.split(",")[0].trim() : req.header('Host');
+    return `${req.protocol}://${host}`;
+}
+
+// Queue a job and answer 202 with where to follow it
+async function submitJob(req, res, type, payload) {
+    const job = await enqueueJob(store, type, payload, req.user.id);
+    const formatted = formatJob(job, publicBaseUrl(req));
+    res.status(202).location(formatted.links.self).json(formatted);
+}
+
+// Route guard: only the protein's owner or an admin may modify it
+// With `trashed` the protein is looked up in the trash instead of among live proteins
+function requireProteinOwner({ trashed = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const protein = await store.proteins.get(req.params.proteinId, { state: trashed ? 'trashed' : 'live' });
+            if(!protein) throw new NotFoundError(`${trashed ? "Trashed protein" : "Protein"} with given ID does not exist`);
+
+            if(!hasAdminAccess(req.user) && protein.owner_id !== req.user.id) {
+                throw new ForbiddenError("[Forbidden] Only the owner or an admin can modify this protein");
+            }
+
+            req.protein = protein;
+            next();
+        } catch (error) {
+            next(error);
         }
+    };
+}
 
-        sqlQuery += " LIMIT $1 OFFSET $2;";
+// Paginated routes still take offset=0 for the first page, clients are told to move to cursors
+function flagDeprecatedOffset(res, params) {
+    if(params.offset !== undefined) {
+        res.set('Deprecation', 'true');
+        res.set('Warning', '299 - "offset is deprecated, follow nextCursor instead"');
+    }
+}
 
-        const paginatedProteinList = await pool.query(sqlQuery, [limit, offset]);
-        res.status(200).json({
-            proteins: paginatedProteinList.rows,
-            total: proteinsListLength,
-            limit: limit,
-            offset: offset
-        })
+// Live proteins, oldest first, one page at a time
+app.get('/api/proteins', async (req, res, next) => {
+    try {
+        const { limit, cursor, includeTotal, offset } = req.query;
+        flagDeprecatedOffset(res, req.query);
+
+        const page = await searchProteins(store, { limit, cursor, includeTotal, offset });
+
+        res.status(200).json({ ...page, items: page.items.map(row => withProteinLinks(row, publicBaseUrl(req))) });
     } catch (error) {
         next(error);
     }
@@ -113,86 +244,75 @@ app.get('/api/proteins', async (req, res) => {
 
 app.get('/api/proteins/search', async (req, res, next) => {
     try {
-        const { name, molecularWeight, sequenceLength, motif, sort } = req.query;
-        let searchQuery = "SELECT DISTINCT p.* FROM proteins p";
-        let searchParams = [];
-        let cond = [];
-
-        if(name) {
-            if(Array.isArray(name) || typeof name !== 'string') throw new BadRequestError("[Search Error] Invalid name parameter");
-            searchParams.push(`%${name}%`);
-            cond.push(`p.name ILIKE $${searchParams.length}`);
-        }
+        // An empty page is a valid answer, not a missing resource
+        flagDeprecatedOffset(res, req.query);
+        const page = await searchProteins(store, req.query);
 
-        const operators = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=' };
+        res.status(200).json({ ...page, items: page.items.map(row => withProteinLinks(row, publicBaseUrl(req))) });
 
-        if(molecularWeight) {
-            const entries = Object.entries(molecularWeight);
-
-            if(entries.length > 1) throw new BadRequestError("[Search Error] Invalid molecular weight filter is allowed");
-
-            const [key, val] = entries[0];
-
-            if(val < 0) throw new BadRequestError("[Search Error] Invalid molecular weight value");
-            if(key in operators) {
-                const op = operators[key];
-                searchParams.push(val);
-                cond.push(`p.molecular_weight ${op} $${searchParams.length}`);
-            }
-            else throw new BadRequestError("[Search Error] Invalid molecular weight operator");
-        }
-
-        if(sequenceLength) {
-            const entries = Object.entries(sequenceLength);
+    } catch (error) {
+        next(error);
+    }
+})
 
-            if(entries.length > 1) throw new BadRequestError("[Search Error] Only one sequence length filter is allowed");
+// Same search as a JSON body, for filters that are awkward to put in a query string
+app.post('/api/proteins/search', async (req, res, next) => {
+    try {
+        if(!req.is('application/json')) throw new BadRequestError("[Search Error] Expected a JSON body");
 
-            const [key, val] = entries[0];
+        flagDeprecatedOffset(res, req.body);
+        const page = await searchProteins(store, req.body);
 
-            const isInteger = (val == Math.floor(val));
+        res.status(200).json({ ...page, items: page.items.map(row => withProteinLinks(row, publicBaseUrl(req))) });
+    } catch (error) {
+        next(error);
+    }
+})
 
-            if(!isInteger || val < 0) throw new BadRequestError("[Search Error] Invalid sequence length value");
-            if(key in operators) {
-                const op = operators[key];
-                searchParams.push(val);
-                cond.push(`p.sequence_length ${op} $${searchParams.length}`);
-            }
-            else throw new BadRequestError("[Search Error] Invalid sequence length operator");
-        }
+// Find proteins similar to a query sequence through the k-mer index
+app.post('/api/proteins/similar', async (req, res, next) => {
+    try {
+        const body = typeof req.body === 'string' ? { sequence: req.body.trim() } : req.body;
+        const { sequence, limit = 10, minSharedKmers = 1 } = body || {};
 
-        if(motif) {
-            if(typeof motif !== 'string') throw new BadRequestError("[Search Error] Invalid name parameter");
-            
-            searchQuery += ` 
-                INNER JOIN fragments f ON p.protein_id = f.protein_id
-                INNER JOIN motifs m ON f.fragment_id = m.fragment_id
-            `;
-            searchParams.push(motif);
-            cond.push(`m.motif_type SIMILAR TO $${searchParams.length}`);
+        if(typeof sequence !== 'string' ||
+            sequence.length < KMER_SIZE ||
+            sequence.length > MAX_PROTEIN_LENGTH ||
+            !/^[ACDEFGHIKLMNPQRSTVWY]+$/.test(sequence)
+        ) {
+            throw new BadRequestError("[Similarity Error] Invalid query sequence");
         }
+        if(!Number.isInteger(Number(limit)) || Number(limit) <= 0 || Number(limit) > 100) throw new BadRequestError("[Similarity Error] Invalid limit");
+        if(!Number.isInteger(Number(minSharedKmers)) || Number(minSharedKmers) <= 0) throw new BadRequestError("[Similarity Error] Invalid minSharedKmers");
 
-        if(cond.length > 0) {
-            searchQuery += " WHERE " + cond.join(" AND ");
-        }
+        const hits = await findSimilarProteins(store, sequence, { limit: Number(limit), minSharedKmers: Number(minSharedKmers) });
 
-        if(sort) {
-            const [field, direction] = sort.split(":");
-            const allowedFields = ["name", "created_at", "molecular_weight", "sequence_length"];
-            
-            let order;
-            if(direction === "desc") order = "DESC";
-            else order = "ASC";
+        res.status(200).json({
+            query: { sequenceLength: sequence.length, kmerSize: KMER_SIZE },
+            hits: hits.map(hit => ({ ...hit, links: proteinLinks(publicBaseUrl(req), hit.proteinId) }))
+        });
+    } catch (error) {
+        next(error);
+    }
+})
 
-            if(allowedFields.includes(field)) searchQuery += ` ORDER BY ${field} ${order}`;
-            else throw new BadRequestError("[Search Error] Invalid sort field");
-        }
+// Export a search result set as one multi-FASTA file
+app.get('/api/proteins/export', async (req, res, next) => {
+    try {
+        // The export is one file with every match, a page of it could not be told apart from the whole
+        const paging = ['limit', 'cursor', 'includeTotal', 'offset'].filter(parameter => req.query[parameter] !== undefined);
+        if(paging.length > 0) throw new BadRequestError(`[Export Error] The export is not paginated, remove ${paging.join(", ")}`);
 
-        const resp = await pool.query(searchQuery, searchParams);
-        
-        if(resp.rows.length == 0) throw new NotFoundError("[Search Error] Protein with given condition does not exist" );
+        const proteins = await store.proteins.search(parseProteinSearch(req.query));
 
-        res.status(200).json(resp.rows);
+        // Proteins without a stored sequence have nothing to export
+        let fasta = "";
+        for(const protein of proteins.filter(protein => protein.sequence !== null)) {
+            fasta += formatFasta(protein, protein.sequence);
+        }
 
+        res.attachment('proteins.fasta');
+        res.type('text/x-fasta').status(200).send(fasta);
     } catch (error) {
         next(error);
     }
@@ -202,14 +322,15 @@ app.get('/api/proteins/:proteinId/fragments', async (req, res, next) => {
     try {
         const proteinId = req.params.proteinId;
 
-        const protein = await pool.query("SELECT * FROM proteins WHERE protein_id = $1;", [proteinId]);
-        if(protein.rows.length === 0) throw new NotFoundError("Protein with given ID does not exist" );
-    
-        const fragmentData = await pool.query("SELECT * FROM fragments WHERE protein_id = $1;", [proteinId]);
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist" );
     
-        const updatedFragmentData = await getUpdatedFragmentData(pool, fragmentData);
-    
-        res.status(200).json(updatedFragmentData);
+        flagDeprecatedOffset(res, req.query);
+        const { items, nextCursor, total } = await store.fragments.page(proteinId, parsePagination(req.query));
+
+        const updatedFragmentData = await getUpdatedFragmentData(store, items, publicBaseUrl(req));
+
+        res.status(200).json({ items: updatedFragmentData, nextCursor, total });
     } catch (error) {
         next(error);
     }
@@ -219,29 +340,61 @@ app.get('/api/proteins/:proteinId/download', async (req, res, next) => {
     try {
         const proteinId = req.params.proteinId;
 
-        const protein = await pool.query("SELECT * FROM proteins WHERE protein_id = $1;", [proteinId]);
-        if(protein.rows.length === 0) throw new NotFoundError("Protein with given ID does not exist" );
-    
-        const fragmentData = await pool.query("SELECT * FROM fragments WHERE protein_id = $1;", [proteinId]);
-    
-        let sequence = fragmentData.rows[0].sequence;
-
-        for(let i = 1; i < fragmentData.rows.length; i++) {
-            sequence += fragmentData.rows[i].sequence.substring(10);
+        // Explicit ?format= wins, otherwise negotiate on the Accept header
+        const formatTypes = {
+            txt: 'text/plain',
+            fasta: 'text/x-fasta',
+            genbank: 'text/x-genbank',
+            json: 'application/json',
+            csv: 'text/csv'
+        };
+        let format = req.query.format;
+        if(format) {
+            if(!(format in formatTypes)) throw new BadRequestError("[Download Error] Invalid format, expected one of txt, fasta, genbank, json, csv");
+        }
+        else {
+            const accepted = req.accepts(Object.values(formatTypes));
+            if(!accepted) throw new NotAcceptableError("[Download Error] Not Acceptable");
+            format = Object.keys(formatTypes).find(key => formatTypes[key] === accepted);
         }
 
-        const fileName = `protein_${proteinId}.txt`;
-        const filePath = path.join(__dirname, fileName);
+        const proteinRow = await store.proteins.get(proteinId);
+        if(!proteinRow) throw new NotFoundError("Protein with given ID does not exist" );
+        requireProteinSequence(proteinRow);
+        const sequence = proteinRow.sequence;
 
-        fs.writeFileSync(filePath, sequence, 'utf8');
-    
-        res.download(filePath, fileName, (err) => {
-            if (err) {
-                next(err);
-            }
-            fs.unlinkSync(filePath);
-        });
+        let body;
+        let extension = format;
+        if(format === 'txt') {
+            body = sequence;
+        }
+        else if(format === 'fasta') {
+            body = formatFasta(proteinRow, sequence);
+        }
+        else if(format === 'genbank') {
+            const fragments = await store.fragments.listByProtein(proteinId);
+            const hits = await getProteinMotifHits(store, proteinId);
+            body = formatGenBank(proteinRow, sequence, fragments, hits);
+            extension = 'gb';
+        }
+        else if(format === 'json') {
+            body = JSON.stringify({
+                proteinId: proteinRow.protein_id,
+                name: proteinRow.name,
+                description: proteinRow.description,
+                molecularWeight: proteinRow.molecular_weight,
+                sequenceLength: proteinRow.sequence_length,
+                createdAt: proteinRow.created_at,
+                updatedAt: proteinRow.updated_at,
+                sequence
+            });
+        }
+        else {
+            body = formatCsv([{ protein: proteinRow, sequence }]);
+        }
 
+        res.attachment(`protein_${proteinId}.${extension}`);
+        res.type(formatTypes[format]).status(200).send(body);
     } catch (error) {
         next(error);
     }
@@ -252,10 +405,15 @@ app.get('/api/proteins/:proteinId', async (req, res, next) => {
     try {
         const proteinId = req.params.proteinId;
 
-        const proteinData = await pool.query("SELECT * FROM proteins WHERE protein_id = $1;", [proteinId]);
-        if(proteinData.rows.length === 0) throw new NotFoundError("Protein with given ID does not exist" );
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist" );
+
+        const etag = proteinETag(protein);
+        res.set('ETag', etag);
+        const ifNoneMatch = req.header('If-None-Match');
+        if(ifNoneMatch && matchesETag(ifNoneMatch, etag, true)) return res.status(304).end();
 
-        res.status(200).json(proteinData.rows)
+        res.status(200).json([withProteinLinks(protein, publicBaseUrl(req))])
     } catch (error) {
         next(error);
     }
@@ -265,7 +423,6 @@ app.get('/api/proteins/:proteinId', async (req, res, next) => {
 app.post('/api/proteins/sequence', async (req, res, next) => {
     try {
         const sequence = req.body;
-        console.log(sequence);
         if(!sequence || 
             sequence.length > 2000 || 
             sequence.length < 20 || 
@@ -275,6 +432,7 @@ app.post('/api/proteins/sequence', async (req, res, next) => {
         }
     
         const proName = generateProteinName(sequence)
+        const fragmentation = normalizeFragmentationStrategy(req.query.strategy ? req.query : undefined);
     
         // Proceed with creating new protein
         const proteinData = {
@@ -282,10 +440,14 @@ app.post('/api/proteins/sequence', async (req, res, next) => {
             description: "",
             molecularWeight: calculateMolecularWeight(sequence),
             sequenceLength: sequence.length,
+            fragmentation,
+            ownerId: req.user.id,
         };
 
+        if(wantsAsync(req)) return submitJob(req, res, 'create-protein', { proteinData, sequence });
     
-        const { protein_id, isoCreatedDate, isoUpdatedDate, sequenceUrl } = await createProteinWithFragments(pool, proteinData, sequence);
+        const { protein_id, isoCreatedDate, isoUpdatedDate } = await createProteinWithFragments(store, proteinData, sequence);
+        const links = proteinLinks(publicBaseUrl(req), protein_id);
     
         const proteinOutput = {
             proteinId: protein_id,
@@ -295,7 +457,10 @@ app.post('/api/proteins/sequence', async (req, res, next) => {
             sequenceLength: sequence.length,
             createdAt: isoCreatedDate,
             updatedAt: isoUpdatedDate,
-            sequenceUrl
+            sequenceUrl: links.download,
+            fragmentation,
+            ownerId: req.user.id,
+            links
         }
 
         res.status(201).json(proteinOutput);
@@ -307,7 +472,7 @@ app.post('/api/proteins/sequence', async (req, res, next) => {
 // Route to create a new protein
 app.post('/api/proteins', async (req, res, next) => {
     try {
-        const { sequence, name, description = '' } = req.body;
+        const { sequence, name, description = '', fragmentation: fragmentationInput } = req.body;
         const proName = name ? name : generateProteinName(sequence);
     
         if(sequence.length > 2000 || 
@@ -318,6 +483,7 @@ app.post('/api/proteins', async (req, res, next) => {
         ) {
             throw new BadRequestError("Invalid input or sequence length exceeded");
         }
+        const fragmentation = normalizeFragmentationStrategy(fragmentationInput);
 
         // Proceed with creating new protein
         const proteinData = {
@@ -325,10 +491,14 @@ app.post('/api/proteins', async (req, res, next) => {
             description,
             molecularWeight: calculateMolecularWeight(sequence),
             sequenceLength: sequence.length,
+            fragmentation,
+            ownerId: req.user.id,
         };
 
+        if(wantsAsync(req)) return submitJob(req, res, 'create-protein', { proteinData, sequence });
     
-        const { protein_id, isoCreatedDate, isoUpdatedDate, sequenceUrl } = await createProteinWithFragments(pool, proteinData, sequence);
+        const { protein_id, isoCreatedDate, isoUpdatedDate } = await createProteinWithFragments(store, proteinData, sequence);
+        const links = proteinLinks(publicBaseUrl(req), protein_id);
     
         const proteinOutput = {
             proteinId: protein_id,
@@ -338,7 +508,10 @@ app.post('/api/proteins', async (req, res, next) => {
             sequenceLength: sequence.length,
             createdAt: isoCreatedDate,
             updatedAt: isoUpdatedDate,
-            sequenceUrl
+            sequenceUrl: links.download,
+            fragmentation,
+            ownerId: req.user.id,
+            links
         }
 
         res.status(201).json(proteinOutput);
@@ -347,50 +520,271 @@ app.post('/api/proteins', async (req, res, next) => {
     }
 });
 
-// update protein
-app.put('/api/proteins/:proteinId', async (req, res, next) => {
+// Route to create proteins in bulk from a FASTA / multi-FASTA upload
+app.post('/api/proteins/fasta', async (req, res, next) => {
+    try {
+        const text = req.body;
+        const mode = req.query.mode || 'atomic';
+        if(typeof text !== 'string' || text.trim() === "") throw new BadRequestError("[FASTA Error] Missing FASTA body");
+        if(mode !== 'atomic' && mode !== 'best-effort') throw new BadRequestError("[FASTA Error] Invalid mode, expected 'atomic' or 'best-effort'");
+        const fragmentation = normalizeFragmentationStrategy(req.query.strategy ? req.query : undefined);
+
+        const records = parseFasta(text);
+        if(records.length === 0) throw new BadRequestError("[FASTA Error] No FASTA records found");
+
+        // Validate every record the same way as POST /api/proteins
+        const accepted = [];
+        const rejected = [];
+        for(const record of records) {
+            let reason = null;
+            if(record.sequence.length < 20 || record.sequence.length > MAX_PROTEIN_LENGTH) reason = "Invalid sequence length";
+            else if(!/^[ACDEFGHIKLMNPQRSTVWY]+$/.test(record.sequence)) reason = "Invalid amino acid in sequence";
+            else if(record.name.length > 100) reason = "Name too long";
+            else if(record.description.length > 1000) reason = "Description too long";
+
+            if(reason) rejected.push({ index: record.index, line: record.line, header: record.header, reason });
+            else accepted.push(record);
+        }
+
+        if(mode === 'atomic' && rejected.length > 0) {
+            return res.status(400).json({
+                error: "[FASTA Error] Some records are invalid, nothing was created",
+                mode,
+                created: [],
+                rejected
+            });
+        }
+
+        if(wantsAsync(req)) {
+            return submitJob(req, res, 'fasta-import', { records: accepted, rejected, mode, fragmentation, ownerId: req.user.id });
+        }
+
+        const { created } = await importFastaRecords(store, accepted, { mode, fragmentation, ownerId: req.user.id }, { created: [], rejected });
+
+        res.status(created.length > 0 ? 201 : 400).json({
+            mode,
+            created: created.map(entry => ({ ...entry, links: proteinLinks(publicBaseUrl(req), entry.proteinId) })),
+            rejected
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Replace a protein's fragments and motifs using a new fragmentation strategy
+app.post('/api/proteins/:proteinId/refragment', requireProteinOwner(), async (req, res, next) => {
     try {
         const proteinId = req.params.proteinId;
-        let { name="", description="" } = req.body;
-        
-        const protein = await pool.query("SELECT * FROM proteins WHERE protein_id = $1;", [proteinId]);
-        if(protein.rows.length === 0) throw new NotFoundError("Protein with given ID does not exist");
-        
-        if (name.trim() === "") name = protein.rows[0].name;
-        if (description.trim() === "") description = protein.rows[0].description;
+        const fragmentation = normalizeFragmentationStrategy(req.body);
+        requireProteinSequence(req.protein);
+
+        if(wantsAsync(req)) return submitJob(req, res, 'refragment', { proteinId, fragmentation });
 
-        if(name.length > 100 || description.length > 1000)  throw new BadRequestError("Invalid input data");
+        await refragmentProtein(store, req.protein, fragmentation, req.user.id);
 
-        const proteinUpdate = `
-            UPDATE proteins
-            SET name = $1, description = $2
-            WHERE protein_id = $3
-            RETURNING *;
-        `
-        const proteinResp = await pool.query(proteinUpdate, [name, description, proteinId]);
+        const fragments = await store.fragments.listByProtein(proteinId);
+        const updatedFragmentData = await getUpdatedFragmentData(store, fragments, publicBaseUrl(req));
 
-        res.status(200).json(proteinResp.rows[0]);
+        res.status(200).json({ proteinId, fragmentation, fragments: updatedFragmentData, links: proteinLinks(publicBaseUrl(req), proteinId) });
     } catch (error) {
         next(error);
     }
 });
 
-// delete protein
-app.delete('/api/proteins/:proteinId', async (req, res, next) => {
+// Derive a new protein from a stored one with HGVS protein notation, the new protein links back to its parent
+app.post('/api/proteins/:proteinId/variants', async (req, res, next) => {
     try {
         const proteinId = req.params.proteinId;
-    
-        // const protein = await pool.query("SELECT * FROM proteins WHERE protein_id = $1;", [proteinId]);
-        // if(protein.rows.length === 0) throw new NotFoundError("Protein with given ID does not exist");
-   
-        const proteinDelete = `
-            DELETE FROM proteins
-            WHERE protein_id = $1;
-        `
-        
-        const result = await pool.query(proteinDelete, [proteinId]);
+        const { variant, name, description, fragmentation: fragmentationInput } = req.body || {};
+
+        const parent = await store.proteins.get(proteinId);
+        if(!parent) throw new NotFoundError("Protein with given ID does not exist");
+        requireProteinSequence(parent);
+
+        const edits = parseVariant(variant, parent.sequence);
+        const { sequence } = applyVariant(parent.sequence, edits);
+        if(sequence.length < 20 || sequence.length > MAX_PROTEIN_LENGTH) {
+            throw new BadRequestError(`[Variant Error] Variant sequence has ${sequence.length} residues, expected 20 to ${MAX_PROTEIN_LENGTH}`);
+        }
+
+        const proName = name === undefined ? `${parent.name} ${variant.trim()}`.slice(0, 100) : name;
+        const proDescription = description === undefined ? parent.description || "" : description;
+        if(typeof proName !== 'string' || proName.trim() === "" || proName.length > 100) throw new BadRequestError("[Variant Error] Invalid name");
+        if(typeof proDescription !== 'string' || proDescription.length > 1000) throw new BadRequestError("[Variant Error] Invalid description");
+        const fragmentation = fragmentationInput === undefined ? parent.fragmentation : normalizeFragmentationStrategy(fragmentationInput);
+
+        const proteinData = {
+            name: proName,
+            description: proDescription,
+            molecularWeight: calculateMolecularWeight(sequence),
+            sequenceLength: sequence.length,
+            fragmentation,
+            ownerId: req.user.id,
+            parentProteinId: proteinId,
+            variant: variant.trim()
+        };
+
+        if(wantsAsync(req)) return submitJob(req, res, 'create-protein', { proteinData, sequence });
+
+        const { protein_id, isoCreatedDate, isoUpdatedDate } = await createProteinWithFragments(store, proteinData, sequence);
+        const links = proteinLinks(publicBaseUrl(req), protein_id);
+
+        res.status(201).json({
+            proteinId: protein_id,
+            name: proName,
+            description: proDescription,
+            molecularWeight: proteinData.molecularWeight,
+            sequenceLength: sequence.length,
+            createdAt: isoCreatedDate,
+            updatedAt: isoUpdatedDate,
+            sequenceUrl: links.download,
+            fragmentation,
+            ownerId: req.user.id,
+            parentProteinId: proteinId,
+            variant: proteinData.variant,
+            edits: edits.map(formatEdit),
+            links
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Direct variants of a protein, oldest first
+app.get('/api/proteins/:proteinId/variants', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+
+        const variants = await store.proteins.listVariants(proteinId);
+
+        res.status(200).json(variants.map(row => withProteinLinks(row, publicBaseUrl(req))));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compare a variant with its parent, the parent may be in the trash
+app.get('/api/proteins/:proteinId/diff', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+        if(!protein.variant) throw new BadRequestError("[Variant Error] Protein is not a variant");
+
+        const parent = protein.parent_protein_id ? await store.proteins.get(protein.parent_protein_id, { state: 'any' }) : null;
+        if(!parent) throw new NotFoundError("[Variant Error] Parent protein no longer exists");
+        requireProteinSequence(protein);
+        requireProteinSequence(parent);
+
+        const diff = await diffVariant(store, protein, parent);
+
+        res.status(200).json({
+            ...diff,
+            links: { self: proteinLinks(publicBaseUrl(req), proteinId).self, parent: proteinLinks(publicBaseUrl(req), parent.protein_id).self }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update name and description in one transaction, honoring If-Match against the locked row
+// `buildUpdate` turns the current row into the new { name, description }
+async function updateProteinFields(req, buildUpdate) {
+    const proteinId = req.params.proteinId;
+
+    return store.transaction(async tx => {
+        const current = await tx.proteins.get(proteinId, { forUpdate: true });
+        if(!current) throw new NotFoundError("Protein with given ID does not exist");
+
+        const ifMatch = req.header('If-Match');
+        if(ifMatch && !matchesETag(ifMatch, proteinETag(current))) {
+            throw new PreconditionFailedError("[Precondition Failed] Protein has been modified, fetch it again and retry");
+        }
+
+        const { name, description } = buildUpdate(current);
+        const updated = await tx.proteins.update(proteinId, { name, description });
+        await recordAudit(tx, {
+            proteinId,
+            userId: req.user.id,
+            action: 'update',
+            changes: diffAuditFields(current, updated)
+        });
+
+        return updated;
+    });
+}
+
+// update protein
+app.put('/api/proteins/:proteinId', requireProteinOwner(), async (req, res, next) => {
+    try {
+        const protein = await updateProteinFields(req, current => {
+            let { name="", description="" } = req.body;
+
+            if (name.trim() === "") name = current.name;
+            if (description.trim() === "") description = current.description;
+
+            // description may be null after a merge patch cleared it
+            if(name.length > 100 || (description && description.length > 1000))  throw new BadRequestError("Invalid input data");
+            return { name, description };
+        });
+
+        res.set('ETag', proteinETag(protein));
+        res.status(200).json(withProteinLinks(protein, publicBaseUrl(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// JSON Merge Patch (RFC 7386): only the given fields change, null clears the description
+app.patch('/api/proteins/:proteinId', requireProteinOwner(), async (req, res, next) => {
+    try {
+        const patch = req.body;
+        if(!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new BadRequestError("[Patch Error] Expected a JSON Merge Patch object");
+
+        const unknown = Object.keys(patch).filter(field => !['name', 'description'].includes(field));
+        if(unknown.length > 0) throw new BadRequestError(`[Patch Error] Fields cannot be patched: ${unknown.join(", ")}`);
+        if('name' in patch && (typeof patch.name !== 'string' || patch.name.trim() === "" || patch.name.length > 100)) {
+            throw new BadRequestError("[Patch Error] Invalid name");
+        }
+        if('description' in patch && patch.description !== null && (typeof patch.description !== 'string' || patch.description.length > 1000)) {
+            throw new BadRequestError("[Patch Error] Invalid description");
+        }
+
+        const protein = await updateProteinFields(req, current => ({
+            name: 'name' in patch ? patch.name : current.name,
+            description: 'description' in patch ? patch.description : current.description
+        }));
+
+        res.set('ETag', proteinETag(protein));
+        res.status(200).json(withProteinLinks(protein, publicBaseUrl(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Move a protein to the trash, it stays restorable until purged
+app.delete('/api/proteins/:proteinId', requireProteinOwner(), async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const trashed = await store.transaction(async tx => {
+            const trashed = await tx.proteins.trash(proteinId, req.user.id);
+            if(trashed) {
+                await recordAudit(tx, {
+                    proteinId,
+                    userId: req.user.id,
+                    action: 'delete',
+                    changes: diffAuditFields(req.protein, trashed, ['deleted_at', 'deleted_by'])
+                });
+            }
+            return trashed;
+        });
 
-        if(result.rowCount > 0) {
+        if(trashed) {
             res.status(204).send();
         }
         else {
@@ -401,53 +795,736 @@ app.delete('/api/proteins/:proteinId', async (req, res, next) => {
     }
 });
 
-// // get secondary structure
-// app.get('/api/proteins/:proteinId/structure', async (req, res, next) => {
-//     try {
-//         const proteinId = req.params.proteinId;
+// Trashed proteins, admins see every user's trash and may filter with ?userId=
+app.get('/api/trash', async (req, res, next) => {
+    try {
+        const ownerId = hasAdminAccess(req.user) ? req.query.userId : req.user.id;
+
+        const trash = await store.proteins.listTrash({ ownerId });
 
-//         const protein = await pool.query("SELECT * FROM proteins WHERE protein_id = $1;", [proteinId]);
-//         if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+        res.status(200).json(trash.map(row => ({
+            ...withProteinLinks(row, publicBaseUrl(req)),
+            purge_at: new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
 
-//         const sequence = protein.data.sequence;
-//         const structure = predictSecondaryStructure(protein.data.sequence);
-//         if(req.accepts('json')) {
-//             const strjs = {
-//                 proteinId,
-//                 sequence,
-//                 secondaryStructure: structure
-//             }
-//             return res.status(200).json(strjs);
-//         }
-//         else if(req.accepts('svg')) {
-//             const svg = generateStructureSVG(sequence, structure);
-//             res.status(200).type('svg').send(svg);
-//         }
-//         else {
-//             res.status(406).json({ error: 'Not Acceptable' });
-//         }
+app.post('/api/trash/:proteinId/restore', requireProteinOwner({ trashed: true }), async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
 
-//     } catch (error) {
-//         next(error);
-//     }
-// }
-// );
+        const restored = await store.transaction(async tx => {
+            const restored = await tx.proteins.restore(proteinId);
+            await recordAudit(tx, {
+                proteinId,
+                userId: req.user.id,
+                action: 'restore',
+                changes: diffAuditFields(req.protein, restored, ['deleted_at', 'deleted_by'])
+            });
+            return restored;
+        });
 
+        res.status(200).json(withProteinLinks(restored, publicBaseUrl(req)));
+    } catch (error) {
+        next(error);
+    }
+});
 
-app.get('/api/fragments/:fragmentId', async (req, res, next) => {
+// Permanently delete a trashed protein before its retention period ends
+app.delete('/api/trash/:proteinId', requireRole('admin'), requireProteinOwner({ trashed: true }), async (req, res, next) => {
     try {
-        const fragmentId = req.params.fragmentId;
+        await purgeProtein(store, req.protein, req.user.id);
 
-        const fragment = await pool.query("SELECT * FROM fragments WHERE fragment_id = $1;", [fragmentId]);
-        if(fragment.rows.length === 0) throw new NotFoundError("Protein with given ID does not exist" );
-        
-        const updatedFragmentData = await getUpdatedFragmentData(pool, fragment);
-    
-        res.status(200).json(updatedFragmentData);
+        res.status(204).send();
     } catch (error) {
         next(error);
     }
-})
+});
+
+// Motif hits on the whole sequence, positions are 0-based with exclusive end
+app.get('/api/proteins/:proteinId/motifs', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+
+        const hits = await getProteinMotifHits(store, proteinId);
+
+        res.status(200).json(hits.map(hit => ({
+            motifId: hit.motif_definition_id,
+            motifType: hit.name,
+            type: hit.type,
+            motifPattern: hit.match,
+            startPosition: hit.start,
+            endPosition: hit.end,
+            score: hit.score
+        })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Physicochemical properties, the net charge is reported at ?pH= (default 7.0)
+app.get('/api/proteins/:proteinId/properties', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const pH = req.query.pH === undefined ? 7.0 : Number(req.query.pH);
+        if(Number.isNaN(pH) || pH < 0 || pH > 14) throw new BadRequestError("[Properties Error] Invalid pH, expected a number between 0 and 14");
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+        requireProteinSequence(protein);
+
+        const sequence = protein.sequence;
+        const properties = calculateProperties(sequence);
+        const instabilityIndex = properties.instabilityIndex;
+
+        res.status(200).json({
+            proteinId,
+            sequenceLength: sequence.length,
+            averageMass: properties.molecularWeight,
+            monoisotopicMass: properties.monoisotopicMass,
+            isoelectricPoint: properties.isoelectricPoint,
+            netCharge: { pH, charge: calculateNetCharge(sequence, pH) },
+            extinctionCoefficient: calculateExtinctionCoefficient(sequence),
+            gravy: properties.gravy,
+            aliphaticIndex: properties.aliphaticIndex,
+            instabilityIndex,
+            stable: instabilityIndex <= 40,
+            composition: calculateComposition(sequence)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// In-silico digest with ?enzyme= (default trypsin) and up to ?missedCleavages= uncut sites per peptide
+app.get('/api/proteins/:proteinId/digest', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const options = parseDigestOptions(req.query, "[Digest Error]");
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+        requireProteinSequence(protein);
+
+        const peptides = digestSequence(protein.sequence, options);
+
+        res.status(200).json({
+            proteinId,
+            ...options,
+            peptideCount: peptides.length,
+            peptides
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// get secondary structure
+app.get('/api/proteins/:proteinId/structure', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const accepted = req.accepts(['application/json', 'image/svg+xml']);
+        if(!accepted) throw new NotAcceptableError("[Structure Error] Not Acceptable");
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+        requireProteinSequence(protein);
+
+        const sequence = protein.sequence;
+        const structure = predictSecondaryStructure(sequence);
+
+        if(accepted === 'image/svg+xml') {
+            const svg = generateStructureSVG(sequence, structure);
+            return res.status(200).type('image/svg+xml').send(svg);
+        }
+
+        const confidenceScores = calculateConfidenceScore(sequence);
+        res.status(200).json({
+            proteinId,
+            sequence,
+            secondaryStructure: structure,
+            residues: [...sequence].map((aa, i) => ({
+                position: i + 1,
+                residue: aa,
+                structure: structure[i],
+                confidence: confidenceScores[i]
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Change history of a protein, oldest first, still available after deletion
+app.get('/api/proteins/:proteinId/history', async (req, res, next) => {
+    try {
+        const proteinId = req.params.proteinId;
+
+        const history = await store.audit.listByProtein(proteinId);
+        if(history.length === 0) {
+            const protein = await store.proteins.get(proteinId, { state: 'any' });
+            if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+        }
+
+        res.status(200).json(history.map(formatAuditEntry));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/fragments/:fragmentId', async (req, res, next) => {
+    try {
+        const fragmentId = req.params.fragmentId;
+
+        const fragment = await store.fragments.get(fragmentId);
+        if(!fragment) throw new NotFoundError("Protein with given ID does not exist" );
+        
+        const updatedFragmentData = await getUpdatedFragmentData(store, [fragment], publicBaseUrl(req));
+    
+        res.status(200).json(updatedFragmentData);
+    } catch (error) {
+        next(error);
+    }
+})
+
+// Resolve one side of an alignment, given as { proteinId } or { sequence }
+async function resolveAlignmentInput(input, label) {
+    if(!input || typeof input !== 'object') throw new BadRequestError(`[Align Error] Missing ${label}, expected { proteinId } or { sequence }`);
+
+    if(input.proteinId !== undefined) {
+        const protein = await store.proteins.get(input.proteinId);
+        if(!protein) throw new NotFoundError(`Protein with given ID does not exist (${label})`);
+        requireProteinSequence(protein);
+        return { proteinId: protein.protein_id, name: protein.name, sequence: protein.sequence };
+    }
+
+    const sequence = typeof input.sequence === 'string' ? input.sequence.trim().toUpperCase() : input.sequence;
+    if(typeof sequence !== 'string' ||
+        sequence.length === 0 ||
+        sequence.length > MAX_PROTEIN_LENGTH ||
+        !/^[ACDEFGHIKLMNPQRSTVWY]+$/.test(sequence)
+    ) {
+        throw new BadRequestError(`[Align Error] Invalid sequence for ${label}`);
+    }
+    return { proteinId: null, name: input.name || label, sequence };
+}
+
+// Pairwise global (Needleman-Wunsch) or local (Smith-Waterman) alignment
+app.post('/api/align', async (req, res, next) => {
+    try {
+        const { a, b, mode = 'global', matrix = 'BLOSUM62', gapOpen = 10, gapExtend = 0.5 } = req.body || {};
+
+        const accepted = req.accepts(['application/json', 'image/svg+xml']);
+        if(!accepted) throw new NotAcceptableError("[Align Error] Not Acceptable");
+
+        if(!(String(matrix).toUpperCase() in substitutionMatrices)) {
+            throw new BadRequestError(`[Align Error] Invalid matrix, expected one of ${Object.keys(substitutionMatrices).join(", ")}`);
+        }
+
+        const first = await resolveAlignmentInput(a, 'a');
+        const second = await resolveAlignmentInput(b, 'b');
+
+        const alignment = alignSequences(first.sequence, second.sequence, {
+            mode,
+            matrix: String(matrix).toUpperCase(),
+            gapOpen: Number(gapOpen),
+            gapExtend: Number(gapExtend)
+        });
+
+        if(accepted === 'image/svg+xml') {
+            const svg = generateAlignmentSVG(alignment);
+            return res.status(200).type('image/svg+xml').send(svg);
+        }
+
+        const { matchLine, ...result } = alignment;
+        res.status(200).json({
+            ...result,
+            a: { proteinId: first.proteinId, name: first.name, ...alignment.a },
+            b: { proteinId: second.proteinId, name: second.name, ...alignment.b },
+            text: formatAlignmentText(alignment, "a", "b")
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Peptide mass fingerprint: rank stored proteins by how many observed masses their digest explains
+app.post('/api/pmf', async (req, res, next) => {
+    try {
+        const request = parsePmfRequest(req.body);
+
+        const hits = await matchPeptideMassFingerprint(store, request);
+
+        const { masses, ...query } = request;
+        res.status(200).json({
+            query: { ...query, massCount: masses.length },
+            hits: hits.map(hit => ({ ...hit, links: proteinLinks(publicBaseUrl(req), hit.proteinId) }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Validate a motif definition body, `current` holds the stored values on update
+function parseMotifDefinition(body, current = {}) {
+    const { name = current.name, type = current.type || null, pattern = current.pattern, description = current.description || null } = body;
+
+    if(typeof name !== 'string' || name.trim() === "" || name.length > 50) throw new BadRequestError("[Motif Error] Invalid name");
+    if(type !== null && (typeof type !== 'string' || type.length > 50)) throw new BadRequestError("[Motif Error] Invalid type");
+    if(typeof pattern !== 'string' || pattern.length > 200) throw new BadRequestError("[Motif Error] Invalid pattern");
+    if(description !== null && (typeof description !== 'string' || description.length > 1000)) throw new BadRequestError("[Motif Error] Invalid description");
+
+    // Throws on invalid PROSITE syntax
+    prositeToRegExp(pattern);
+
+    return { name: name.trim(), type, pattern: pattern.trim(), description };
+}
+
+app.get('/api/motifs', async (req, res, next) => {
+    try {
+        const definitions = await store.motifs.listDefinitions();
+        res.status(200).json(definitions.map(formatMotifDefinition));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/motifs/:motifId', async (req, res, next) => {
+    try {
+        const definition = await store.motifs.getDefinition(req.params.motifId);
+        if(!definition) throw new NotFoundError("Motif with given ID does not exist");
+
+        res.status(200).json(formatMotifDefinition(definition));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/motifs', requireRole('admin'), async (req, res, next) => {
+    try {
+        const { name, type, pattern, description } = parseMotifDefinition(req.body);
+
+        const existing = await store.motifs.findDefinitionByName(name);
+        if(existing) throw new ConflictError("[Motif Error] Motif with given name already exists");
+
+        const definition = await store.motifs.insertDefinition({ name, type, pattern, description });
+
+        res.status(201).json(formatMotifDefinition(definition));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/api/motifs/:motifId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const motifId = req.params.motifId;
+
+        const current = await store.motifs.getDefinition(motifId);
+        if(!current) throw new NotFoundError("Motif with given ID does not exist");
+
+        const { name, type, pattern, description } = parseMotifDefinition(req.body, current);
+
+        const existing = await store.motifs.findDefinitionByName(name, { excluding: motifId });
+        if(existing) throw new ConflictError("[Motif Error] Motif with given name already exists");
+
+        // Stored hits take the new name as their motif type
+        const definition = await store.motifs.updateDefinition(motifId, { name, type, pattern, description });
+
+        res.status(200).json(formatMotifDefinition(definition));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Stored hits of the motif cascade with it
+app.delete('/api/motifs/:motifId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const deleted = await store.motifs.deleteDefinition(req.params.motifId);
+        if(!deleted) throw new NotFoundError("[Delete] Motif with given ID does not exist");
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Re-annotate every stored protein with one motif, e.g. after adding or editing it
+app.post('/api/motifs/:motifId/rescan', requireRole('admin'), async (req, res, next) => {
+    try {
+        const motifId = req.params.motifId;
+
+        const definitions = await getMotifDefinitions(store);
+        const definition = definitions.find(d => d.motif_definition_id === motifId);
+        if(!definition) throw new NotFoundError("Motif with given ID does not exist");
+
+        if(wantsAsync(req)) return submitJob(req, res, 'motif-rescan', { motifId });
+
+        const report = await rescanMotif(store, definition, req.user.id);
+
+        res.status(200).json(report);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Validate a user body, `current` holds the stored values on update
+function parseUser(body, current = {}) {
+    const { id = current.id, name = current.name, role = current.role || 'basic' } = body;
+
+    if(typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,50}$/.test(id)) throw new BadRequestError("[User Error] Invalid id");
+    if(typeof name !== 'string' || name.trim() === "" || name.length > 100) throw new BadRequestError("[User Error] Invalid name");
+    if(!USER_ROLES.includes(role)) throw new BadRequestError(`[User Error] Invalid role, expected one of ${USER_ROLES.join(", ")}`);
+
+    return { id, name: name.trim(), role };
+}
+
+// Refuse changes that would leave nobody able to manage users
+async function ensureAnotherAdmin(userId) {
+    const admins = await store.users.countAdmins({ excluding: userId });
+    if(admins === 0) throw new ConflictError("[User Error] Cannot remove the last admin");
+}
+
+app.get('/api/users', requireRole('admin'), async (req, res, next) => {
+    try {
+        const users = await store.users.list();
+
+        res.status(200).json(users);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/users/:userId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const user = await store.users.get(req.params.userId);
+        if(!user) throw new NotFoundError("User with given ID does not exist");
+
+        res.status(200).json(user);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res, next) => {
+    try {
+        const { id, name, role } = parseUser(req.body || {});
+
+        const existing = await store.users.get(id);
+        if(existing) throw new ConflictError("[User Error] User with given ID already exists");
+
+        const user = await store.users.insert({ id, name, role });
+
+        res.status(201).json(user);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Update a user's name and/or role
+app.put('/api/users/:userId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const userId = req.params.userId;
+
+        const current = await store.users.get(userId);
+        if(!current) throw new NotFoundError("User with given ID does not exist");
+
+        if(req.body && req.body.id !== undefined && req.body.id !== userId) throw new BadRequestError("[User Error] User ID cannot be changed");
+        const { name, role } = parseUser(req.body || {}, current);
+
+        if(current.role === 'admin' && role !== 'admin') await ensureAnotherAdmin(userId);
+
+        const user = await store.users.update(userId, { name, role });
+
+        res.status(200).json(user);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Owned proteins are kept and become admin-managed
+app.delete('/api/users/:userId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const userId = req.params.userId;
+
+        const current = await store.users.get(userId);
+        if(!current) throw new NotFoundError("User with given ID does not exist");
+
+        if(current.role === 'admin') await ensureAnotherAdmin(userId);
+
+        await store.users.delete(userId);
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Issue an API key, admins may issue keys for other users
+app.post('/api/keys', async (req, res, next) => {
+    try {
+        const { userId = req.user.id, name = null, scopes = ['read'], expiresAt = null } = req.body || {};
+
+        if(userId !== req.user.id && !hasAdminAccess(req.user)) throw new ForbiddenError("[Forbidden] Only admins can issue keys for other users");
+        if(name !== null && (typeof name !== 'string' || name.length > 100)) throw new BadRequestError("[API Key Error] Invalid name");
+        if(!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            throw new BadRequestError(`[API Key Error] Invalid scopes, expected a list of ${API_KEY_SCOPES.join(", ")}`);
+        }
+        if(expiresAt !== null && (isNaN(Date.parse(expiresAt)) || new Date(expiresAt) <= new Date())) {
+            throw new BadRequestError("[API Key Error] Invalid expiresAt, expected a future ISO 8601 date");
+        }
+
+        const user = await store.users.get(userId);
+        if(!user) throw new NotFoundError("User with given ID does not exist");
+
+        // A key never grants more than the caller and its owner already hold
+        if(scopes.includes('admin') && (user.role !== 'admin' || !req.user.scopes.includes('admin'))) {
+            throw new ForbiddenError("[Forbidden] The admin scope requires an admin user");
+        }
+        if(scopes.some(scope => !req.user.scopes.includes(scope))) throw new ForbiddenError("[Forbidden] Cannot issue scopes the current key lacks");
+
+        const { key, apiKey } = await issueApiKey(store, userId, {
+            name,
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString()
+        });
+
+        res.status(201).json({ ...formatApiKey(apiKey), key });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// List keys, admins see every user's keys and may filter with ?userId=
+app.get('/api/keys', async (req, res, next) => {
+    try {
+        const admin = hasAdminAccess(req.user);
+        const userId = admin ? req.query.userId : req.user.id;
+        const includeRevoked = req.query.includeRevoked === 'true';
+
+        const keys = await store.apiKeys.list({ userId, includeRevoked });
+
+        res.status(200).json(keys.map(formatApiKey));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Revoke a key, owners may revoke their own keys and admins any key
+app.delete('/api/keys/:keyId', async (req, res, next) => {
+    try {
+        const keyId = req.params.keyId;
+
+        const apiKey = await store.apiKeys.get(keyId);
+        if(!apiKey) throw new NotFoundError("API key with given ID does not exist");
+        if(apiKey.user_id !== req.user.id && !hasAdminAccess(req.user)) {
+            throw new ForbiddenError("[Forbidden] Only the owner or an admin can revoke this key");
+        }
+
+        if(!apiKey.revoked_at) {
+            await store.apiKeys.revoke(keyId);
+        }
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Jobs of the caller, admins see every job and may filter with ?userId=
+app.get('/api/jobs', async (req, res, next) => {
+    try {
+        const userId = hasAdminAccess(req.user) ? req.query.userId : req.user.id;
+        const { status } = req.query;
+        if(status && !JOB_STATUSES.includes(status)) throw new BadRequestError(`[Job Error] Invalid status, expected one of ${JOB_STATUSES.join(", ")}`);
+
+        const jobs = await store.jobs.list({ userId, status });
+
+        res.status(200).json(jobs.map(job => formatJob(job, publicBaseUrl(req))));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/jobs/:jobId', async (req, res, next) => {
+    try {
+        const job = await store.jobs.get(req.params.jobId);
+        if(!job) throw new NotFoundError("Job with given ID does not exist");
+        if(job.user_id !== req.user.id && !hasAdminAccess(req.user)) throw new ForbiddenError("[Forbidden] Only the submitter or an admin can view this job");
+
+        res.status(200).json(formatJob(job, publicBaseUrl(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+function parseWebhook(body, current = {}) {
+    const {
+        url = current.url,
+        events = current.events,
+        description = current.description ?? null,
+        active = current.active ?? true
+    } = body;
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        throw new BadRequestError("[Webhook Error] Invalid url");
+    }
+    if(!['http:', 'https:'].includes(parsedUrl.protocol) || url.length > 2000) throw new BadRequestError("[Webhook Error] Invalid url, expected an http(s) URL");
+    if(!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        throw new BadRequestError(`[Webhook Error] Invalid events, expected a list of ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    if(description !== null && (typeof description !== 'string' || description.length > 1000)) throw new BadRequestError("[Webhook Error] Invalid description");
+    if(typeof active !== 'boolean') throw new BadRequestError("[Webhook Error] Invalid active, expected a boolean");
+
+    return { url, events: [...new Set(events)], description, active };
+}
+
+// Deliveries check the address again when connecting, this rejects targets that are private already
+async function requirePublicWebhookTarget(url) {
+    if(!ALLOW_PRIVATE_WEBHOOK_TARGETS && await isPrivateTarget(url)) {
+        throw new BadRequestError("[Webhook Error] Invalid url, loopback, link-local and private addresses cannot be targeted");
+    }
+}
+
+// Route guard: only the webhook's owner or an admin may see or change it, sets `req.webhook`
+async function requireWebhookOwner(req, res, next) {
+    try {
+        const webhook = await store.webhooks.get(req.params.webhookId);
+        if(!webhook) throw new NotFoundError("Webhook with given ID does not exist");
+        if(webhook.user_id !== req.user.id && !hasAdminAccess(req.user)) {
+            throw new ForbiddenError("[Forbidden] Only the owner or an admin can manage this webhook");
+        }
+
+        req.webhook = webhook;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Subscribe a URL to protein events, the signing secret is only returned here
+app.post('/api/webhooks', async (req, res, next) => {
+    try {
+        const { url, events, description, active } = parseWebhook(req.body || {});
+        await requirePublicWebhookTarget(url);
+
+        const webhook = await store.webhooks.insert({ userId: req.user.id, url, events, description, active, secret: generateWebhookSecret() });
+
+        res.status(201).json({ ...formatWebhook(webhook), secret: webhook.secret });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Webhooks of the caller, admins see every webhook and may filter with ?userId=
+app.get('/api/webhooks', async (req, res, next) => {
+    try {
+        const userId = hasAdminAccess(req.user) ? req.query.userId : req.user.id;
+
+        const webhooks = await store.webhooks.list({ userId });
+
+        res.status(200).json(webhooks.map(formatWebhook));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/webhooks/:webhookId', requireWebhookOwner, async (req, res, next) => {
+    try {
+        res.status(200).json(formatWebhook(req.webhook));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Omitted fields keep their current value
+app.put('/api/webhooks/:webhookId', requireWebhookOwner, async (req, res, next) => {
+    try {
+        const { url, events, description, active } = parseWebhook(req.body || {}, req.webhook);
+        await requirePublicWebhookTarget(url);
+
+        const webhook = await store.webhooks.update(req.params.webhookId, { url, events, description, active });
+
+        res.status(200).json(formatWebhook(webhook));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Deliveries cascade with the webhook
+app.delete('/api/webhooks/:webhookId', requireWebhookOwner, async (req, res, next) => {
+    try {
+        await store.webhooks.delete(req.params.webhookId);
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Delivery log of a webhook, newest first
+app.get('/api/webhooks/:webhookId/deliveries', requireWebhookOwner, async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+        if(status && !DELIVERY_STATUSES.includes(status)) {
+            throw new BadRequestError(`[Webhook Error] Invalid status, expected one of ${DELIVERY_STATUSES.join(", ")}`);
+        }
+        if(isNaN(limit) || limit <= 0 || limit > 1000) throw new BadRequestError("[Webhook Error] Invalid limit");
+
+        const deliveries = await store.webhooks.listDeliveries(req.params.webhookId, { status, limit });
+
+        res.status(200).json(deliveries.map(delivery => formatDelivery(delivery, { detailed: hasAdminAccess(req.user) })));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Send a test event now and report whether it was delivered, admins also see how the receiver answered
+app.post('/api/webhooks/:webhookId/test', requireWebhookOwner, async (req, res, next) => {
+    try {
+        const delivery = await testWebhook(store, req.webhook, req.user.id, { allowPrivateTargets: ALLOW_PRIVATE_WEBHOOK_TARGETS });
+
+        res.status(200).json(formatDelivery(delivery, { detailed: hasAdminAccess(req.user) }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Audit feed across all proteins, newest first
+app.get('/api/audit', requireRole('admin'), async (req, res, next) => {
+    try {
+        const { userId, action, proteinId, from, to } = req.query;
+        const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+        const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+        if(isNaN(limit) || limit <= 0 || limit > 1000 || isNaN(offset) || offset < 0) throw new BadRequestError("[Audit Error] Invalid limit or offset");
+
+        const actions = action ? action.split(",") : undefined;
+        if(actions && actions.some(a => !AUDIT_ACTIONS.includes(a))) throw new BadRequestError(`[Audit Error] Invalid action, expected any of ${AUDIT_ACTIONS.join(", ")}`);
+        const bounds = {};
+        for(const [name, value] of [['from', from], ['to', to]]) {
+            if(value === undefined) continue;
+            if(isNaN(Date.parse(value))) throw new BadRequestError(`[Audit Error] Invalid ${name}, expected an ISO 8601 date`);
+            bounds[name] = new Date(value).toISOString();
+        }
+
+        const entries = await store.audit.list({ userId, proteinId, actions, ...bounds, limit, offset });
+
+        res.status(200).json(entries.map(formatAuditEntry));
+    } catch (error) {
+        next(error);
+    }
+});
 
 app.use((req, res, next) => {
     next(new NotFoundError("The requested route does not exist"));
@@ -459,8 +1536,11 @@ function errorHandler(err, req, res, next) {
 
     if (err instanceof BadRequestError || 
         err instanceof UnauthorizedError || 
+        err instanceof ForbiddenError || 
         err instanceof NotFoundError || 
-        err instanceof ConflictError) {
+        err instanceof NotAcceptableError || 
+        err instanceof ConflictError || 
+        err instanceof PreconditionFailedError) {
         res.status(err.code).json({ error: err.message });
     }
     else {
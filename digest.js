@@ -0,0 +1,175 @@
+const { BadRequestError } = require('./error');
+const { calculateMolecularWeight, calculateMonoisotopicMass, fragmentSequence, cleavageRules, parseProteinSearch } = require('./lib');
+
+const PROTON_MASS = 1.007276;
+const MAX_MISSED_CLEAVAGES = 3;
+const MAX_PMF_MASSES = 1000;
+const MASS_TYPES = ['monoisotopic', 'average'];
+// Observed masses are either protonated peptides (MALDI) or neutral masses
+const ION_TYPES = ['MH+', 'M'];
+
+function parseDigestOptions({ enzyme = 'trypsin', missedCleavages = 0 } = {}, errorPrefix) {
+    if(!(enzyme in cleavageRules)) throw new BadRequestError(`${errorPrefix} Invalid enzyme, expected one of ${Object.keys(cleavageRules).join(", ")}`);
+
+    const missed = Number(missedCleavages);
+    if(!Number.isInteger(missed) || missed < 0 || missed > MAX_MISSED_CLEAVAGES) {
+        throw new BadRequestError(`${errorPrefix} Invalid missedCleavages, expected an integer between 0 and ${MAX_MISSED_CLEAVAGES}`);
+    }
+
+    return { enzyme, missedCleavages: missed };
+}
+
+// Peptides of a digest with up to `missedCleavages` uncut sites each,
+// positions are 0-based with an exclusive end like fragments
+function digestSequence(sequence, { enzyme, missedCleavages = 0 }) {
+    const ranges = fragmentSequence(sequence, { strategy: 'enzyme', enzyme });
+    const peptides = [];
+
+    for(let i = 0; i < ranges.length; i++) {
+        for(let missed = 0; missed <= missedCleavages && i + missed < ranges.length; missed++) {
+            const start = ranges[i].start;
+            const end = ranges[i + missed].end;
+            const peptide = sequence.slice(start, end);
+
+            peptides.push({
+                sequence: peptide,
+                startPosition: start,
+                endPosition: end,
+                missedCleavages: missed,
+                monoisotopicMass: calculateMonoisotopicMass(peptide),
+                averageMass: calculateMolecularWeight(peptide)
+            });
+        }
+    }
+
+    return peptides;
+}
+
+function parsePmfRequest(body) {
+    if(!body || typeof body !== 'object' || Array.isArray(body)) throw new BadRequestError("[PMF Error] Expected a JSON body");
+
+    const { masses, tolerance = 50, massType = 'monoisotopic', ion = 'MH+', limit = 10, minMatches = 1 } = body;
+
+    if(!Array.isArray(masses) || masses.length === 0 || masses.length > MAX_PMF_MASSES) {
+        throw new BadRequestError(`[PMF Error] Invalid masses, expected 1 to ${MAX_PMF_MASSES} observed masses`);
+    }
+    if(masses.some(mass => typeof mass !== 'number' || !Number.isFinite(mass) || mass <= 0)) {
+        throw new BadRequestError("[PMF Error] Invalid masses, expected positive numbers");
+    }
+    if(typeof tolerance !== 'number' || !Number.isFinite(tolerance) || tolerance <= 0 || tolerance > 1000) {
+        throw new BadRequestError("[PMF Error] Invalid tolerance, expected ppm between 0 and 1000");
+    }
+    if(!MASS_TYPES.includes(massType)) throw new BadRequestError(`[PMF Error] Invalid massType, expected one of ${MASS_TYPES.join(", ")}`);
+    if(!ION_TYPES.includes(ion)) throw new BadRequestError(`[PMF Error] Invalid ion, expected one of ${ION_TYPES.join(", ")}`);
+    if(!Number.isInteger(limit) || limit <= 0 || limit > 100) throw new BadRequestError("[PMF Error] Invalid limit");
+    if(!Number.isInteger(minMatches) || minMatches <= 0) throw new BadRequestError("[PMF Error] Invalid minMatches");
+
+    return {
+        masses,
+        tolerance,
+        massType,
+        ion,
+        limit,
+        minMatches,
+        ...parseDigestOptions(body, "[PMF Error]")
+    };
+}
+
+// Index of the first peptide whose mass is at least `mass`, peptides sorted by mass
+function lowerBound(peptides, mass) {
+    let low = 0;
+    let high = peptides.length;
+    while(low < high) {
+        const middle = (low + high) >> 1;
+        if(peptides[middle].mass < mass) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+// Sorted peptide masses of recent digests, by protein, its last update and the digest settings
+const PEPTIDE_CACHE_SIZE = 1000;
+const peptideCache = new Map();
+
+function digestMasses(protein, { enzyme, missedCleavages, massType, ion }) {
+    const key = [protein.protein_id, new Date(protein.updated_at).toISOString(), enzyme, missedCleavages, massType, ion].join(":");
+    let peptides = peptideCache.get(key);
+    if(peptides) {
+        // Most recently used last, so the oldest entry is evicted first
+        peptideCache.delete(key);
+    } else {
+        peptides = digestSequence(protein.sequence, { enzyme, missedCleavages })
+            .map(peptide => ({
+                ...peptide,
+                mass: (massType === 'monoisotopic' ? peptide.monoisotopicMass : peptide.averageMass) + (ion === 'MH+' ? PROTON_MASS : 0)
+            }))
+            .sort((a, b) => a.mass - b.mass);
+    }
+
+    peptideCache.set(key, peptides);
+    if(peptideCache.size > PEPTIDE_CACHE_SIZE) peptideCache.delete(peptideCache.keys().next().value);
+    return peptides;
+}
+
+// Digest one protein and match the observed masses, a mass matches a peptide within
+// `tolerance` ppm of the peptide's theoretical mass
+function matchProteinMasses(protein, request) {
+    const { masses, tolerance } = request;
+    const sequence = protein.sequence;
+    const peptides = digestMasses(protein, request);
+
+    const matches = [];
+    let matchedMasses = 0;
+    const covered = new Uint8Array(sequence.length);
+    for(const observedMass of masses) {
+        // |observed - theoretical| <= theoretical * tolerance / 1e6, solved for the theoretical mass
+        const low = observedMass / (1 + tolerance / 1e6);
+        const high = observedMass / (1 - tolerance / 1e6);
+
+        let matched = false;
+        for(let i = lowerBound(peptides, low); i < peptides.length && peptides[i].mass <= high; i++) {
+            const { mass, ...peptide } = peptides[i];
+            matches.push({ observedMass, theoreticalMass: mass, errorPpm: (observedMass - mass) / mass * 1e6, peptide });
+            covered.fill(1, peptide.startPosition, peptide.endPosition);
+            matched = true;
+        }
+        if(matched) matchedMasses++;
+    }
+
+    const coveredResidues = covered.reduce((sum, residue) => sum + residue, 0);
+    return {
+        proteinId: protein.protein_id,
+        name: protein.name,
+        matchedMasses,
+        sequenceCoverage: sequence.length > 0 ? coveredResidues / sequence.length : 0,
+        matches: matches.sort((a, b) => a.peptide.startPosition - b.peptide.startPosition || a.observedMass - b.observedMass)
+    };
+}
+
+// Rank stored proteins by the number of observed masses they explain, then by sequence coverage
+async function matchPeptideMassFingerprint(store, request) {
+    // No peptide is heavier than the average mass of its whole protein, and monoisotopic masses are lighter still,
+    // so proteins below the lightest mass an observation could match are not digested; one dalton covers rounding
+    const lightest = Math.min(...request.masses) / (1 + request.tolerance / 1e6) - (request.ion === 'MH+' ? PROTON_MASS : 0);
+    const proteins = await store.proteins.search(parseProteinSearch({ molecularWeight: { gte: Math.max(0, lightest - 1) } }));
+
+    const hits = [];
+    for(const protein of proteins) {
+        if(!protein.sequence) continue;
+
+        const hit = matchProteinMasses(protein, request);
+        if(hit.matchedMasses >= request.minMatches) hits.push(hit);
+    }
+
+    hits.sort((a, b) => b.matchedMasses - a.matchedMasses || b.sequenceCoverage - a.sequenceCoverage);
+    return hits.slice(0, request.limit);
+}
+
+module.exports = {
+    PROTON_MASS,
+    MAX_MISSED_CLEAVAGES,
+    parseDigestOptions,
+    digestSequence,
+    parsePmfRequest,
+    matchPeptideMassFingerprint
+};
@@ -15,6 +15,14 @@ class  UnauthorizedError extends Error {
     }
 }
 
+class ForbiddenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ForbiddenError';
+        this.code = 403;
+    }
+}
+
 class NotFoundError extends Error {
     constructor(message) {
         super(message);
@@ -23,6 +31,22 @@ class NotFoundError extends Error {
     }
 }
 
+class NotAcceptableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotAcceptableError';
+        this.code = 406;
+    }
+}
+
+class PreconditionFailedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PreconditionFailedError';
+        this.code = 412;
+    }
+}
+
 class ConflictError extends Error {
     constructor(message) {
         super(message);
@@ -31,4 +55,4 @@ class ConflictError extends Error {
     }
 }
 
-module.exports = { BadRequestError, UnauthorizedError, NotFoundError, ConflictError };
\ No newline at end of file
+module.exports = { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, NotAcceptableError, ConflictError, PreconditionFailedError };
\ No newline at end of file
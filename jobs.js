@@ -0,0 +1,180 @@
+const { NotFoundError } = require('./error');
+const {
+    createProteinWithFragments,
+    refragmentProtein,
+    rescanMotif,
+    importFastaRecords,
+    getMotifDefinitions
+} = require('./lib');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// A job interrupted this many times (server crash or restart while running) is marked failed
+const MAX_JOB_ATTEMPTS = 3;
+
+// Work for each job type, `job.payload` holds what the route validated at submission
+const jobHandlers = {
+    'create-protein': async (store, job) => {
+        // The result is checkpointed with the protein, a retry after a crash past the commit returns it
+        if(job.result) return job.result;
+
+        const { proteinData, sequence } = job.payload;
+        return store.transaction(async tx => {
+            const { protein_id } = await createProteinWithFragments(tx, proteinData, sequence);
+            const result = { proteinId: protein_id };
+            await tx.jobs.reportProgress(job.job_id, 100, result);
+            return result;
+        });
+    },
+
+    'fasta-import': async (store, job, reportProgress) => {
+        const { records, rejected, mode, fragmentation, ownerId } = job.payload;
+
+        // Resume from the last checkpoint when the job was interrupted
+        const report = job.result || { created: [], rejected };
+        const total = records.length;
+        await importFastaRecords(store, records, { mode, fragmentation, ownerId }, report, async current => {
+            const done = current.created.length + current.rejected.length - rejected.length;
+            await reportProgress(total > 0 ? done / total * 100 : 100, current);
+        });
+
+        return { mode, ...report };
+    },
+
+    'refragment': async (store, job) => {
+        const { proteinId, fragmentation } = job.payload;
+
+        const protein = await store.proteins.get(proteinId);
+        if(!protein) throw new NotFoundError("Protein with given ID does not exist");
+
+        await refragmentProtein(store, protein, fragmentation, job.user_id);
+        return { proteinId, fragmentation };
+    },
+
+    'motif-rescan': async (store, job, reportProgress) => {
+        const definitions = await getMotifDefinitions(store);
+        const definition = definitions.find(d => d.motif_definition_id === job.payload.motifId);
+        if(!definition) throw new NotFoundError("Motif with given ID does not exist");
+
+        return rescanMotif(store, definition, job.user_id, (done, total) => reportProgress(done / total * 100));
+    }
+};
+
+const JOB_TYPES = Object.keys(jobHandlers);
+
+async function enqueueJob(store, type, payload, userId) {
+    if(!(type in jobHandlers)) throw new Error(`Unknown job type: ${type}`);
+
+    return store.jobs.insert({ type, payload, userId });
+}
+
+// Claim the oldest queued job, the backend makes sure two workers never claim the same one
+async function claimNextJob(store) {
+    return store.jobs.claimNext();
+}
+
+// Running jobs whose worker stopped sending heartbeats are requeued, or failed after MAX_JOB_ATTEMPTS
+async function requeueStaleJobs(store, staleAfter) {
+    const cutoff = new Date(Date.now() - staleAfter).toISOString();
+
+    return store.jobs.requeueStale(cutoff, MAX_JOB_ATTEMPTS);
+}
+
+async function runJob(store, job, heartbeatInterval) {
+    // Progress may carry a partial result, used as the checkpoint when the job is resumed
+    const reportProgress = async (progress, partialResult) => {
+        await store.jobs.reportProgress(job.job_id, Math.floor(progress), partialResult === undefined ? null : partialResult);
+    };
+
+    const heartbeat = setInterval(() => {
+        store.jobs.heartbeat(job.job_id)
+            .catch(error => console.error('Job heartbeat failed:', error));
+    }, heartbeatInterval);
+
+    try {
+        const result = await jobHandlers[job.type](store, job, reportProgress);
+        await store.jobs.succeed(job.job_id, result);
+    } catch (error) {
+        await store.jobs.fail(job.job_id, error.message);
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// Poll for queued jobs and run them one at a time, returns a function that stops the worker
+function startJobWorker(store, { pollInterval = 1000, staleAfter = 60 * 1000 } = {}) {
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+        try {
+            await requeueStaleJobs(store, staleAfter);
+
+            let job;
+            while(!stopped && (job = await claimNextJob(store))) {
+                await runJob(store, job, staleAfter / 4);
+            }
+        } catch (error) {
+            console.error('Job worker failed:', error);
+        }
+
+        if(!stopped) {
+            timer = setTimeout(poll, pollInterval);
+            timer.unref();
+        }
+    };
+    poll();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+// Links to whatever the job produced
+function jobResultLinks(job, baseUrl) {
+    const result = job.result || {};
+    switch(job.type) {
+        case 'create-protein':
+            return result.proteinId ? { protein: `${baseUrl}/api/proteins/${result.proteinId}` } : {};
+        case 'fasta-import':
+            return { proteins: (result.created || []).map(c => `${baseUrl}/api/proteins/${c.proteinId}`) };
+        case 'refragment':
+            return { protein: `${baseUrl}/api/proteins/${job.payload.proteinId}`, fragments: `${baseUrl}/api/proteins/${job.payload.proteinId}/fragments` };
+        case 'motif-rescan':
+            return { motif: `${baseUrl}/api/motifs/${job.payload.motifId}` };
+        default:
+            return {};
+    }
+}
+
+// `baseUrl` is the public base URL links are resolved against
+function formatJob(row, baseUrl = "") {
+    return {
+        jobId: row.job_id,
+        type: row.type,
+        status: row.status,
+        progress: row.progress,
+        attempts: row.attempts,
+        error: row.error,
+        result: row.status === 'succeeded' ? row.result : null,
+        userId: row.user_id,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        links: {
+            self: `${baseUrl}/api/jobs/${row.job_id}`,
+            ...(row.status === 'succeeded' ? jobResultLinks(row, baseUrl) : {})
+        }
+    };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JOB_TYPES,
+    enqueueJob,
+    claimNextJob,
+    requeueStaleJobs,
+    startJobWorker,
+    formatJob
+};
@@ -1,7 +1,6 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('./error');
-const { Console } = require('console');
+const { AUDIT_ACTION_EVENTS, queueWebhookEvent } = require('./webhooks');
 
 const propensities = {
     A: { H: 1.42, E: 0.83, C: 0.80 }, R: { H: 1.21, E: 0.84, C: 0.96 },
@@ -22,22 +21,156 @@ function generateProteinName(sequence) {
     return `Protein_${seq}_${timestep}`;
 }
 
-function calculateMolecularWeight(sequence) {
-    const molecularWeights = {
-        A: 89.09, R: 174.20, N: 132.12, D: 133.10, C: 121.16,
-        E: 147.13, Q: 146.15, G: 75.07, H: 155.16, I: 131.17,
-        L: 131.17, K: 146.19, M: 149.21, F: 165.19, P: 115.13,
-        S: 105.09, T: 119.12, W: 204.23, Y: 181.19, V: 117.15
-    };
+// Average masses of the free amino acids
+const molecularWeights = {
+    A: 89.09, R: 174.20, N: 132.12, D: 133.10, C: 121.16,
+    E: 147.13, Q: 146.15, G: 75.07, H: 155.16, I: 131.17,
+    L: 131.17, K: 146.19, M: 149.21, F: 165.19, P: 115.13,
+    S: 105.09, T: 119.12, W: 204.23, Y: 181.19, V: 117.15
+};
+
+// Monoisotopic masses of the residues (free amino acid minus water)
+const monoisotopicResidueMasses = {
+    A: 71.03711, R: 156.10111, N: 114.04293, D: 115.02694, C: 103.00919,
+    E: 129.04259, Q: 128.05858, G: 57.02146, H: 137.05891, I: 113.08406,
+    L: 113.08406, K: 128.09496, M: 131.04049, F: 147.06841, P: 97.05276,
+    S: 87.03203, T: 101.04768, W: 186.07931, Y: 163.06333, V: 99.06841
+};
 
+const WATER_MASS = { average: 18.015, monoisotopic: 18.010565 };
+
+// Average mass of the peptide, one water is lost per peptide bond
+function calculateMolecularWeight(sequence) {
     let sum = 0;    
     for(const aa of sequence) {
         sum += molecularWeights[aa];
     }
 
+    if(sequence.length > 1) sum -= (sequence.length - 1) * WATER_MASS.average;
+
+    return sum;
+}
+
+function calculateMonoisotopicMass(sequence) {
+    let sum = WATER_MASS.monoisotopic;
+    for(const aa of sequence) {
+        sum += monoisotopicResidueMasses[aa];
+    }
     return sum;
 }
 
+// Bjellqvist pKa values used by ExPASy ProtParam, the termini depend on the terminal residue
+const pKa = {
+    nTerm: { default: 7.5, A: 7.59, M: 7.0, S: 6.93, P: 8.36, T: 6.82, V: 7.44, E: 7.7 },
+    cTerm: { default: 3.55, D: 4.55, E: 4.75 },
+    positive: { K: 10.0, R: 12.0, H: 5.98 },
+    negative: { D: 4.05, E: 4.45, C: 9.0, Y: 10.0 }
+};
+
+function calculateNetCharge(sequence, pH) {
+    const nTerm = pKa.nTerm[sequence[0]] || pKa.nTerm.default;
+    const cTerm = pKa.cTerm[sequence[sequence.length - 1]] || pKa.cTerm.default;
+    let charge = 1 / (1 + Math.pow(10, pH - nTerm)) - 1 / (1 + Math.pow(10, cTerm - pH));
+    for(const aa of sequence) {
+        if(aa in pKa.positive) charge += 1 / (1 + Math.pow(10, pH - pKa.positive[aa]));
+        else if(aa in pKa.negative) charge -= 1 / (1 + Math.pow(10, pKa.negative[aa] - pH));
+    }
+    return charge;
+}
+
+// Bisect for the pH where the net charge is zero
+function calculateIsoelectricPoint(sequence) {
+    let low = 0;
+    let high = 14;
+    while(high - low > 0.001) {
+        const mid = (low + high) / 2;
+        if(calculateNetCharge(sequence, mid) > 0) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Molar extinction coefficient at 280 nm (Pace et al.), with all Cys reduced or paired as cystines
+function calculateExtinctionCoefficient(sequence) {
+    const count = aa => sequence.split(aa).length - 1;
+    const reduced = count('W') * 5500 + count('Y') * 1490;
+    return { reduced, oxidized: reduced + Math.floor(count('C') / 2) * 125 };
+}
+
+// Kyte-Doolittle hydropathy
+const hydropathy = {
+    A: 1.8, R: -4.5, N: -3.5, D: -3.5, C: 2.5, Q: -3.5, E: -3.5, G: -0.4, H: -3.2, I: 4.5,
+    L: 3.8, K: -3.9, M: 1.9, F: 2.8, P: -1.6, S: -0.8, T: -0.7, W: -0.9, Y: -1.3, V: 4.2
+};
+
+function calculateGravy(sequence) {
+    let sum = 0;
+    for(const aa of sequence) {
+        sum += hydropathy[aa];
+    }
+    return sum / sequence.length;
+}
+
+function calculateAliphaticIndex(sequence) {
+    const molePercent = aa => (sequence.split(aa).length - 1) / sequence.length * 100;
+    return molePercent('A') + 2.9 * molePercent('V') + 3.9 * (molePercent('I') + molePercent('L'));
+}
+
+// Dipeptide instability weight values (Guruprasad et al., 1990)
+const instabilityWeights = {
+    A: { A: 1.0, C: 44.94, E: 1.0, D: -7.49, G: 1.0, F: 1.0, I: 1.0, H: -7.49, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 20.26, S: 1.0, R: 1.0, T: 1.0, W: 1.0, V: 1.0, Y: 1.0 },
+    C: { A: 1.0, C: 1.0, E: 1.0, D: 20.26, G: 1.0, F: 1.0, I: 1.0, H: 33.60, K: 1.0, M: 33.60, L: 20.26, N: 1.0, Q: -6.54, P: 20.26, S: 1.0, R: 1.0, T: 33.60, W: 24.68, V: -6.54, Y: 1.0 },
+    E: { A: 1.0, C: 44.94, E: 33.60, D: 20.26, G: 1.0, F: 1.0, I: 20.26, H: -6.54, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 20.26, P: 20.26, S: 20.26, R: 1.0, T: 1.0, W: -14.03, V: 1.0, Y: 1.0 },
+    D: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: 1.0, F: -6.54, I: 1.0, H: 1.0, K: -7.49, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 1.0, S: 20.26, R: -6.54, T: -14.03, W: 1.0, V: 1.0, Y: 1.0 },
+    G: { A: -7.49, C: 1.0, E: -6.54, D: 1.0, G: 13.34, F: 1.0, I: -7.49, H: 1.0, K: -7.49, M: 1.0, L: 1.0, N: -7.49, Q: 1.0, P: 1.0, S: 1.0, R: 1.0, T: -7.49, W: 13.34, V: 1.0, Y: -7.49 },
+    F: { A: 1.0, C: 1.0, E: 1.0, D: 13.34, G: 1.0, F: 1.0, I: 1.0, H: 1.0, K: -14.03, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 20.26, S: 1.0, R: 1.0, T: 1.0, W: 1.0, V: 1.0, Y: 33.60 },
+    I: { A: 1.0, C: 1.0, E: 44.94, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 13.34, K: -7.49, M: 1.0, L: 20.26, N: 1.0, Q: 1.0, P: -1.88, S: 1.0, R: 1.0, T: 1.0, W: 1.0, V: -7.49, Y: 1.0 },
+    H: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: -9.37, F: -9.37, I: 44.94, H: 1.0, K: 24.68, M: 1.0, L: 1.0, N: 24.68, Q: 1.0, P: -1.88, S: 1.0, R: 1.0, T: -6.54, W: -1.88, V: 1.0, Y: 44.94 },
+    K: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: -7.49, F: 1.0, I: -7.49, H: 1.0, K: 1.0, M: 33.60, L: -7.49, N: 1.0, Q: 24.64, P: -6.54, S: 1.0, R: 33.60, T: 1.0, W: 1.0, V: -7.49, Y: 1.0 },
+    M: { A: 13.34, C: 1.0, E: 1.0, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 58.28, K: 1.0, M: -1.88, L: 1.0, N: 1.0, Q: -6.54, P: 44.94, S: 44.94, R: -6.54, T: -1.88, W: 1.0, V: 1.0, Y: 24.68 },
+    L: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 1.0, K: -7.49, M: 1.0, L: 1.0, N: 1.0, Q: 33.60, P: 20.26, S: 1.0, R: 20.26, T: 1.0, W: 24.68, V: 1.0, Y: 1.0 },
+    N: { A: 1.0, C: -1.88, E: 1.0, D: 1.0, G: -14.03, F: -14.03, I: 44.94, H: 1.0, K: 24.68, M: 1.0, L: 1.0, N: 1.0, Q: -6.54, P: -1.88, S: 1.0, R: 1.0, T: -7.49, W: -9.37, V: 1.0, Y: 1.0 },
+    Q: { A: 1.0, C: -6.54, E: 20.26, D: 20.26, G: 1.0, F: -6.54, I: 1.0, H: 1.0, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 20.26, P: 20.26, S: 44.94, R: 1.0, T: 1.0, W: 1.0, V: -6.54, Y: -6.54 },
+    P: { A: 20.26, C: -6.54, E: 18.38, D: -6.54, G: 1.0, F: 20.26, I: 1.0, H: 1.0, K: 1.0, M: -6.54, L: 1.0, N: 1.0, Q: 20.26, P: 20.26, S: 20.26, R: -6.54, T: 1.0, W: -1.88, V: 20.26, Y: 1.0 },
+    S: { A: 1.0, C: 33.60, E: 20.26, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 1.0, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 20.26, P: 44.94, S: 20.26, R: 20.26, T: 1.0, W: 1.0, V: 1.0, Y: 1.0 },
+    R: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: -7.49, F: 1.0, I: 1.0, H: 20.26, K: 1.0, M: 1.0, L: 1.0, N: 13.34, Q: 20.26, P: 20.26, S: 44.94, R: 58.28, T: 1.0, W: 58.28, V: 1.0, Y: -6.54 },
+    T: { A: 1.0, C: 1.0, E: 20.26, D: 1.0, G: -7.49, F: 13.34, I: 1.0, H: 1.0, K: 1.0, M: 1.0, L: 1.0, N: -14.03, Q: -6.54, P: 1.0, S: 1.0, R: 1.0, T: 1.0, W: -14.03, V: 1.0, Y: 1.0 },
+    W: { A: -14.03, C: 1.0, E: 1.0, D: 1.0, G: -9.37, F: 1.0, I: 1.0, H: 24.68, K: 1.0, M: 24.68, L: 13.34, N: 13.34, Q: 1.0, P: 1.0, S: 1.0, R: 1.0, T: -14.03, W: 1.0, V: -7.49, Y: 1.0 },
+    V: { A: 1.0, C: 1.0, E: 1.0, D: -14.03, G: -7.49, F: 1.0, I: 1.0, H: 1.0, K: -1.88, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 20.26, S: 1.0, R: 1.0, T: -7.49, W: 1.0, V: 1.0, Y: -6.54 },
+    Y: { A: 24.68, C: 1.0, E: -6.54, D: 24.68, G: -7.49, F: 1.0, I: 1.0, H: 13.34, K: 1.0, M: 44.94, L: 1.0, N: 1.0, Q: 1.0, P: 13.34, S: 1.0, R: -15.91, T: -7.49, W: -9.37, V: 1.0, Y: 13.34 }
+};
+
+// Proteins with an index above 40 are predicted to be unstable
+function calculateInstabilityIndex(sequence) {
+    let sum = 0;
+    for(let i = 0; i < sequence.length - 1; i++) {
+        sum += instabilityWeights[sequence[i]][sequence[i + 1]];
+    }
+    return 10 / sequence.length * sum;
+}
+
+function calculateComposition(sequence) {
+    const composition = {};
+    for(const aa of Object.keys(molecularWeights).sort()) {
+        const count = sequence.split(aa).length - 1;
+        composition[aa] = { count, percent: count / sequence.length * 100 };
+    }
+    return composition;
+}
+
+// Properties stored on the protein row for search and sort
+function calculateProperties(sequence) {
+    return {
+        molecularWeight: calculateMolecularWeight(sequence),
+        monoisotopicMass: calculateMonoisotopicMass(sequence),
+        isoelectricPoint: calculateIsoelectricPoint(sequence),
+        extinctionCoefficient: calculateExtinctionCoefficient(sequence).reduced,
+        gravy: calculateGravy(sequence),
+        aliphaticIndex: calculateAliphaticIndex(sequence),
+        instabilityIndex: calculateInstabilityIndex(sequence)
+    };
+}
+
 function predictSecondaryStructure(sequence) {
     let str = "";
     for(const aa of sequence) {
@@ -58,7 +191,7 @@ function predictSecondaryStructure(sequence) {
 function calculateConfidenceScore(sequence) {
     let arr = [];
     for(const aa of sequence) {
-        propensityValue = Object.values(propensities[aa]);
+        const propensityValue = Object.values(propensities[aa]);
         const sortedValues = propensityValue.sort((a, b) => b - a);
         const maxi = sortedValues[0];
         const second_maxi = sortedValues[1];
@@ -68,59 +201,85 @@ function calculateConfidenceScore(sequence) {
     return arr;
 }
 
-function generateStructureSVG(sequence, secondaryStructure) {
-    const svgWidth = sequence.length * 10;
-    const svgHeight = 50;
+// Render the secondary structure as rows of colored residues with a ruler
+function generateStructureSVG(sequence, secondaryStructure, rowLength = 60) {
+    const cellWidth = 10;
+    const margin = 40;
+    const rowHeight = 60;
+    const rows = Math.max(1, Math.ceil(sequence.length / rowLength));
+    const svgWidth = margin * 2 + Math.min(sequence.length, rowLength) * cellWidth;
+    const svgHeight = rows * rowHeight + 30;
     let svg = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">`;
 
-    for (let i = 0; i < sequence.length; i++) {
-        let color;
-        switch (secondaryStructure[i]) {
-            case 'H':
-                color = 'red';
-                break;
-            case 'E':
-                color = 'yellow';
-                break;
-            default:
-                color = 'gray';
+    for (let row = 0; row < rows; row++) {
+        const rowStart = row * rowLength;
+        const rowEnd = Math.min(rowStart + rowLength, sequence.length);
+        const y = row * rowHeight;
+
+        // Ruler with a tick every 10 residues, labelled with the 1-based position
+        svg += `<line x1="${margin}" y1="${y + 15}" x2="${margin + (rowEnd - rowStart) * cellWidth}" y2="${y + 15}" stroke="black" stroke-width="1" />`;
+        for (let i = rowStart; i < rowEnd; i++) {
+            if ((i + 1) % 10 === 0 || i === rowStart) {
+                const x = margin + (i - rowStart) * cellWidth + cellWidth / 2;
+                svg += `<line x1="${x}" y1="${y + 11}" x2="${x}" y2="${y + 15}" stroke="black" stroke-width="1" />`;
+                svg += `<text x="${x}" y="${y + 9}" font-size="8" text-anchor="middle">${i + 1}</text>`;
+            }
+        }
+
+        for (let i = rowStart; i < rowEnd; i++) {
+            let color;
+            switch (secondaryStructure[i]) {
+                case 'H':
+                    color = 'red';
+                    break;
+                case 'E':
+                    color = 'yellow';
+                    break;
+                default:
+                    color = 'gray';
+            }
+            const x = margin + (i - rowStart) * cellWidth;
+            svg += `<rect x="${x}" y="${y + 18}" width="${cellWidth}" height="20" fill="${color}" />`;
+            svg += `<text x="${x + cellWidth / 2}" y="${y + 48}" font-size="8" text-anchor="middle">${sequence[i]}</text>`;
         }
-        svg += `<rect x="${i * 10}" y="0" width="10" height="30" fill="${color}" />`;
     }
 
     // Add legend
+    const legendY = rows * rowHeight + 5;
     svg += `
-        <rect x="10" y="35" width="10" height="10" fill="red" />
-        <text x="25" y="45" font-size="10">alpha-helix</text>
-        <rect x="70" y="35" width="10" height="10" fill="yellow" />
-        <text x="85" y="45" font-size="10">beta-strand</text>
-        <rect x="140" y="35" width="10" height="10" fill="gray" />
-        <text x="155" y="45" font-size="10">coil</text>
+        <rect x="${margin}" y="${legendY}" width="10" height="10" fill="red" />
+        <text x="${margin + 15}" y="${legendY + 10}" font-size="10">alpha-helix</text>
+        <rect x="${margin + 80}" y="${legendY}" width="10" height="10" fill="yellow" />
+        <text x="${margin + 95}" y="${legendY + 10}" font-size="10">beta-strand</text>
+        <rect x="${margin + 160}" y="${legendY}" width="10" height="10" fill="gray" />
+        <text x="${margin + 175}" y="${legendY + 10}" font-size="10">coil</text>
     `;
 
     svg += '</svg>';
     return svg;
 }
 
-async function authenticateUser(pool, userId) {
+async function authenticateUser(store, userId) {
     try {
         // Handle missing authentication
         if (!userId) {
             throw new UnauthorizedError('[Unauthorized] Missing user ID');
         }
 
-        // Query the database to verify if the user exists
-        const user = await pool.query('SELECT * FROM users WHERE id = $1;', [userId]);
+        // Verify that the user exists
+        const user = await store.users.get(userId);
         
-        // Check query results and handle unauthorized access
-        if (user.rowCount === 0) {
+        // Handle unauthorized access
+        if (!user) {
             throw new UnauthorizedError('[Unauthorized] User not found')
         }
         
+        // Legacy header callers are not limited by key scopes
         return {
-            id: user.rows[0].id,
-            name: user.rows[0].name,
-            role: user.rows[0].role
+            id: user.id,
+            name: user.name,
+            role: user.role,
+            scopes: [...API_KEY_SCOPES]
         };
     } catch (error) {
         // Log the error for debugging
@@ -128,216 +287,1117 @@ async function authenticateUser(pool, userId) {
     }
 }
 
+const API_KEY_SCOPES = ['read', 'write', 'admin'];
+
+// Keys are random, so an unsalted SHA-256 is enough to keep them unusable at rest
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Create a key for a user, the plain key is only ever returned here
+async function issueApiKey(store, userId, { name = null, scopes = ['read'], expiresAt = null } = {}) {
+    const key = `pk_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await store.apiKeys.insert({
+        userId,
+        name,
+        prefix: key.slice(0, 11),
+        keyHash: hashApiKey(key),
+        scopes,
+        expiresAt
+    });
+
+    return { key, apiKey };
+}
+
+// Resolve a bearer key to its user, rejecting unknown, revoked and expired keys
+async function authenticateApiKey(store, key) {
+    const apiKey = await store.apiKeys.findByHash(hashApiKey(key));
+    if(!apiKey) throw new UnauthorizedError('[Unauthorized] Invalid API key');
+
+    if(apiKey.revoked_at) throw new UnauthorizedError('[Unauthorized] API key has been revoked');
+    if(apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) throw new UnauthorizedError('[Unauthorized] API key has expired');
+
+    await store.apiKeys.markUsed(apiKey.key_id);
+
+    return {
+        id: apiKey.user_id,
+        name: apiKey.user_name,
+        role: apiKey.role,
+        scopes: apiKey.scopes,
+        keyId: apiKey.key_id
+    };
+}
+
+function formatApiKey(row) {
+    return {
+        keyId: row.key_id,
+        userId: row.user_id,
+        name: row.name,
+        prefix: row.prefix,
+        scopes: row.scopes,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+// Errors from ./error carry the status to answer with, so they pass through the generic failure messages
+function isRequestError(error) {
+    return [BadRequestError, UnauthorizedError, NotFoundError, ConflictError].some(type => error instanceof type);
+}
+
 // Example: Creating a protein and its fragments in a transaction
-async function createProteinWithFragments(pool, proteinData, sequence) {
+// Every step goes through the transaction's repositories, so a failure leaves nothing behind
+async function createProteinWithFragments(store, proteinData, sequence) {
     try {
-        // Begin transaction
-        await pool.query('BEGIN');
-
-        // Insert protein data
-        const proteinResult = await pool.query(
-            `INSERT INTO proteins(name, description, molecular_weight, sequence_length)
-             VALUES($1, $2, $3, $4) RETURNING protein_id, created_at, updated_at`,
-            [
-                proteinData.name,
-                proteinData.description,
-                proteinData.molecularWeight,
-                proteinData.sequenceLength,
-            ]
-        );
-
-        // console.log(proteinResult);
-        const { protein_id, created_at, updated_at } = proteinResult.rows[0];
-        
-        const sequenceUrl = `http://localhost:3000/api/proteins/${protein_id}/download`;
-
-        await pool.query(`
-            UPDATE proteins 
-            SET sequence_url = $1
-            WHERE protein_id = $2`,
-            [
-                sequenceUrl,
-                protein_id
-            ]
-        )
-
-        // Create and store fragments
-        await fragmentAndStoreSequence(pool, protein_id, sequence);
-
-        const isoCreatedDate = new Date(created_at).toISOString();
-        const isoUpdatedDate = new Date(updated_at).toISOString();
-
-        // Commit transaction
-        await pool.query('COMMIT');
-        return { protein_id, isoCreatedDate, isoUpdatedDate, sequenceUrl };
+        const properties = calculateProperties(sequence);
+
+        return await store.transaction(async tx => {
+            // Insert protein data
+            const created = await tx.proteins.insert({
+                name: proteinData.name,
+                description: proteinData.description,
+                molecular_weight: proteinData.molecularWeight,
+                sequence_length: proteinData.sequenceLength,
+                sequence,
+                fragmentation: proteinData.fragmentation,
+                monoisotopic_mass: properties.monoisotopicMass,
+                isoelectric_point: properties.isoelectricPoint,
+                extinction_coefficient: properties.extinctionCoefficient,
+                gravy: properties.gravy,
+                aliphatic_index: properties.aliphaticIndex,
+                instability_index: properties.instabilityIndex,
+                owner_id: proteinData.ownerId || null,
+                parent_protein_id: proteinData.parentProteinId || null,
+                variant: proteinData.variant || null
+            });
+            const { protein_id, created_at, updated_at } = created;
+
+            // Annotate motifs on the whole sequence once
+            const definitions = await getMotifDefinitions(tx);
+            const hits = findProteinMotifs(sequence, definitions);
+            await tx.motifs.insertProteinHits(protein_id, hits);
+
+            // Create and store fragments
+            await fragmentAndStoreSequence(tx, protein_id, sequence, proteinData.fragmentation, hits);
+
+            // Add the sequence to the similarity index
+            await indexProteinKmers(tx, protein_id, sequence);
+
+            await recordAudit(tx, {
+                proteinId: protein_id,
+                userId: proteinData.ownerId,
+                action: 'create',
+                changes: diffAuditFields(null, created)
+            });
+
+            const isoCreatedDate = new Date(created_at).toISOString();
+            const isoUpdatedDate = new Date(updated_at).toISOString();
+
+            return { protein_id, isoCreatedDate, isoUpdatedDate };
+        });
     } catch (error) {
-        // Rollback in case of any error
-        await pool.query('ROLLBACK');
+        // The transaction has been rolled back
+        if(isRequestError(error)) throw error;
         console.error('Transaction failed:', error);
-        throw new Error("Fail to create protein with fragments");
+        throw new Error("Fail to create protein with fragments", { cause: error });
     }
 }
 
-// Fragment a protein sequence and store fragments
-async function fragmentAndStoreSequence(pool, proteinId, sequence) {
-    // Configuration for sliding window approach
-    const windowSize = 15;
-    const stepSize = 5;
+const DEFAULT_FRAGMENTATION = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
 
-    try {
-        // 1. Iterate through sequence with sliding window
-        for (let i = 0; i < sequence.length - windowSize + 1; i += stepSize) {
-            // 2. Extract fragment
-            const fragment = sequence.slice(i, i + windowSize);
-
-            // 3. Analyze fragment characteristics
-            const secondaryStructure = predictSecondaryStructure(fragment);
-
-            // 5. Prepare data for database storage
-            const fragmentData = {
-                protein_id: proteinId,
-                fragment,
-                secondary_structure: secondaryStructure,
-            };
+// Cleavage rules: cut after any of `residues` unless the next residue is in `blockedBy`
+const cleavageRules = {
+    'trypsin': { residues: 'KR', blockedBy: 'P' },
+    'lys-c': { residues: 'K', blockedBy: '' },
+    'glu-c': { residues: 'E', blockedBy: 'P' }
+};
 
-            // const protein_exist = await pool.query(
-            //     "SELECT * FROM proteins WHERE protein_id = $1",
-            //     [fragmentData.protein_id]
-            // );
-            // console.log(protein_exist.rows);
-
-            // 6. Execute database insertion
-            const fragmentResult = await pool.query(
-                `INSERT INTO fragments(protein_id, sequence, start_position, end_position, secondary_structure)
-                 VALUES($1, $2, $3, $4, $5) RETURNING fragment_id`,
-                [
-                    fragmentData.protein_id,
-                    fragmentData.fragment,
-                    i,
-                    i + windowSize,
-                    fragmentData.secondary_structure,
-                ]
-            );
-            const fragmentId = fragmentResult.rows[0].fragment_id;
-
-            await pool.query(`
-                UPDATE fragments 
-                SET url = $1
-                WHERE fragment_id = $2`,
-                [
-                    `http://localhost:3000/api/fragments/${fragmentId}`,
-                    fragmentId
-                ]
-            )
+// Validate a fragmentation strategy from a request body or query string
+function normalizeFragmentationStrategy(input) {
+    if(input === undefined || input === null) return { ...DEFAULT_FRAGMENTATION };
+    if(typeof input !== 'object' || Array.isArray(input)) throw new BadRequestError("[Fragmentation Error] Invalid fragmentation strategy");
+
+    const toInteger = (value, field, min) => {
+        const number = Number(value);
+        if(!Number.isInteger(number) || number < min) throw new BadRequestError(`[Fragmentation Error] Invalid ${field}`);
+        return number;
+    };
+
+    const strategy = input.strategy || DEFAULT_FRAGMENTATION.strategy;
+    if(strategy === 'sliding') {
+        const windowSize = input.windowSize === undefined ? DEFAULT_FRAGMENTATION.windowSize : toInteger(input.windowSize, 'windowSize', 2);
+        const stepSize = input.stepSize === undefined ? DEFAULT_FRAGMENTATION.stepSize : toInteger(input.stepSize, 'stepSize', 1);
+        if(stepSize > windowSize) throw new BadRequestError("[Fragmentation Error] stepSize cannot exceed windowSize");
+        return { strategy, windowSize, stepSize };
+    }
+    if(strategy === 'tiles') {
+        const tileSize = input.tileSize === undefined ? DEFAULT_FRAGMENTATION.windowSize : toInteger(input.tileSize, 'tileSize', 2);
+        return { strategy, tileSize };
+    }
+    if(strategy === 'enzyme') {
+        if(!(input.enzyme in cleavageRules)) throw new BadRequestError(`[Fragmentation Error] Invalid enzyme, expected one of ${Object.keys(cleavageRules).join(", ")}`);
+        return { strategy, enzyme: input.enzyme };
+    }
+    throw new BadRequestError("[Fragmentation Error] Invalid strategy, expected 'sliding', 'tiles' or 'enzyme'");
+}
+
+// Split a sequence into { start, end } ranges (end exclusive) for a normalized strategy
+function fragmentSequence(sequence, strategy) {
+    const ranges = [];
 
-            // 4. Identify motifs in current fragment
-            await identifyMotifs(pool, fragment, fragmentId);
+    if(strategy.strategy === 'sliding') {
+        for (let i = 0; i < sequence.length - strategy.windowSize + 1; i += strategy.stepSize) {
+            ranges.push({ start: i, end: i + strategy.windowSize });
         }
+    }
+    else if(strategy.strategy === 'tiles') {
+        for (let i = 0; i < sequence.length; i += strategy.tileSize) {
+            ranges.push({ start: i, end: Math.min(i + strategy.tileSize, sequence.length) });
+        }
+    }
+    else {
+        const { residues, blockedBy } = cleavageRules[strategy.enzyme];
+        let start = 0;
+        for (let i = 0; i < sequence.length - 1; i++) {
+            if(residues.includes(sequence[i]) && !blockedBy.includes(sequence[i + 1])) {
+                ranges.push({ start, end: i + 1 });
+                start = i + 1;
+            }
+        }
+        ranges.push({ start, end: sequence.length });
+    }
+
+    return ranges;
+}
+
+// Fragment a protein sequence and store fragments
+// `hits` are the protein-level motif hits the fragment motifs are derived from
+async function fragmentAndStoreSequence(store, proteinId, sequence, strategy = DEFAULT_FRAGMENTATION, hits = []) {
+    try {
+        // 1. Split the sequence with the protein's fragmentation strategy
+        // 2. Extract each fragment and predict its secondary structure
+        const fragments = fragmentSequence(sequence, strategy).map(({ start, end }) => {
+            const fragment = sequence.slice(start, end);
+            return { sequence: fragment, start_position: start, end_position: end, secondary_structure: predictSecondaryStructure(fragment) };
+        });
+
+        // 3. Store all fragments at once
+        const storedFragments = await store.fragments.insertMany(proteinId, fragments);
+
+        // 4. Derive fragment motifs from the protein-level hits
+        await storeFragmentMotifs(store, storedFragments, hits);
 
     } catch (error) {
-        // 7. Handle errors appropriately
+        // 5. Handle errors appropriately
+        if(isRequestError(error)) throw error;
         console.error('Fragmentation error:', error.message);
-        throw new Error("Fail to fragment and store squence"); // Allow transaction to handle rollback
-    }
-}
-
-async function identifyMotifs(pool, fragment, fragment_id) {
-    const motifs = {
-        "N-glycosylation site": {
-            pattern: /N[^P][ST][^P]/g,
-            type: "N-glycosylation"
-        },
-        "Casein kinase II phosphorylation site": {
-            pattern: /[ST].{2}[DE]/g,
-            type: "Casein kinase II"
-        },
-        "Tyrosine kinase phosphorylation site": {
-            pattern: /[RK].{0,2}[DE]/g,
-            type: "Tyrosine kinase"
+        throw new Error("Fail to fragment and store squence", { cause: error }); // Allow transaction to handle rollback
+    }
+}
+
+// Convert a PROSITE pattern such as "N-{P}-[ST]-{P}" into a RegExp
+function prositeToRegExp(pattern) {
+    if(typeof pattern !== 'string' || pattern.trim() === "") throw new BadRequestError("[Motif Error] Missing PROSITE pattern");
+
+    const aminoAcids = "ACDEFGHIKLMNPQRSTVWY";
+    const elements = pattern.trim().replace(/\.$/, "").split("-");
+    let source = "";
+
+    for(let i = 0; i < elements.length; i++) {
+        let element = elements[i];
+
+        if(i === 0 && element.startsWith("<")) {
+            source += "^";
+            element = element.slice(1);
+        }
+        let anchorEnd = false;
+        if(i === elements.length - 1 && element.endsWith(">")) {
+            anchorEnd = true;
+            element = element.slice(0, -1);
+        }
+
+        const match = /^(x|[A-Z]|\[([A-Z]+)\]|\{([A-Z]+)\})(?:\((\d+)(?:,(\d+))?\))?$/.exec(element);
+        if(!match) throw new BadRequestError(`[Motif Error] Invalid PROSITE element '${elements[i]}'`);
+
+        const [, residue, allowed, excluded, min, max] = match;
+        const letters = allowed || excluded || (residue === "x" ? "" : residue);
+        for(const aa of letters) {
+            if(!aminoAcids.includes(aa)) throw new BadRequestError(`[Motif Error] Invalid amino acid '${aa}' in PROSITE pattern`);
+        }
+
+        if(residue === "x") source += ".";
+        else if(allowed) source += `[${allowed}]`;
+        else if(excluded) source += `[^${excluded}]`;
+        else source += residue;
+
+        if(max !== undefined) {
+            if(Number(min) > Number(max)) throw new BadRequestError(`[Motif Error] Invalid repetition in '${elements[i]}'`);
+            source += `{${min},${max}}`;
+        }
+        else if(min !== undefined) source += `{${min}}`;
+
+        if(anchorEnd) source += "$";
+    }
+
+    return new RegExp(source, "y");
+}
+
+// Report every match, including overlapping ones, as { start, end, match } (end exclusive)
+function findMotifMatches(sequence, regex) {
+    const matches = [];
+    const sticky = new RegExp(regex.source, "y");
+    for(let i = 0; i < sequence.length; i++) {
+        sticky.lastIndex = i;
+        const match = sticky.exec(sequence);
+        if(match !== null && match[0].length > 0) {
+            matches.push({ start: i, end: i + match[0].length, match: match[0] });
+        }
+    }
+    return matches;
+}
+
+// Load the motif library with each PROSITE pattern compiled
+async function getMotifDefinitions(store) {
+    const definitions = await store.motifs.listDefinitions();
+    return definitions.map(row => ({ ...row, regex: prositeToRegExp(row.pattern) }));
+}
+
+function formatMotifDefinition(row) {
+    return {
+        motifId: row.motif_definition_id,
+        name: row.name,
+        type: row.type,
+        pattern: row.pattern,
+        regex: prositeToRegExp(row.pattern).source,
+        description: row.description,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Scan a whole sequence once with every definition
+// Returns hits sorted by position, deduplicated per motif and range
+function findProteinMotifs(sequence, definitions) {
+    const confidenceScores = calculateConfidenceScore(sequence);
+    const seen = new Set();
+    const hits = [];
+
+    for(const { motif_definition_id, name, type, regex } of definitions) {
+        for(const { start, end, match } of findMotifMatches(sequence, regex)) {
+            const key = `${motif_definition_id}:${start}:${end}`;
+            if(seen.has(key)) continue;
+            seen.add(key);
+
+            // Score a hit by the mean structure confidence over its residues, capped at 1 as the schema requires:
+            // a residue's confidence can exceed 1, a run of prolines scores 1.15
+            let score = 0;
+            for(let i = start; i < end; i++) {
+                score += confidenceScores[i];
+            }
+            score = Math.min(score / (end - start), 1);
+
+            hits.push({ motif_definition_id, name, type, start, end, match, score });
         }
     }
 
+    return hits.sort((a, b) => a.start - b.start || a.end - b.end || a.name.localeCompare(b.name));
+}
+
+// Store each hit on every fragment that fully contains it, with fragment-relative positions
+async function storeFragmentMotifs(store, fragments, hits) {
     try {
-        for(const [name, { pattern, type }] of Object.entries(motifs)) {
-            const match = pattern.exec(fragment);
-            if(match !== null) {
-                const start_position = match.index;
-                const end_position = start_position + match[0].length;
-                const confidence_score = calculateConfidenceScore(fragment);
-
-                let total = 0;
-                for(const e of confidence_score) {
-                    total += e;
-                }
+        const rows = [];
+        for(const fragment of fragments) {
+            for(const hit of hits) {
+                if(hit.start < fragment.start_position || hit.end > fragment.end_position) continue;
 
-                total /= confidence_score.length;
-
-
-                const motifResult = await pool.query(
-                    `INSERT INTO motifs(fragment_id, motif_pattern, motif_type, start_position, end_position, confidence_score)
-                     VALUES($1, $2, $3, $4, $5, $6) RETURNING motif_id`,
-                    [
-                        fragment_id,
-                        match[0],
-                        name,
-                        start_position,
-                        end_position,
-                        total
-                    ]
-                )
+                rows.push({
+                    fragment_id: fragment.fragment_id,
+                    motif_definition_id: hit.motif_definition_id,
+                    motif_pattern: hit.match,
+                    motif_type: hit.name,
+                    start_position: hit.start - fragment.start_position,
+                    end_position: hit.end - fragment.start_position,
+                    confidence_score: hit.score
+                });
             }
         }
+
+        await store.motifs.insertFragmentMotifs(rows);
     } catch (error) {
         console.error('Motif identification error:', error.message);
         throw error;
     }
 }
 
-async function getUpdatedFragmentData(pool, fragmentData) {
+// Load a protein's stored hits in the shape returned by findProteinMotifs
+async function getProteinMotifHits(store, proteinId) {
+    const hitData = await store.motifs.listProteinHits(proteinId);
+
+    return hitData.map(row => ({
+        motif_definition_id: row.motif_definition_id,
+        name: row.motif_type,
+        type: row.type,
+        start: row.start_position,
+        end: row.end_position,
+        match: row.motif_pattern,
+        score: row.score
+    }));
+}
+
+const KMER_SIZE = 3;
+
+// Map every k-mer of a sequence to its 0-based start positions
+function extractKmers(sequence, k = KMER_SIZE) {
+    const kmers = new Map();
+    for(let i = 0; i + k <= sequence.length; i++) {
+        const kmer = sequence.slice(i, i + k);
+        if(!kmers.has(kmer)) kmers.set(kmer, []);
+        kmers.get(kmer).push(i);
+    }
+    return kmers;
+}
+
+// Store one entry per distinct k-mer of the protein
+async function indexProteinKmers(store, proteinId, sequence) {
+    const kmers = extractKmers(sequence);
+
+    await store.kmers.insert(proteinId, [...kmers].map(([kmer, positions]) => ({ kmer, positions })));
+}
+
+// Rank stored proteins by the k-mers they share with the query sequence
+// The best diagonal (target offset - query offset) is the one with the most k-mer hits,
+// percent identity is measured on the ungapped overlap along that diagonal
+async function findSimilarProteins(store, sequence, { limit = 10, minSharedKmers = 1 } = {}) {
+    const queryKmers = extractKmers(sequence);
+
+    const kmerData = await store.kmers.find([...queryKmers.keys()]);
+
+    const candidates = new Map();
+    for(const { protein_id, kmer, positions } of kmerData) {
+        if(!candidates.has(protein_id)) candidates.set(protein_id, { sharedKmers: 0, diagonals: new Map() });
+        const candidate = candidates.get(protein_id);
+        candidate.sharedKmers++;
+
+        for(const queryPosition of queryKmers.get(kmer)) {
+            for(const targetPosition of positions) {
+                const diagonal = targetPosition - queryPosition;
+                candidate.diagonals.set(diagonal, (candidate.diagonals.get(diagonal) || 0) + 1);
+            }
+        }
+    }
+
+    const ranked = [];
+    for(const [proteinId, { sharedKmers, diagonals }] of candidates) {
+        if(sharedKmers < minSharedKmers) continue;
+
+        let bestDiagonal = 0;
+        let bestHits = 0;
+        for(const [diagonal, hits] of diagonals) {
+            if(hits > bestHits || (hits === bestHits && Math.abs(diagonal) < Math.abs(bestDiagonal))) {
+                bestDiagonal = diagonal;
+                bestHits = hits;
+            }
+        }
+
+        ranked.push({
+            proteinId,
+            score: sharedKmers / queryKmers.size,
+            sharedKmers,
+            bestDiagonal: { offset: bestDiagonal, kmerHits: bestHits }
+        });
+    }
+
+    ranked.sort((a, b) => b.score - a.score || b.bestDiagonal.kmerHits - a.bestDiagonal.kmerHits);
+
+    // Trashed proteins keep their k-mers, and proteins can be deleted since the index was read or have
+    // no stored sequence, so candidates are read in ranked batches until `limit` of them are left
+    const top = [];
+    for(let start = 0; start < ranked.length && top.length < limit; start += limit) {
+        const batch = ranked.slice(start, start + limit);
+        const proteinData = await store.proteins.getMany(batch.map(hit => hit.proteinId));
+        const proteins = new Map(proteinData.map(row => [row.protein_id, row]));
+
+        for(const hit of batch) {
+            const target = proteins.get(hit.proteinId);
+            if(target && target.sequence !== null && top.length < limit) top.push({ hit, target });
+        }
+    }
+
+    return top.map(({ hit, target }) => {
+        const offset = hit.bestDiagonal.offset;
+        const queryStart = Math.max(0, -offset);
+        const alignedLength = Math.min(sequence.length - queryStart, target.sequence.length - (queryStart + offset));
+
+        let identical = 0;
+        for(let i = 0; i < alignedLength; i++) {
+            if(sequence[queryStart + i] === target.sequence[queryStart + offset + i]) identical++;
+        }
+
+        return {
+            ...hit,
+            name: target.name,
+            alignedLength,
+            percentIdentity: alignedLength > 0 ? identical / alignedLength * 100 : 0
+        };
+    });
+}
+
+// Protein columns tracked in the audit log
+const AUDITED_PROTEIN_FIELDS = ['name', 'description', 'sequence', 'sequence_length', 'molecular_weight', 'fragmentation', 'owner_id', 'parent_protein_id', 'variant'];
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'refragment', 'reannotate'];
+
+// { field: { before, after } } for every field whose value changed, null stands for "did not exist"
+function diffAuditFields(before, after, fields = AUDITED_PROTEIN_FIELDS) {
+    const changes = {};
+    for(const field of fields) {
+        const oldValue = before ? before[field] ?? null : null;
+        const newValue = after ? after[field] ?? null : null;
+        if(JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = { before: oldValue, after: newValue };
+        }
+    }
+    return changes;
+}
+
+// Every audited change is also published to the webhooks subscribed to its event
+// Webhook subscribers are told about a protein only while they can read it: everyone while it is live,
+// its owner and admins once it is in the trash. A purge passes the `protein` as it was before
+async function recordAudit(store, { proteinId, userId = null, action, changes = {}, protein = null }) {
+    await store.audit.insert({ proteinId, userId, action, changes });
+
+    const current = protein || await store.proteins.get(proteinId, { state: 'any' });
+    const audience = current.deleted_at === null ? null : { ownerId: current.owner_id };
+    await queueWebhookEvent(store, AUDIT_ACTION_EVENTS[action], { proteinId, userId, action, changes }, audience);
+}
+
+// Proteins migration 001 could not rebuild from their fragments have no sequence, anything computed from it is refused
+function requireProteinSequence(protein) {
+    if(protein.sequence === null) {
+        throw new ConflictError(`[Sequence Error] Protein ${protein.protein_id} has no stored sequence, it could not be rebuilt from its fragments`);
+    }
+}
+
+// Strong ETag over the stored row, any write changes updated_at and therefore the tag
+function proteinETag(row) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(row)).digest('base64url')}"`;
+}
+
+// If-Match / If-None-Match list check, `weak` allows W/ tags to match (RFC 7232 weak comparison)
+function matchesETag(header, etag, weak = false) {
+    if(header.trim() === '*') return true;
+    return header.split(',').some(tag => {
+        tag = tag.trim();
+        if(tag.startsWith('W/')) {
+            if(!weak) return false;
+            tag = tag.slice(2);
+        }
+        return tag === etag;
+    });
+}
+
+// Permanently delete a protein, its fragments, motifs and k-mers cascade
+// Runs in the caller's transaction when given one
+async function purgeProtein(store, protein, userId = null) {
+    await store.transaction(async tx => {
+        const counts = {
+            fragment_count: await tx.fragments.count(protein.protein_id),
+            motif_count: await tx.motifs.countProteinHits(protein.protein_id)
+        };
+
+        await tx.proteins.delete(protein.protein_id);
+
+        // Keep a trace of what the cascade removed
+        await recordAudit(tx, {
+            proteinId: protein.protein_id,
+            userId,
+            action: 'purge',
+            protein,
+            changes: diffAuditFields({ ...protein, ...counts }, null, [...AUDITED_PROTEIN_FIELDS, 'fragment_count', 'motif_count'])
+        });
+    });
+}
+
+// Purge proteins that have been in the trash longer than the retention period
+async function purgeExpiredTrash(store, retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = await store.proteins.listTrash({ deletedBefore: cutoff });
+
+    for(const protein of expired) {
+        await purgeProtein(store, protein);
+    }
+
+    return expired.length;
+}
+
+function formatAuditEntry(row) {
+    return {
+        auditId: row.audit_id,
+        proteinId: row.protein_id,
+        userId: row.user_id,
+        action: row.action,
+        changes: row.changes,
+        createdAt: row.created_at
+    };
+}
+
+// Links are built for each response from the public base URL, never stored
+function proteinLinks(baseUrl, proteinId) {
+    const self = `${baseUrl}/api/proteins/${proteinId}`;
+    return {
+        self,
+        fragments: `${self}/fragments`,
+        download: `${self}/download`,
+        structure: `${self}/structure`
+    };
+}
+
+function fragmentLinks(baseUrl, fragment) {
+    return {
+        self: `${baseUrl}/api/fragments/${fragment.fragment_id}`,
+        protein: `${baseUrl}/api/proteins/${fragment.protein_id}`
+    };
+}
+
+// Stored protein row with its links, `sequence_url` is kept for clients that read it
+function withProteinLinks(row, baseUrl) {
+    const links = proteinLinks(baseUrl, row.protein_id);
+    return { ...row, sequence_url: links.download, links };
+}
+
+async function getUpdatedFragmentData(store, fragments, baseUrl = "") {
     const updatedFragmentData = await Promise.all(
-        fragmentData.rows.map(async (fragment) => ({
-            fragmentId: fragment.fragment_id,
-            proteinId: fragment.protein_id,
-            sequence: fragment.sequence,
-            startPosition: fragment.start_position,
-            endPosition: fragment.end_position,
-            motifs: await getMotifs(pool, fragment.fragment_id),
-            secondaryStructure: fragment.secondary_structure,
-            confidenceScores: calculateConfidenceScore(fragment.sequence),
-            createdAt: fragment.created_at,
-            url: fragment.url
-        }))
+        fragments.map(async (fragment) => {
+            const links = fragmentLinks(baseUrl, fragment);
+            return {
+                fragmentId: fragment.fragment_id,
+                proteinId: fragment.protein_id,
+                sequence: fragment.sequence,
+                startPosition: fragment.start_position,
+                endPosition: fragment.end_position,
+                motifs: await getMotifs(store, fragment.fragment_id),
+                secondaryStructure: fragment.secondary_structure,
+                confidenceScores: calculateConfidenceScore(fragment.sequence),
+                createdAt: fragment.created_at,
+                url: links.self,
+                links
+            };
+        })
     );
 
     return updatedFragmentData;
 }
 
-async function getMotifs(pool, fragmentId) {
-    try {
-        const motifData = await pool.query(`
-            SELECT DISTINCT m.motif_type
-            FROM motifs m
-            INNER JOIN fragments f ON m.fragment_id = f.fragment_id
-            WHERE f.fragment_id = $1;`,
-            [fragmentId]
-        )
-        
-        // console.log(motifData.rows);
+// Parse FASTA / multi-FASTA text into records
+// Header line: ">name description...", the sequence may span several lines
+function parseFasta(text) {
+    const records = [];
+    let current = null;
+
+    const lines = text.split(/\r?\n/);
+    for(let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if(line === "" || line.startsWith(";")) continue;
+
+        if(line.startsWith(">")) {
+            const header = line.slice(1).trim();
+            const spaceIndex = header.search(/\s/);
+            current = {
+                index: records.length,
+                line: i + 1,
+                header,
+                name: spaceIndex === -1 ? header : header.slice(0, spaceIndex),
+                description: spaceIndex === -1 ? "" : header.slice(spaceIndex + 1).trim(),
+                sequence: ""
+            };
+            records.push(current);
+        }
+        else {
+            if(current === null) {
+                throw new BadRequestError(`[FASTA Error] Sequence data before first header at line ${i + 1}`);
+            }
+            current.sequence += line.replace(/\s+/g, "");
+        }
+    }
 
-        return motifData.rows.map(row => row.motif_type);
+    return records;
+}
+
+async function getMotifs(store, fragmentId) {
+    try {
+        // Distinct motif types found on the fragment
+        return await store.motifs.listFragmentMotifTypes(fragmentId);
 
     } catch (error) {
         throw new Error('Failed to retrieve motifs');
     }
 }
 
+// Build the SQL for /api/proteins/search from its query parameters
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// ?limit=&cursor=&includeTotal=true, offsets skip or repeat rows while data changes
+// so `offset` is deprecated and only accepted as 0, the first page
+function parsePagination(query) {
+    const { limit = DEFAULT_PAGE_SIZE, cursor = null, includeTotal, offset } = query;
+
+    if(offset !== undefined && String(offset) !== '0') {
+        throw new BadRequestError("[Pagination Error] offset is deprecated and only accepted as 0, follow nextCursor for the next pages");
+    }
+    const pageSize = Number(limit);
+    if(!Number.isInteger(pageSize) || pageSize <= 0 || pageSize > MAX_PAGE_SIZE) {
+        throw new BadRequestError(`[Pagination Error] Invalid limit, expected 1 to ${MAX_PAGE_SIZE}`);
+    }
+    if(cursor !== null && (typeof cursor !== 'string' || cursor === "")) throw new BadRequestError("[Pagination Error] Invalid cursor");
+
+    return { limit: pageSize, cursor, includeTotal: includeTotal === 'true' || includeTotal === true };
+}
+
+// Opaque cursor holding the sort key of the last item of a page,
+// `scope` names the list and ordering it belongs to so it cannot be replayed against another one
+function encodeCursor(values, scope) {
+    return Buffer.from(JSON.stringify({ scope, values })).toString('base64url');
+}
+
+function decodeCursor(cursor, scope, length) {
+    let decoded = null;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        // reported below
+    }
+    if(!decoded || decoded.scope !== scope || !Array.isArray(decoded.values) || decoded.values.length !== length) {
+        throw new BadRequestError("[Pagination Error] Invalid cursor");
+    }
+    return decoded.values;
+}
+
+// `rows` holds up to limit + 1 rows, the extra one only signals that another page follows
+function buildPage(rows, limit, cursorOf) {
+    const items = rows.slice(0, limit);
+    return {
+        items,
+        nextCursor: rows.length > limit ? cursorOf(items[items.length - 1]) : null
+    };
+}
+
+// Search parameter -> column, with the smallest allowed value (null when negatives are valid)
+const SEARCH_NUMERIC_FILTERS = {
+    molecularWeight: { column: 'molecular_weight', label: 'molecular weight', min: 0 },
+    sequenceLength: { column: 'sequence_length', label: 'sequence length', min: 0, integer: true },
+    monoisotopicMass: { column: 'monoisotopic_mass', label: 'monoisotopic mass', min: 0 },
+    isoelectricPoint: { column: 'isoelectric_point', label: 'isoelectric point', min: 0 },
+    extinctionCoefficient: { column: 'extinction_coefficient', label: 'extinction coefficient', min: 0 },
+    gravy: { column: 'gravy', label: 'GRAVY', min: null },
+    aliphaticIndex: { column: 'aliphatic_index', label: 'aliphatic index', min: 0 },
+    instabilityIndex: { column: 'instability_index', label: 'instability index', min: null }
+};
+
+const SEARCH_SORT_FIELDS = [
+    "name", "created_at", "molecular_weight", "sequence_length", "monoisotopic_mass",
+    "isoelectric_point", "extinction_coefficient", "gravy", "aliphatic_index", "instability_index"
+];
+
+const SEARCH_PARAMETERS = [
+    'name', 'description', 'contains', 'motif', 'motifMatch', 'createdAt', 'sort',
+    ...Object.keys(SEARCH_NUMERIC_FILTERS),
+    'limit', 'cursor', 'includeTotal', 'offset'
+];
+
+const SEARCH_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=' };
+
+// { op: value } comparison filter, a bare value means eq; `parse` validates and converts one value
+function parseComparisonFilter(filter, label, parse) {
+    if(filter === null || Array.isArray(filter)) throw new BadRequestError(`[Search Error] Invalid ${label} filter`);
+
+    const entries = typeof filter === 'object' ? Object.entries(filter) : [['eq', filter]];
+    if(entries.length === 0) throw new BadRequestError(`[Search Error] Invalid ${label} filter`);
+
+    return entries.map(([key, value]) => {
+        if(!(key in SEARCH_OPERATORS)) throw new BadRequestError(`[Search Error] Invalid ${label} operator`);
+        return { op: SEARCH_OPERATORS[key], value: parse(value) };
+    });
+}
+
+// "field:dir,field:dir" in the query string, or a list of "field:dir" in a JSON body
+function parseSearchSort(sort) {
+    const keys = Array.isArray(sort) ? sort : String(sort).split(",");
+    if(keys.length === 0 || keys.some(key => typeof key !== 'string')) throw new BadRequestError("[Search Error] Invalid sort");
+
+    return keys.map(key => {
+        const [field, direction = "asc"] = key.trim().split(":");
+        if(!SEARCH_SORT_FIELDS.includes(field)) throw new BadRequestError("[Search Error] Invalid sort field");
+        if(!["asc", "desc"].includes(direction)) throw new BadRequestError("[Search Error] Invalid sort direction");
+        return { column: field, order: direction.toUpperCase() };
+    });
+}
+
+// Validate a search, from the query string or a JSON body, into the filters every storage backend applies:
+// { name, description, contains, comparisons: [{ column, op, value }], motifGroups, sort, cursorScope }
+// A protein matches a motif group when it has any of the group's motifs, and must match every group
+function parseProteinSearch(query) {
+    if(!query || typeof query !== 'object' || Array.isArray(query)) throw new BadRequestError("[Search Error] Expected a search object");
+    const unknown = Object.keys(query).filter(key => query[key] !== undefined && !SEARCH_PARAMETERS.includes(key));
+    if(unknown.length > 0) throw new BadRequestError(`[Search Error] Unknown search parameters: ${unknown.join(", ")}`);
+
+    const { name, description, contains, motif, motifMatch = "any", createdAt, sort } = query;
+    const search = { comparisons: [], motifGroups: [] };
+
+    if(name !== undefined) {
+        if(typeof name !== 'string' || name === "") throw new BadRequestError("[Search Error] Invalid name parameter");
+        search.name = name;
+    }
+
+    // Full-text search, the text may use quotes for phrases, OR, and - to exclude words
+    if(description !== undefined) {
+        if(typeof description !== 'string' || description.trim() === "") throw new BadRequestError("[Search Error] Invalid description parameter");
+        search.description = description;
+    }
+
+    // Subsequence filter
+    if(contains !== undefined) {
+        if(typeof contains !== 'string' || !/^[A-Za-z]+$/.test(contains)) throw new BadRequestError("[Search Error] Invalid contains parameter, expected residues");
+        search.contains = contains.toUpperCase();
+    }
+
+    for(const [key, { column, label, min, integer }] of Object.entries(SEARCH_NUMERIC_FILTERS)) {
+        if(query[key] === undefined) continue;
+
+        const comparisons = parseComparisonFilter(query[key], label, value => {
+            const number = Number(value);
+            if(value === '' || value === null || typeof value === 'boolean' || Number.isNaN(number) ||
+                (integer && !Number.isInteger(number)) || (min !== null && number < min)) {
+                throw new BadRequestError(`[Search Error] Invalid ${label} value`);
+            }
+            return number;
+        });
+        for(const { op, value } of comparisons) search.comparisons.push({ column, op, value });
+    }
+
+    if(createdAt !== undefined) {
+        const comparisons = parseComparisonFilter(createdAt, 'created at', value => {
+            if(typeof value !== 'string' || isNaN(Date.parse(value))) throw new BadRequestError("[Search Error] Invalid created at value, expected an ISO 8601 date");
+            return new Date(value).toISOString();
+        });
+        for(const { op, value } of comparisons) search.comparisons.push({ column: 'created_at', op, value });
+    }
+
+    // Motif names, matched case-insensitively: any one of them, or all of them with motifMatch=all
+    if(motif !== undefined) {
+        const motifs = Array.isArray(motif) ? motif : [motif];
+        if(motifs.length === 0 || motifs.some(m => typeof m !== 'string' || m.trim() === "" || m.length > 50)) {
+            throw new BadRequestError("[Search Error] Invalid motif parameter");
+        }
+        if(!["any", "all"].includes(motifMatch)) throw new BadRequestError("[Search Error] Invalid motifMatch, expected any or all");
+
+        const names = motifs.map(m => m.toLowerCase());
+        search.motifGroups = motifMatch === "all" ? [...new Set(names)].map(m => [m]) : [names];
+    }
+    else if(query.motifMatch !== undefined) {
+        throw new BadRequestError("[Search Error] motifMatch requires motif");
+    }
+
+    // Results are always ordered, creation time and ID break ties so keyset cursors are stable
+    const sortKeys = sort === undefined ? [] : parseSearchSort(sort);
+    const tieOrder = sortKeys.length > 0 ? sortKeys[sortKeys.length - 1].order : "ASC";
+    for(const column of ["created_at", "protein_id"]) {
+        if(!sortKeys.some(key => key.column === column)) sortKeys.push({ column, order: tieOrder });
+    }
+    search.sort = sortKeys;
+    search.cursorScope = `proteins:${sortKeys.map(key => `${key.column} ${key.order}`).join(",")}`;
+
+    return search;
+}
+
+// One page of search results in the { items, nextCursor, total } envelope, total is only counted on request
+// Trashed proteins never show up in search results
+async function searchProteins(store, query) {
+    const pagination = parsePagination(query);
+    const search = parseProteinSearch(query);
+
+    return store.proteins.searchPage(search, pagination);
+}
+
+// Split a sequence into fixed-width lines
+function wrapSequence(sequence, width = 60) {
+    const lines = [];
+    for(let i = 0; i < sequence.length; i += width) {
+        lines.push(sequence.slice(i, i + width));
+    }
+    return lines;
+}
+
+function formatFasta(protein, sequence) {
+    let header = `>${protein.name.replace(/\s+/g, "_")}`;
+    if(protein.description) header += ` ${protein.description.replace(/\s+/g, " ")}`;
+    header += ` [id=${protein.protein_id}]`;
+    return [header, ...wrapSequence(sequence)].join("\n") + "\n";
+}
+
+// GenBank-like flat file with one feature per fragment and per motif hit
+// `hits` are protein-level motif hits as returned by getProteinMotifHits
+function formatGenBank(protein, sequence, fragments, hits) {
+    const date = new Date(protein.created_at)
+        .toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' })
+        .replace(/ /g, "-")
+        .toUpperCase();
+    const indent = " ".repeat(21);
+
+    let out = `LOCUS       ${protein.name.replace(/\s+/g, "_").padEnd(16)} ${String(sequence.length).padStart(11)} aa            linear   UNK ${date}\n`;
+    out += `DEFINITION  ${protein.description || protein.name}.\n`;
+    out += `ACCESSION   ${protein.protein_id}\n`;
+    out += `FEATURES             Location/Qualifiers\n`;
+    out += `     source          1..${sequence.length}\n`;
+
+    for(const fragment of fragments) {
+        out += `     misc_feature    ${fragment.start_position + 1}..${fragment.end_position}\n`;
+        out += `${indent}/note="fragment ${fragment.fragment_id}"\n`;
+        out += `${indent}/secondary_structure="${fragment.secondary_structure}"\n`;
+    }
+
+    for(const hit of hits) {
+        out += `     site            ${hit.start + 1}..${hit.end}\n`;
+        out += `${indent}/site_type="${hit.name}"\n`;
+        out += `${indent}/note="${hit.match}"\n`;
+    }
+
+    out += "ORIGIN\n";
+    for(let i = 0; i < sequence.length; i += 60) {
+        const blocks = wrapSequence(sequence.slice(i, i + 60).toLowerCase(), 10);
+        out += `${String(i + 1).padStart(9)} ${blocks.join(" ")}\n`;
+    }
+    out += "//\n";
+    return out;
+}
+
+function escapeCsv(value) {
+    const str = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function formatCsv(rows) {
+    const columns = ["proteinId", "name", "description", "molecularWeight", "sequenceLength", "createdAt", "updatedAt", "sequence"];
+    const lines = [columns.join(",")];
+    for(const { protein, sequence } of rows) {
+        lines.push([
+            protein.protein_id,
+            protein.name,
+            protein.description,
+            protein.molecular_weight,
+            protein.sequence_length,
+            new Date(protein.created_at).toISOString(),
+            new Date(protein.updated_at).toISOString(),
+            sequence
+        ].map(escapeCsv).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+// Replace a protein's fragments and motifs using a new fragmentation strategy, in one transaction
+async function refragmentProtein(store, protein, fragmentation, userId = null) {
+    requireProteinSequence(protein);
+    const proteinId = protein.protein_id;
+    const hits = await getProteinMotifHits(store, proteinId);
+    const fragmentCount = await store.fragments.count(proteinId);
+
+    await store.transaction(async tx => {
+        // Motifs cascade with their fragments
+        await tx.fragments.deleteByProtein(proteinId);
+        await fragmentAndStoreSequence(tx, proteinId, protein.sequence, fragmentation, hits);
+        await tx.proteins.update(proteinId, { fragmentation });
+
+        const newCount = await tx.fragments.count(proteinId);
+        await recordAudit(tx, {
+            proteinId,
+            userId,
+            action: 'refragment',
+            changes: diffAuditFields(
+                { fragmentation: protein.fragmentation, fragment_count: fragmentCount },
+                { fragmentation, fragment_count: newCount },
+                ['fragmentation', 'fragment_count']
+            )
+        });
+    });
+}
+
+// Proteins read at a time by rescanMotif
+const RESCAN_BATCH_SIZE = 100;
+
+// Re-annotate every stored protein with one motif definition, replacing its previous hits
+// `onProgress(done, total)` is called after each protein
+async function rescanMotif(store, definition, userId = null, onProgress = async () => {}) {
+    const motifId = definition.motif_definition_id;
+    const field = `motifs.${definition.name}`;
+
+    let proteinsScanned = 0;
+    let hitCount = 0;
+    await store.transaction(async tx => {
+        const previousHits = new Map();
+        for(const hit of await tx.motifs.listDefinitionHits(motifId)) {
+            if(!previousHits.has(hit.protein_id)) previousHits.set(hit.protein_id, []);
+            previousHits.get(hit.protein_id).push(`${hit.start_position}-${hit.end_position}`);
+        }
+        await tx.motifs.deleteDefinitionHits(motifId);
+
+        // Trashed proteins are rescanned too so they come back with current annotations, those without a sequence cannot be scanned
+        // Proteins are read RESCAN_BATCH_SIZE at a time and each one's fragments on their own
+        const total = await tx.proteins.countWithSequence();
+        let batch = await tx.proteins.listWithSequence({ limit: RESCAN_BATCH_SIZE });
+        while(batch.length > 0) {
+            for(const protein of batch) {
+                const hits = findProteinMotifs(protein.sequence, [definition]);
+                await tx.motifs.insertProteinHits(protein.protein_id, hits);
+                await storeFragmentMotifs(tx, await tx.fragments.listByProtein(protein.protein_id), hits);
+                hitCount += hits.length;
+
+                // Only proteins whose hits for this motif changed get an audit entry
+                const changes = diffAuditFields(
+                    { [field]: previousHits.get(protein.protein_id) || [] },
+                    { [field]: hits.map(hit => `${hit.start}-${hit.end}`) },
+                    [field]
+                );
+                if(Object.keys(changes).length > 0) {
+                    await recordAudit(tx, { proteinId: protein.protein_id, userId, action: 'reannotate', changes });
+                }
+
+                proteinsScanned++;
+                await onProgress(proteinsScanned, Math.max(total, proteinsScanned));
+            }
+            batch = await tx.proteins.listWithSequence({ after: batch[batch.length - 1].protein_id, limit: RESCAN_BATCH_SIZE });
+        }
+    });
+
+    return { motifId, proteinsScanned, hits: hitCount };
+}
+
+// Create one validated FASTA record, returning its entry for the import report
+async function createFastaRecord(store, record, { fragmentation, ownerId }) {
+    const proName = record.name ? record.name : generateProteinName(record.sequence);
+    const proteinData = {
+        name: proName,
+        description: record.description,
+        molecularWeight: calculateMolecularWeight(record.sequence),
+        sequenceLength: record.sequence.length,
+        fragmentation,
+        ownerId,
+    };
+
+    const { protein_id } = await createProteinWithFragments(store, proteinData, record.sequence);
+    return { index: record.index, proteinId: protein_id, name: proName };
+}
+
+// Create proteins from validated FASTA records
+// `report` ({ created, rejected }) is filled as records are processed, records already in it are skipped
+// so an interrupted import can resume; `onRecord(report)` is called after each record
+// An atomic import stores every record in one transaction, a record that fails rolls back the ones before it
+// with their audit entries and webhook deliveries; `onRecord` is then only called once everything is committed
+async function importFastaRecords(store, records, { mode, fragmentation, ownerId }, report = { created: [], rejected: [] }, onRecord = async () => {}) {
+    const done = new Set([...report.created, ...report.rejected].map(r => r.index));
+    const remaining = records.filter(record => !done.has(record.index));
+
+    if(mode === 'atomic') {
+        const created = await store.transaction(async tx => {
+            const entries = [];
+            for(const record of remaining) {
+                try {
+                    entries.push(await createFastaRecord(tx, record, { fragmentation, ownerId }));
+                } catch (error) {
+                    throw new BadRequestError(`[FASTA Error] Record "${record.name}" at line ${record.line} could not be created, nothing was created`);
+                }
+            }
+            return entries;
+        });
+        report.created.push(...created);
+        await onRecord(report);
+        return report;
+    }
+
+    for(const record of remaining) {
+        try {
+            report.created.push(await createFastaRecord(store, record, { fragmentation, ownerId }));
+        } catch (error) {
+            report.rejected.push({ index: record.index, line: record.line, header: record.header, reason: error.message });
+        }
+        await onRecord(report);
+    }
+
+    report.rejected.sort((a, b) => a.index - b.index);
+    return report;
+}
+
 module.exports = { 
     generateProteinName, 
     calculateMolecularWeight, 
+    calculateMonoisotopicMass,
+    calculateNetCharge,
+    calculateIsoelectricPoint,
+    calculateExtinctionCoefficient,
+    calculateGravy,
+    calculateAliphaticIndex,
+    calculateInstabilityIndex,
+    calculateComposition,
+    calculateProperties,
+    molecularWeights,
+    monoisotopicResidueMasses,
+    WATER_MASS,
     predictSecondaryStructure, 
+    calculateConfidenceScore,
     generateStructureSVG, 
     authenticateUser, 
+    API_KEY_SCOPES,
+    hashApiKey,
+    issueApiKey,
+    authenticateApiKey,
+    formatApiKey,
     createProteinWithFragments, 
+    fragmentAndStoreSequence,
+    normalizeFragmentationStrategy,
+    fragmentSequence,
+    cleavageRules,
+    prositeToRegExp,
+    findMotifMatches,
+    getMotifDefinitions,
+    formatMotifDefinition,
+    findProteinMotifs,
+    storeFragmentMotifs,
+    getProteinMotifHits,
+    KMER_SIZE,
+    extractKmers,
+    indexProteinKmers,
+    findSimilarProteins,
+    AUDITED_PROTEIN_FIELDS,
+    AUDIT_ACTIONS,
+    diffAuditFields,
+    recordAudit,
+    requireProteinSequence,
+    proteinETag,
+    matchesETag,
+    purgeProtein,
+    purgeExpiredTrash,
+    refragmentProtein,
+    rescanMotif,
+    importFastaRecords,
+    formatAuditEntry,
+    proteinLinks,
+    fragmentLinks,
+    withProteinLinks,
     getUpdatedFragmentData,
-    getMotifs
+    getMotifs,
+    parseFasta,
+    parsePagination,
+    encodeCursor,
+    decodeCursor,
+    buildPage,
+    SEARCH_NUMERIC_FILTERS,
+    SEARCH_SORT_FIELDS,
+    parseProteinSearch,
+    searchProteins,
+    formatFasta,
+    formatGenBank,
+    formatCsv
 };
\ No newline at end of file
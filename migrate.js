@@ -0,0 +1,212 @@
+'use strict';
+// Versioned schema migrations from migrations/, applied in order and recorded in schema_migrations
+// Usage: node migrate.js [up [version] | down [count] | status]
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Held while migrating, so servers starting together do not apply the same migration twice
+const MIGRATION_LOCK_ID = 734920114;
+
+// Migration modules in version order, files are named like 001-protein-sequence.js
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d{3}-[a-z0-9-]+\.js$/.test(file))
+        .sort()
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: path.basename(file, '.js'),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }));
+}
+
+async function ensureMigrationTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+// Every known migration with `applied` and `appliedAt`
+async function migrationStatus(db) {
+    await ensureMigrationTable(db);
+    const applied = await db.query("SELECT version, applied_at FROM schema_migrations;");
+    const appliedAt = new Map(applied.rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+        ...migration,
+        applied: appliedAt.has(migration.version),
+        appliedAt: appliedAt.get(migration.version) || null
+    }));
+}
+
+// Tables with their columns, and index names, of the current schema
+async function readSchema(db) {
+    const columns = await db.query("SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = current_schema();");
+    const indexes = await db.query("SELECT indexname FROM pg_indexes WHERE schemaname = current_schema();");
+
+    const tables = new Map();
+    for(const { table_name, column_name } of columns.rows) {
+        if(!tables.has(table_name)) tables.set(table_name, new Set());
+        tables.get(table_name).add(column_name);
+    }
+    return { tables, indexes: new Set(indexes.rows.map(row => row.indexname)) };
+}
+
+// Whether `schema` holds every change a migration declares in `detect`:
+// `tables`, `columns` and `indexes` it creates and `droppedColumns` it removes
+function hasChanges(schema, { tables = [], columns = {}, indexes = [], droppedColumns = {} }) {
+    const hasColumn = (table, column) => schema.tables.has(table) && schema.tables.get(table).has(column);
+
+    return tables.every(table => schema.tables.has(table))
+        && Object.entries(columns).every(([table, names]) => names.every(name => hasColumn(table, name)))
+        && indexes.every(index => schema.indexes.has(index))
+        && Object.entries(droppedColumns).every(([table, names]) => schema.tables.has(table) && names.every(name => !hasColumn(table, name)));
+}
+
+// A database migrated by hand before schema_migrations existed gets the migrations whose changes are
+// already there recorded without running them, so their data steps (bootstrap keys, motif annotation) are not repeated
+// Only done while schema_migrations is empty, returns the names recorded
+async function baselineMigrations(db, { log = console.log } = {}) {
+    await ensureMigrationTable(db);
+    const recorded = await db.query("SELECT COUNT(*)::int AS count FROM schema_migrations;");
+    if(recorded.rows[0].count > 0) return [];
+
+    const schema = await readSchema(db);
+    const present = loadMigrations().filter(migration => migration.detect && hasChanges(schema, migration.detect));
+    for(const migration of present) {
+        await db.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2);", [migration.version, migration.name]);
+        log(`Recorded ${migration.name} as applied, its changes already exist`);
+    }
+
+    return present.map(migration => migration.name);
+}
+
+async function pendingMigrations(db) {
+    return (await migrationStatus(db)).filter(migration => !migration.applied);
+}
+
+// Run `fn` on one client holding the migration lock
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query("SELECT pg_advisory_lock($1);", [MIGRATION_LOCK_ID]);
+        try {
+            return await fn(client);
+        } finally {
+            await client.query("SELECT pg_advisory_unlock($1);", [MIGRATION_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// A migration and its schema_migrations row change in one transaction
+async function runMigration(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+
+        const report = await migration[direction](client);
+        if(direction === 'up') {
+            await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2);", [migration.version, migration.name]);
+        }
+        else {
+            await client.query("DELETE FROM schema_migrations WHERE version = $1;", [migration.version]);
+        }
+
+        await client.query('COMMIT');
+        return report || {};
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`, { cause: error });
+    }
+}
+
+// Apply pending migrations up to version `to`, returns the names of those applied
+// The first run on a database migrated by hand records what it already has, see baselineMigrations
+async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+    return withMigrationLock(pool, async client => {
+        await baselineMigrations(client, { log });
+        const pending = (await pendingMigrations(client)).filter(migration => migration.version <= to);
+
+        for(const migration of pending) {
+            const report = await runMigration(client, migration, 'up');
+            log(`Applied ${migration.name}`);
+            for(const line of migration.describe(report)) log(`  ${line}`);
+        }
+
+        return pending.map(migration => migration.name);
+    });
+}
+
+// Revert the `count` most recently applied migrations, returns their names
+async function migrateDown(pool, { count = 1, log = console.log } = {}) {
+    return withMigrationLock(pool, async client => {
+        const applied = (await migrationStatus(client)).filter(migration => migration.applied).reverse().slice(0, count);
+
+        for(const migration of applied) {
+            await runMigration(client, migration, 'down');
+            log(`Reverted ${migration.name}`);
+        }
+
+        return applied.map(migration => migration.name);
+    });
+}
+
+if(require.main === module) {
+    dotenv.config();
+    const pool = new Pool({
+        host: process.env.PG_HOST,
+        port: process.env.PG_PORT,
+        database: process.env.PG_DATABASE,
+        user: process.env.PG_USER,
+        password: process.env.PG_PASSWORD
+    });
+
+    const [command = 'up', argument] = process.argv.slice(2);
+    const number = argument === undefined ? null : Number(argument);
+    const commands = {
+        up: async () => {
+            const applied = await migrateUp(pool, { to: number === null ? Infinity : number });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+        },
+        down: async () => {
+            const reverted = await migrateDown(pool, { count: number === null ? 1 : number });
+            console.log(`Reverted ${reverted.length} migration(s)`);
+        },
+        status: async () => {
+            for(const migration of await migrationStatus(pool)) {
+                console.log(`${migration.applied ? 'applied' : 'pending'}  ${migration.name}`);
+            }
+        }
+    };
+
+    if(!(command in commands) || (number !== null && (!Number.isInteger(number) || number < 0))) {
+        console.error('Usage: node migrate.js [up [version] | down [count] | status]');
+        process.exitCode = 1;
+        pool.end();
+    }
+    else {
+        commands[command]()
+            .catch(error => {
+                console.error(error.message);
+                process.exitCode = 1;
+            })
+            .finally(() => pool.end());
+    }
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    migrationStatus,
+    baselineMigrations,
+    pendingMigrations,
+    migrateUp,
+    migrateDown
+};
@@ -0,0 +1,85 @@
+'use strict';
+// Create the tables of the first release and seed the default users on an empty database,
+// later migrations build the current schema on top of them
+
+async function up(db) {
+    await db.query(`
+        CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+        CREATE TABLE IF NOT EXISTS proteins (
+            protein_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            description VARCHAR(1000),
+            molecular_weight FLOAT CHECK (molecular_weight > 0),
+            sequence_length INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            sequence_url VARCHAR(255)
+        );
+
+        CREATE TABLE IF NOT EXISTS fragments (
+            fragment_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            protein_id UUID REFERENCES proteins(protein_id) ON DELETE CASCADE,
+            sequence VARCHAR(50) CHECK (sequence ~ '^[A-Z]{2,50}$'),
+            start_position INTEGER,
+            end_position INTEGER,
+            secondary_structure VARCHAR(50) CHECK (secondary_structure ~ '^[HEC]+$'),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            url VARCHAR(255)
+        );
+
+        CREATE TABLE IF NOT EXISTS motifs (
+            motif_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            fragment_id UUID REFERENCES fragments(fragment_id) ON DELETE CASCADE,
+            motif_pattern VARCHAR(50) NOT NULL,
+            motif_type VARCHAR(50),
+            start_position INTEGER,
+            end_position INTEGER,
+            confidence_score FLOAT CHECK (confidence_score >= 0 AND confidence_score <= 1),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS users (
+            id VARCHAR(50) PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            role VARCHAR(20) DEFAULT 'basic' CHECK (role IN ('admin', 'basic'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_proteins_name ON proteins(name);
+        CREATE INDEX IF NOT EXISTS idx_fragments_protein_id ON fragments(protein_id);
+        CREATE INDEX IF NOT EXISTS idx_fragments_sequence ON fragments(sequence);
+        CREATE INDEX IF NOT EXISTS idx_motifs_fragment_id ON motifs(fragment_id);
+        CREATE INDEX IF NOT EXISTS idx_motifs_pattern ON motifs(motif_pattern);
+    `);
+
+    // Databases set up by hand already have their users
+    const users = await db.query("SELECT COUNT(*)::int AS count FROM users;");
+    if(users.rows[0].count > 0) return { seeded: [] };
+
+    const seeded = await db.query(`
+        INSERT INTO users (id, name, role) VALUES
+        ('admin-user-001', 'Admin User', 'admin'),
+        ('user-001', 'Basic User', 'basic')
+        RETURNING id;
+    `);
+
+    return { seeded: seeded.rows.map(user => user.id) };
+}
+
+async function down(db) {
+    await db.query(`
+        DROP TABLE IF EXISTS motifs;
+        DROP TABLE IF EXISTS fragments;
+        DROP TABLE IF EXISTS proteins;
+        DROP TABLE IF EXISTS users;
+    `);
+}
+
+function describe(report) {
+    return report.seeded.length > 0 ? [`Seeded default users: ${report.seeded.join(", ")}`] : [];
+}
+
+// Recorded without running on a database migrated by hand that has this
+const detect = { tables: ['proteins', 'fragments', 'motifs', 'users'] };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,78 @@
+'use strict';
+// Add proteins.sequence and backfill it from the stored fragments
+const { calculateMolecularWeight, WATER_MASS } = require('../lib');
+
+// Place every fragment at its start position and check the overlaps agree
+// Returns { sequence } or { reason } when the protein cannot be rebuilt exactly
+function reconstructSequence(protein, fragments) {
+    if(fragments.length === 0) return { reason: "No fragments stored" };
+
+    const residues = new Array(protein.sequence_length).fill(null);
+    for(const fragment of fragments) {
+        for(let i = 0; i < fragment.sequence.length; i++) {
+            const position = fragment.start_position + i;
+            if(position >= residues.length) return { reason: `Fragment ${fragment.fragment_id} extends past sequence length` };
+            if(residues[position] !== null && residues[position] !== fragment.sequence[i]) {
+                return { reason: `Fragments disagree at position ${position + 1}` };
+            }
+            residues[position] = fragment.sequence[i];
+        }
+    }
+
+    const missing = residues.indexOf(null);
+    if(missing !== -1) {
+        const covered = residues.filter(aa => aa !== null).length;
+        return { reason: `Residues not covered by any fragment from position ${missing + 1} (${covered} of ${residues.length} covered)` };
+    }
+
+    // Rows written before 005 stored the weight without subtracting water per peptide bond
+    const sequence = residues.join("");
+    const molecularWeight = calculateMolecularWeight(sequence);
+    const legacyWeight = molecularWeight + (sequence.length - 1) * WATER_MASS.average;
+    if(Math.abs(molecularWeight - protein.molecular_weight) > 0.01 && Math.abs(legacyWeight - protein.molecular_weight) > 0.01) {
+        return { reason: "Rebuilt sequence does not match stored molecular weight" };
+    }
+
+    return { sequence };
+}
+
+async function up(db) {
+    await db.query("ALTER TABLE proteins ADD COLUMN IF NOT EXISTS sequence TEXT CHECK (sequence ~ '^[ACDEFGHIKLMNPQRSTVWY]+$');");
+
+    const proteins = await db.query("SELECT * FROM proteins WHERE sequence IS NULL;");
+    const report = { backfilled: 0, failed: [] };
+
+    for(const protein of proteins.rows) {
+        const fragmentData = await db.query(
+            "SELECT * FROM fragments WHERE protein_id = $1 ORDER BY start_position ASC;",
+            [protein.protein_id]
+        );
+
+        const { sequence, reason } = reconstructSequence(protein, fragmentData.rows);
+        if(reason) {
+            report.failed.push({ proteinId: protein.protein_id, name: protein.name, reason });
+            continue;
+        }
+
+        await db.query("UPDATE proteins SET sequence = $1 WHERE protein_id = $2;", [sequence, protein.protein_id]);
+        report.backfilled++;
+    }
+
+    return report;
+}
+
+// Sequences are rebuilt from the fragments when applied again, which may not cover every protein
+async function down(db) {
+    await db.query("ALTER TABLE proteins DROP COLUMN IF EXISTS sequence;");
+}
+
+function describe(report) {
+    return [
+        `Backfilled ${report.backfilled} protein sequence(s)`,
+        ...report.failed.map(failure => `Could not reconstruct ${failure.proteinId} (${failure.name}): ${failure.reason}`)
+    ];
+}
+
+const detect = { columns: { proteins: ['sequence'] } };
+
+module.exports = { up, down, describe, detect, reconstructSequence };
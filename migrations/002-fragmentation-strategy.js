@@ -0,0 +1,44 @@
+'use strict';
+// Record the fragmentation strategy on proteins and let fragments hold
+// enzymatic peptides of any length
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE proteins
+        ADD COLUMN IF NOT EXISTS fragmentation JSONB NOT NULL
+        DEFAULT '{"strategy": "sliding", "windowSize": 15, "stepSize": 5}';
+    `);
+
+    await db.query(`
+        ALTER TABLE fragments DROP CONSTRAINT IF EXISTS fragments_sequence_check;
+        ALTER TABLE fragments DROP CONSTRAINT IF EXISTS fragments_secondary_structure_check;
+        ALTER TABLE fragments
+            ALTER COLUMN sequence TYPE TEXT,
+            ALTER COLUMN secondary_structure TYPE TEXT;
+        ALTER TABLE fragments ADD CONSTRAINT fragments_sequence_check CHECK (sequence ~ '^[A-Z]+$');
+        ALTER TABLE fragments ADD CONSTRAINT fragments_secondary_structure_check CHECK (secondary_structure ~ '^[HEC]+$');
+    `);
+}
+
+// Fails while fragments longer than the former 50 residue limit are stored
+async function down(db) {
+    await db.query(`
+        ALTER TABLE proteins DROP COLUMN IF EXISTS fragmentation;
+
+        ALTER TABLE fragments DROP CONSTRAINT IF EXISTS fragments_sequence_check;
+        ALTER TABLE fragments DROP CONSTRAINT IF EXISTS fragments_secondary_structure_check;
+        ALTER TABLE fragments
+            ALTER COLUMN sequence TYPE VARCHAR(50),
+            ALTER COLUMN secondary_structure TYPE VARCHAR(50);
+        ALTER TABLE fragments ADD CONSTRAINT fragments_sequence_check CHECK (sequence ~ '^[A-Z]{2,50}$');
+        ALTER TABLE fragments ADD CONSTRAINT fragments_secondary_structure_check CHECK (secondary_structure ~ '^[HEC]+$');
+    `);
+}
+
+function describe() {
+    return ['Added proteins.fragmentation, fragments may hold peptides of any length'];
+}
+
+const detect = { columns: { proteins: ['fragmentation'] } };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,50 @@
+'use strict';
+// Move the hard-coded motifs into a motif_definitions table and link
+// stored motif hits to their definition
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS motif_definitions (
+            motif_definition_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            name VARCHAR(50) NOT NULL UNIQUE,
+            type VARCHAR(50),
+            pattern VARCHAR(200) NOT NULL,
+            description VARCHAR(1000),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO motif_definitions (name, type, pattern) VALUES
+        ('N-glycosylation site', 'N-glycosylation', 'N-{P}-[ST]-{P}'),
+        ('Casein kinase II phosphorylation site', 'Casein kinase II', '[ST]-x(2)-[DE]'),
+        ('Tyrosine kinase phosphorylation site', 'Tyrosine kinase', '[RK]-x(0,2)-[DE]')
+        ON CONFLICT (name) DO NOTHING;
+
+        ALTER TABLE motifs
+            ADD COLUMN IF NOT EXISTS motif_definition_id UUID REFERENCES motif_definitions(motif_definition_id) ON DELETE CASCADE,
+            ALTER COLUMN motif_pattern TYPE TEXT;
+
+        UPDATE motifs m
+        SET motif_definition_id = d.motif_definition_id
+        FROM motif_definitions d
+        WHERE m.motif_definition_id IS NULL AND m.motif_type = d.name;
+
+        CREATE INDEX IF NOT EXISTS idx_motifs_definition_id ON motifs(motif_definition_id);
+    `);
+}
+
+// Stored hits keep their motif_type, which links them again when applied again
+async function down(db) {
+    await db.query(`
+        ALTER TABLE motifs DROP COLUMN IF EXISTS motif_definition_id;
+        DROP TABLE IF EXISTS motif_definitions;
+    `);
+}
+
+function describe() {
+    return ['Created motif_definitions with the default motifs'];
+}
+
+const detect = { tables: ['motif_definitions'], columns: { motifs: ['motif_definition_id'] } };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,165 @@
+'use strict';
+// Store motif hits found on the whole sequence and rebuild fragment motifs from them
+// The scan is copied from lib.js as it was when this migration was written, so later
+// changes there cannot change what the migration does on a fresh database
+
+// Chou-Fasman propensities, a residue's confidence is its best minus its second best
+const propensities = {
+    A: { H: 1.42, E: 0.83, C: 0.80 }, R: { H: 1.21, E: 0.84, C: 0.96 },
+    N: { H: 0.67, E: 0.89, C: 1.34 }, D: { H: 1.01, E: 0.54, C: 1.35 },
+    C: { H: 0.70, E: 1.19, C: 1.06 }, Q: { H: 1.11, E: 1.10, C: 0.84 },
+    E: { H: 1.51, E: 0.37, C: 1.08 }, G: { H: 0.57, E: 0.75, C: 1.56 },
+    H: { H: 1.00, E: 0.87, C: 1.09 }, I: { H: 1.08, E: 1.60, C: 0.47 },
+    L: { H: 1.21, E: 1.30, C: 0.59 }, K: { H: 1.16, E: 0.74, C: 1.07 },
+    M: { H: 1.45, E: 1.05, C: 0.60 }, F: { H: 1.13, E: 1.38, C: 0.59 },
+    P: { H: 0.57, E: 0.55, C: 1.72 }, S: { H: 0.77, E: 0.75, C: 1.39 },
+    T: { H: 0.83, E: 1.19, C: 0.96 }, W: { H: 1.08, E: 1.37, C: 0.64 },
+    Y: { H: 0.69, E: 1.47, C: 0.87 }, V: { H: 1.06, E: 1.70, C: 0.41 }
+};
+
+function confidenceScores(sequence) {
+    return [...sequence].map(aa => {
+        const [best, second] = Object.values(propensities[aa]).sort((a, b) => b - a);
+        return best - second;
+    });
+}
+
+// PROSITE pattern such as "N-{P}-[ST]-{P}" as a sticky RegExp, the library only holds patterns that passed validation
+function prositeToRegExp(pattern) {
+    const elements = pattern.trim().replace(/\.$/, "").split("-");
+    let source = "";
+
+    for(let i = 0; i < elements.length; i++) {
+        let element = elements[i];
+
+        if(i === 0 && element.startsWith("<")) {
+            source += "^";
+            element = element.slice(1);
+        }
+        let anchorEnd = false;
+        if(i === elements.length - 1 && element.endsWith(">")) {
+            anchorEnd = true;
+            element = element.slice(0, -1);
+        }
+
+        const match = /^(x|[A-Z]|\[([A-Z]+)\]|\{([A-Z]+)\})(?:\((\d+)(?:,(\d+))?\))?$/.exec(element);
+        if(!match) throw new Error(`Invalid PROSITE element '${elements[i]}' in motif pattern ${pattern}`);
+
+        const [, residue, allowed, excluded, min, max] = match;
+        if(residue === "x") source += ".";
+        else if(allowed) source += `[${allowed}]`;
+        else if(excluded) source += `[^${excluded}]`;
+        else source += residue;
+
+        if(max !== undefined) source += `{${min},${max}}`;
+        else if(min !== undefined) source += `{${min}}`;
+
+        if(anchorEnd) source += "$";
+    }
+
+    return new RegExp(source, "y");
+}
+
+// Every match of every definition, overlapping ones included, deduplicated per motif and range
+// A hit scores the mean confidence over its residues, capped at 1 as motifs.confidence_score requires
+function findProteinMotifs(sequence, definitions) {
+    const confidence = confidenceScores(sequence);
+    const seen = new Set();
+    const hits = [];
+
+    for(const { motif_definition_id, name, regex } of definitions) {
+        for(let start = 0; start < sequence.length; start++) {
+            regex.lastIndex = start;
+            const match = regex.exec(sequence);
+            if(match === null || match[0].length === 0) continue;
+
+            const end = start + match[0].length;
+            const key = `${motif_definition_id}:${start}:${end}`;
+            if(seen.has(key)) continue;
+            seen.add(key);
+
+            let score = 0;
+            for(let i = start; i < end; i++) {
+                score += confidence[i];
+            }
+            hits.push({ motif_definition_id, name, start, end, match: match[0], score: Math.min(score / (end - start), 1) });
+        }
+    }
+
+    return hits;
+}
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS protein_motifs (
+            protein_motif_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            protein_id UUID REFERENCES proteins(protein_id) ON DELETE CASCADE,
+            motif_definition_id UUID REFERENCES motif_definitions(motif_definition_id) ON DELETE CASCADE,
+            motif_pattern TEXT NOT NULL,
+            motif_type VARCHAR(50),
+            start_position INTEGER,
+            end_position INTEGER,
+            score FLOAT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (protein_id, motif_definition_id, start_position, end_position)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_protein_motifs_protein_id ON protein_motifs(protein_id);
+        CREATE INDEX IF NOT EXISTS idx_protein_motifs_type ON protein_motifs(motif_type);
+    `);
+
+    // The migration runner wraps this in a transaction
+    const library = await db.query("SELECT motif_definition_id, name, pattern FROM motif_definitions;");
+    const definitions = library.rows.map(row => ({ ...row, regex: prositeToRegExp(row.pattern) }));
+    const proteins = await db.query(`
+        SELECT protein_id, sequence FROM proteins p
+        WHERE sequence IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM protein_motifs pm WHERE pm.protein_id = p.protein_id);
+    `);
+
+    for(const protein of proteins.rows) {
+        const hits = findProteinMotifs(protein.sequence, definitions);
+        const fragments = await db.query(
+            "SELECT fragment_id, start_position, end_position FROM fragments WHERE protein_id = $1;",
+            [protein.protein_id]
+        );
+
+        await db.query(
+            "DELETE FROM motifs WHERE fragment_id IN (SELECT fragment_id FROM fragments WHERE protein_id = $1);",
+            [protein.protein_id]
+        );
+        for(const hit of hits) {
+            await db.query(
+                `INSERT INTO protein_motifs (protein_id, motif_definition_id, motif_pattern, motif_type, start_position, end_position, score)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7);`,
+                [protein.protein_id, hit.motif_definition_id, hit.match, hit.name, hit.start, hit.end, hit.score]
+            );
+
+            // Every fragment that fully contains the hit gets it with fragment-relative positions
+            for(const fragment of fragments.rows) {
+                if(hit.start < fragment.start_position || hit.end > fragment.end_position) continue;
+
+                await db.query(
+                    `INSERT INTO motifs (fragment_id, motif_definition_id, motif_pattern, motif_type, start_position, end_position, confidence_score)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7);`,
+                    [fragment.fragment_id, hit.motif_definition_id, hit.match, hit.name, hit.start - fragment.start_position, hit.end - fragment.start_position, hit.score]
+                );
+            }
+        }
+    }
+
+    return { annotated: proteins.rows.length };
+}
+
+// Fragment motifs rebuilt from the protein hits are kept
+async function down(db) {
+    await db.query("DROP TABLE IF EXISTS protein_motifs;");
+}
+
+function describe(report) {
+    return [`Annotated ${report.annotated} protein(s)`];
+}
+
+const detect = { tables: ['protein_motifs'] };
+
+module.exports = { up, down, describe, detect };
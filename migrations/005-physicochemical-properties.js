@@ -0,0 +1,64 @@
+'use strict';
+// Store physicochemical properties on proteins and recompute molecular_weight,
+// which used to be stored without subtracting water per peptide bond
+const { calculateProperties } = require('../lib');
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE proteins
+            ADD COLUMN IF NOT EXISTS monoisotopic_mass FLOAT,
+            ADD COLUMN IF NOT EXISTS isoelectric_point FLOAT,
+            ADD COLUMN IF NOT EXISTS extinction_coefficient INTEGER,
+            ADD COLUMN IF NOT EXISTS gravy FLOAT,
+            ADD COLUMN IF NOT EXISTS aliphatic_index FLOAT,
+            ADD COLUMN IF NOT EXISTS instability_index FLOAT;
+
+        CREATE INDEX IF NOT EXISTS idx_proteins_molecular_weight ON proteins(molecular_weight);
+        CREATE INDEX IF NOT EXISTS idx_proteins_isoelectric_point ON proteins(isoelectric_point);
+    `);
+
+    const proteins = await db.query("SELECT protein_id, sequence FROM proteins WHERE sequence IS NOT NULL;");
+    for(const protein of proteins.rows) {
+        const properties = calculateProperties(protein.sequence);
+        await db.query(
+            `UPDATE proteins
+             SET molecular_weight = $1, monoisotopic_mass = $2, isoelectric_point = $3,
+                 extinction_coefficient = $4, gravy = $5, aliphatic_index = $6, instability_index = $7
+             WHERE protein_id = $8;`,
+            [
+                properties.molecularWeight,
+                properties.monoisotopicMass,
+                properties.isoelectricPoint,
+                properties.extinctionCoefficient,
+                properties.gravy,
+                properties.aliphaticIndex,
+                properties.instabilityIndex,
+                protein.protein_id
+            ]
+        );
+    }
+
+    return { updated: proteins.rows.length };
+}
+
+// molecular_weight keeps the corrected values
+async function down(db) {
+    await db.query(`
+        DROP INDEX IF EXISTS idx_proteins_molecular_weight;
+        ALTER TABLE proteins
+            DROP COLUMN IF EXISTS monoisotopic_mass,
+            DROP COLUMN IF EXISTS isoelectric_point,
+            DROP COLUMN IF EXISTS extinction_coefficient,
+            DROP COLUMN IF EXISTS gravy,
+            DROP COLUMN IF EXISTS aliphatic_index,
+            DROP COLUMN IF EXISTS instability_index;
+    `);
+}
+
+function describe(report) {
+    return [`Updated properties of ${report.updated} protein(s)`];
+}
+
+const detect = { columns: { proteins: ['monoisotopic_mass', 'isoelectric_point', 'extinction_coefficient', 'gravy', 'aliphatic_index', 'instability_index'] } };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,57 @@
+'use strict';
+// Create the k-mer similarity index and fill it for existing proteins
+// The index is built here rather than with lib.js, whose k-mer code may change after this migration
+
+const KMER_SIZE = 3;
+
+// Every k-mer of a sequence with its 0-based start positions
+function extractKmers(sequence) {
+    const kmers = {};
+    for(let i = 0; i + KMER_SIZE <= sequence.length; i++) {
+        const kmer = sequence.slice(i, i + KMER_SIZE);
+        (kmers[kmer] = kmers[kmer] || []).push(i);
+    }
+    return kmers;
+}
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS protein_kmers (
+            protein_id UUID REFERENCES proteins(protein_id) ON DELETE CASCADE,
+            kmer VARCHAR(10) NOT NULL,
+            positions INTEGER[] NOT NULL,
+            PRIMARY KEY (kmer, protein_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_protein_kmers_protein_id ON protein_kmers(protein_id);
+    `);
+
+    const proteins = await db.query(`
+        SELECT protein_id, sequence FROM proteins p
+        WHERE sequence IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM protein_kmers k WHERE k.protein_id = p.protein_id);
+    `);
+    // One row per distinct k-mer of a protein, written in one statement per protein
+    for(const protein of proteins.rows) {
+        await db.query(`
+            INSERT INTO protein_kmers (protein_id, kmer, positions)
+            SELECT $1, k.key, ARRAY(SELECT p.value::int FROM jsonb_array_elements_text(k.value) WITH ORDINALITY p(value, n) ORDER BY p.n)
+            FROM jsonb_each($2::jsonb) k;`,
+            [protein.protein_id, JSON.stringify(extractKmers(protein.sequence))]
+        );
+    }
+
+    return { indexed: proteins.rows.length };
+}
+
+async function down(db) {
+    await db.query("DROP TABLE IF EXISTS protein_kmers;");
+}
+
+function describe(report) {
+    return [`Indexed ${report.indexed} protein(s)`];
+}
+
+const detect = { tables: ['protein_kmers'] };
+
+module.exports = { up, down, describe, detect };
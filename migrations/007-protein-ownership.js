@@ -0,0 +1,27 @@
+'use strict';
+// Record which user owns each protein
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE proteins ADD COLUMN IF NOT EXISTS owner_id VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_proteins_owner_id ON proteins(owner_id);
+    `);
+
+    // Ownership was never recorded, so existing proteins stay admin-managed
+    const unowned = await db.query("SELECT COUNT(*)::int AS count FROM proteins WHERE owner_id IS NULL;");
+
+    return { unowned: unowned.rows[0].count };
+}
+
+async function down(db) {
+    await db.query("ALTER TABLE proteins DROP COLUMN IF EXISTS owner_id;");
+}
+
+function describe(report) {
+    return [`${report.unowned} protein(s) without an owner, only admins can modify them`];
+}
+
+const detect = { columns: { proteins: ['owner_id'] } };
+
+module.exports = { up, down, describe, detect };
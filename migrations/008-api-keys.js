@@ -0,0 +1,58 @@
+'use strict';
+// Create the API key table and issue a first key for every admin without one
+const crypto = require('crypto');
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            key_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            user_id VARCHAR(50) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name VARCHAR(100),
+            prefix VARCHAR(16) NOT NULL,
+            key_hash CHAR(64) NOT NULL UNIQUE,
+            scopes TEXT[] NOT NULL CHECK (scopes <@ ARRAY['read', 'write', 'admin']::TEXT[]),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP,
+            last_used_at TIMESTAMP,
+            revoked_at TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    `);
+
+    // Without a key nobody could call the admin routes once the legacy header is off
+    const admins = await db.query(`
+        SELECT id FROM users u
+        WHERE role = 'admin'
+          AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.user_id = u.id AND k.revoked_at IS NULL);
+    `);
+    const issued = [];
+    for(const admin of admins.rows) {
+        // Same key format and SHA-256 hash as the keys issued through the API
+        const key = `pk_${crypto.randomBytes(32).toString('base64url')}`;
+        await db.query(
+            "INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes) VALUES ($1, 'bootstrap', $2, $3, ARRAY['read', 'write', 'admin']);",
+            [admin.id, key.slice(0, 11), crypto.createHash('sha256').update(key).digest('hex')]
+        );
+        issued.push({ userId: admin.id, key });
+    }
+
+    return { issued };
+}
+
+// Every issued key stops working
+async function down(db) {
+    await db.query("DROP TABLE IF EXISTS api_keys;");
+}
+
+function describe(report) {
+    if(report.issued.length === 0) return [];
+    return [
+        ...report.issued.map(({ userId, key }) => `Issued bootstrap key for ${userId}: ${key}`),
+        `Issued ${report.issued.length} bootstrap key(s), store them now, they are not shown again`
+    ];
+}
+
+const detect = { tables: ['api_keys'] };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,32 @@
+'use strict';
+// Create the protein audit log
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS protein_audit_log (
+            audit_id BIGSERIAL PRIMARY KEY,
+            protein_id UUID NOT NULL,
+            user_id VARCHAR(50),
+            action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'refragment', 'reannotate')),
+            changes JSONB NOT NULL DEFAULT '{}',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_protein_audit_log_protein_id ON protein_audit_log(protein_id);
+        CREATE INDEX IF NOT EXISTS idx_protein_audit_log_created_at ON protein_audit_log(created_at);
+    `);
+
+    return {};
+}
+
+async function down(db) {
+    await db.query("DROP TABLE IF EXISTS protein_audit_log;");
+}
+
+function describe() {
+    return ['Created protein_audit_log'];
+}
+
+const detect = { tables: ['protein_audit_log'] };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,43 @@
+'use strict';
+// Add the trash columns and the audit actions for restoring and purging proteins
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE proteins ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+        ALTER TABLE proteins ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_proteins_deleted_at ON proteins(deleted_at);
+
+        ALTER TABLE protein_audit_log DROP CONSTRAINT IF EXISTS protein_audit_log_action_check;
+        ALTER TABLE protein_audit_log ADD CONSTRAINT protein_audit_log_action_check
+            CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge', 'refragment', 'reannotate'));
+    `);
+
+    return {};
+}
+
+// Refuses while proteins are in the trash, dropping deleted_at would bring them back
+// Restore and purge entries do not fit the former audit actions and are removed
+async function down(db) {
+    const trashed = await db.query("SELECT COUNT(*)::int AS count FROM proteins WHERE deleted_at IS NOT NULL;");
+    if(trashed.rows[0].count > 0) throw new Error(`${trashed.rows[0].count} protein(s) in the trash, restore or purge them first`);
+
+    await db.query(`
+        DELETE FROM protein_audit_log WHERE action IN ('restore', 'purge');
+        ALTER TABLE protein_audit_log DROP CONSTRAINT IF EXISTS protein_audit_log_action_check;
+        ALTER TABLE protein_audit_log ADD CONSTRAINT protein_audit_log_action_check
+            CHECK (action IN ('create', 'update', 'delete', 'refragment', 'reannotate'));
+
+        ALTER TABLE proteins
+            DROP COLUMN IF EXISTS deleted_at,
+            DROP COLUMN IF EXISTS deleted_by;
+    `);
+}
+
+function describe() {
+    return ['Added trash columns to proteins'];
+}
+
+const detect = { columns: { proteins: ['deleted_at', 'deleted_by'] } };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,39 @@
+'use strict';
+// Create the table backing the asynchronous job queue
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            job_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            type VARCHAR(30) NOT NULL CHECK (type IN ('create-protein', 'fasta-import', 'refragment', 'motif-rescan')),
+            status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+            payload JSONB NOT NULL,
+            result JSONB,
+            error TEXT,
+            progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            user_id VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            started_at TIMESTAMP,
+            finished_at TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status_created_at ON jobs(status, created_at);
+        CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id);
+    `);
+
+    return {};
+}
+
+async function down(db) {
+    await db.query("DROP TABLE IF EXISTS jobs;");
+}
+
+function describe() {
+    return ['Created jobs'];
+}
+
+const detect = { tables: ['jobs'] };
+
+module.exports = { up, down, describe, detect };
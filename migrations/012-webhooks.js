@@ -0,0 +1,54 @@
+'use strict';
+// Create the webhook subscription and delivery log tables
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            webhook_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            user_id VARCHAR(50) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            url VARCHAR(2000) NOT NULL,
+            events TEXT[] NOT NULL,
+            description VARCHAR(1000),
+            secret VARCHAR(100) NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            delivery_id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            webhook_id UUID NOT NULL REFERENCES webhooks(webhook_id) ON DELETE CASCADE,
+            event VARCHAR(50) NOT NULL,
+            payload JSONB NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            response_status INTEGER,
+            error TEXT,
+            next_attempt_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next_attempt_at ON webhook_deliveries(status, next_attempt_at);
+    `);
+
+    return {};
+}
+
+async function down(db) {
+    await db.query(`
+        DROP TABLE IF EXISTS webhook_deliveries;
+        DROP TABLE IF EXISTS webhooks;
+    `);
+}
+
+function describe() {
+    return ['Created webhooks and webhook_deliveries'];
+}
+
+const detect = { tables: ['webhooks', 'webhook_deliveries'] };
+
+module.exports = { up, down, describe, detect };
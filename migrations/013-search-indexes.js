@@ -0,0 +1,26 @@
+'use strict';
+// Index proteins for keyset pagination and description full-text search
+
+async function up(db) {
+    await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_proteins_created_at_protein_id ON proteins(created_at, protein_id);
+        CREATE INDEX IF NOT EXISTS idx_proteins_description_fts ON proteins USING GIN (to_tsvector('english', COALESCE(description, '')));
+    `);
+
+    return {};
+}
+
+async function down(db) {
+    await db.query(`
+        DROP INDEX IF EXISTS idx_proteins_created_at_protein_id;
+        DROP INDEX IF EXISTS idx_proteins_description_fts;
+    `);
+}
+
+function describe() {
+    return ['Created search indexes'];
+}
+
+const detect = { indexes: ['idx_proteins_created_at_protein_id', 'idx_proteins_description_fts'] };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,38 @@
+'use strict';
+// Drop the stored protein and fragment URLs, links are now built for each response
+
+async function up(db) {
+    const columns = await db.query(
+        `SELECT table_name FROM information_schema.columns
+         WHERE (table_name = 'proteins' AND column_name = 'sequence_url') OR (table_name = 'fragments' AND column_name = 'url');`
+    );
+    const stored = { proteins: 0, fragments: 0 };
+    for(const { table_name } of columns.rows) {
+        const column = table_name === 'proteins' ? 'sequence_url' : 'url';
+        const count = await db.query(`SELECT COUNT(*)::int AS count FROM ${table_name} WHERE ${column} IS NOT NULL;`);
+        stored[table_name] = count.rows[0].count;
+    }
+
+    await db.query(`
+        ALTER TABLE proteins DROP COLUMN IF EXISTS sequence_url;
+        ALTER TABLE fragments DROP COLUMN IF EXISTS url;
+    `);
+
+    return stored;
+}
+
+// The columns come back empty, links are still built for each response
+async function down(db) {
+    await db.query(`
+        ALTER TABLE proteins ADD COLUMN IF NOT EXISTS sequence_url VARCHAR(255);
+        ALTER TABLE fragments ADD COLUMN IF NOT EXISTS url VARCHAR(255);
+    `);
+}
+
+function describe(report) {
+    return [`Removed ${report.proteins} stored protein URL(s) and ${report.fragments} stored fragment URL(s)`];
+}
+
+const detect = { droppedColumns: { proteins: ['sequence_url'], fragments: ['url'] } };
+
+module.exports = { up, down, describe, detect };
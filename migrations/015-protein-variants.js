@@ -0,0 +1,28 @@
+'use strict';
+// Link variant proteins to the protein they were derived from
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE proteins
+            ADD COLUMN IF NOT EXISTS parent_protein_id UUID REFERENCES proteins(protein_id) ON DELETE SET NULL,
+            ADD COLUMN IF NOT EXISTS variant VARCHAR(500);
+
+        CREATE INDEX IF NOT EXISTS idx_proteins_parent_protein_id ON proteins(parent_protein_id);
+    `);
+}
+
+async function down(db) {
+    await db.query(`
+        ALTER TABLE proteins
+            DROP COLUMN IF EXISTS parent_protein_id,
+            DROP COLUMN IF EXISTS variant;
+    `);
+}
+
+function describe() {
+    return ["Added proteins.parent_protein_id and proteins.variant"];
+}
+
+const detect = { columns: { proteins: ['parent_protein_id', 'variant'] } };
+
+module.exports = { up, down, describe, detect };
@@ -0,0 +1,32 @@
+const { Pool } = require('pg');
+const { createPostgresStore } = require('./postgres');
+const { createMemoryStore } = require('./memory');
+
+const STORAGE_BACKENDS = ['postgres', 'memory'];
+
+// Store picked by STORAGE_BACKEND, PostgreSQL unless told otherwise
+function createStore(env = process.env) {
+    const backend = env.STORAGE_BACKEND || 'postgres';
+
+    if(backend === 'memory') {
+        return createMemoryStore({ dataFile: env.DATA_FILE || null });
+    }
+
+    if(backend === 'postgres') {
+        const pool = new Pool({
+            host: env.PG_HOST,
+            port: env.PG_PORT,
+            database: env.PG_DATABASE,
+            user: env.PG_USER,
+            password: env.PG_PASSWORD
+        });
+        return createPostgresStore(pool, { migrate: env.MIGRATE_ON_START !== 'false' });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of: ${STORAGE_BACKENDS.join(", ")}`);
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createStore
+};
@@ -0,0 +1,1071 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { API_KEY_SCOPES, issueApiKey, encodeCursor, decodeCursor, buildPage } = require('../lib');
+
+const TABLES = [
+    'users', 'apiKeys', 'proteins', 'fragments', 'motifDefinitions', 'proteinMotifs', 'motifs',
+    'proteinKmers', 'auditLog', 'jobs', 'webhooks', 'webhookDeliveries'
+];
+
+// Seeded into a new store, the same defaults the PostgreSQL setup inserts
+const DEFAULT_USERS = [
+    { id: 'admin-user-001', name: 'Admin User', role: 'admin' },
+    { id: 'user-001', name: 'Basic User', role: 'basic' }
+];
+
+const DEFAULT_MOTIF_DEFINITIONS = [
+    { name: 'N-glycosylation site', type: 'N-glycosylation', pattern: 'N-{P}-[ST]-{P}' },
+    { name: 'Casein kinase II phosphorylation site', type: 'Casein kinase II', pattern: '[ST]-x(2)-[DE]' },
+    { name: 'Tyrosine kinase phosphorylation site', type: 'Tyrosine kinase', pattern: '[RK]-x(0,2)-[DE]' }
+];
+
+// Protein columns in table order with their defaults, rows are built from it so every row has the same shape
+const PROTEIN_COLUMNS = {
+    protein_id: null, name: null, description: null, molecular_weight: null, sequence_length: null,
+    created_at: null, updated_at: null, sequence: null,
+    fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 },
+    monoisotopic_mass: null, isoelectric_point: null, extinction_coefficient: null,
+    gravy: null, aliphatic_index: null, instability_index: null,
+    owner_id: null, deleted_at: null, deleted_by: null,
+    parent_protein_id: null, variant: null
+};
+
+const isOneOf = (...values) => value => values.includes(value);
+
+// Constraints of the PostgreSQL schema, checked on every insert and update so both backends reject the same rows.
+// CHECK constraints pass NULL as in PostgreSQL. The large per-protein tables (k-mers, protein motifs) skip their
+// UNIQUE constraints, a scan of the whole table per insert would make bulk loads quadratic and their rows are built unique
+const TABLE_CONSTRAINTS = {
+    users: {
+        relation: 'users',
+        notNull: ['id', 'name'],
+        maxLength: { id: 50, name: 100, role: 20 },
+        checks: { users_role_check: { column: 'role', test: isOneOf('admin', 'basic') } },
+        unique: { users_pkey: ['id'] }
+    },
+    apiKeys: {
+        relation: 'api_keys',
+        notNull: ['user_id', 'prefix', 'key_hash', 'scopes'],
+        maxLength: { user_id: 50, name: 100, prefix: 16, key_hash: 64 },
+        checks: { api_keys_scopes_check: { column: 'scopes', test: scopes => scopes.every(isOneOf('read', 'write', 'admin')) } },
+        unique: { api_keys_key_hash_key: ['key_hash'] }
+    },
+    proteins: {
+        relation: 'proteins',
+        notNull: ['name', 'fragmentation'],
+        maxLength: { name: 100, description: 1000, owner_id: 50, deleted_by: 50, variant: 500 },
+        checks: {
+            proteins_molecular_weight_check: { column: 'molecular_weight', test: weight => weight > 0 },
+            proteins_sequence_check: { column: 'sequence', test: sequence => /^[ACDEFGHIKLMNPQRSTVWY]+$/.test(sequence) }
+        }
+    },
+    fragments: {
+        relation: 'fragments',
+        checks: {
+            fragments_sequence_check: { column: 'sequence', test: sequence => /^[A-Z]+$/.test(sequence) },
+            fragments_secondary_structure_check: { column: 'secondary_structure', test: structure => /^[HEC]+$/.test(structure) }
+        }
+    },
+    motifDefinitions: {
+        relation: 'motif_definitions',
+        notNull: ['name', 'pattern'],
+        maxLength: { name: 50, type: 50, pattern: 200, description: 1000 },
+        unique: { motif_definitions_name_key: ['name'] }
+    },
+    proteinMotifs: {
+        relation: 'protein_motifs',
+        notNull: ['motif_pattern'],
+        maxLength: { motif_type: 50 }
+    },
+    motifs: {
+        relation: 'motifs',
+        notNull: ['motif_pattern'],
+        maxLength: { motif_type: 50 },
+        checks: { motifs_confidence_score_check: { column: 'confidence_score', test: score => score >= 0 && score <= 1 } }
+    },
+    proteinKmers: {
+        relation: 'protein_kmers',
+        notNull: ['kmer', 'positions'],
+        maxLength: { kmer: 10 }
+    },
+    auditLog: {
+        relation: 'protein_audit_log',
+        notNull: ['protein_id', 'action', 'changes'],
+        maxLength: { user_id: 50, action: 20 },
+        checks: {
+            protein_audit_log_action_check: {
+                column: 'action',
+                test: isOneOf('create', 'update', 'delete', 'restore', 'purge', 'refragment', 'reannotate')
+            }
+        }
+    },
+    jobs: {
+        relation: 'jobs',
+        notNull: ['type', 'status', 'payload', 'progress', 'attempts'],
+        maxLength: { type: 30, status: 20, user_id: 50 },
+        checks: {
+            jobs_type_check: { column: 'type', test: isOneOf('create-protein', 'fasta-import', 'refragment', 'motif-rescan') },
+            jobs_status_check: { column: 'status', test: isOneOf('queued', 'running', 'succeeded', 'failed') },
+            jobs_progress_check: { column: 'progress', test: progress => progress >= 0 && progress <= 100 }
+        }
+    },
+    webhooks: {
+        relation: 'webhooks',
+        notNull: ['user_id', 'url', 'events', 'secret', 'active'],
+        maxLength: { user_id: 50, url: 2000, description: 1000, secret: 100 }
+    },
+    webhookDeliveries: {
+        relation: 'webhook_deliveries',
+        notNull: ['webhook_id', 'event', 'payload', 'status', 'attempts'],
+        maxLength: { event: 50 },
+        checks: { webhook_deliveries_status_check: { column: 'status', test: isOneOf('pending', 'succeeded', 'failed') } }
+    }
+};
+
+// Errors carry the SQLSTATE code and message PostgreSQL would give
+function databaseError(code, message, details = {}) {
+    return Object.assign(new Error(message), { code, ...details });
+}
+
+// Throws when `row` breaks a constraint of `table`, `others` are the rows a UNIQUE constraint compares it with
+function checkConstraints(table, row, others) {
+    const { relation, notNull = [], maxLength = {}, checks = {}, unique = {} } = TABLE_CONSTRAINTS[table];
+    const isNull = value => value === null || value === undefined;
+
+    for(const column of notNull) {
+        if(isNull(row[column])) {
+            throw databaseError('23502', `null value in column "${column}" of relation "${relation}" violates not-null constraint`, { table: relation, column });
+        }
+    }
+    for(const [column, length] of Object.entries(maxLength)) {
+        if(typeof row[column] === 'string' && row[column].length > length) {
+            throw databaseError('22001', `value too long for type character varying(${length})`);
+        }
+    }
+    for(const [constraint, { column, test }] of Object.entries(checks)) {
+        if(!isNull(row[column]) && !test(row[column])) {
+            throw databaseError('23514', `new row for relation "${relation}" violates check constraint "${constraint}"`, { table: relation, constraint });
+        }
+    }
+    for(const [constraint, columns] of Object.entries(unique)) {
+        if(others.some(other => other !== row && columns.every(column => !isNull(row[column]) && other[column] === row[column]))) {
+            throw databaseError('23505', `duplicate key value violates unique constraint "${constraint}"`, { table: relation, constraint });
+        }
+    }
+}
+
+function emptyState() {
+    const state = { nextAuditId: 1 };
+    for(const table of TABLES) state[table] = [];
+    return state;
+}
+
+const now = () => new Date().toISOString();
+const clone = value => structuredClone(value);
+
+// NULLs sort last in either direction, as ORDER BY ... NULLS LAST in PostgreSQL
+function compareValues(a, b) {
+    if(a === b) return 0;
+    if(a === null || a === undefined) return 1;
+    if(b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+function compareKeys(a, b, orders) {
+    for(let i = 0; i < a.length; i++) {
+        const order = compareValues(a[i], b[i]);
+        if(order === 0) continue;
+        const missing = a[i] === null || a[i] === undefined || b[i] === null || b[i] === undefined;
+        return orders[i] === "DESC" && !missing ? -order : order;
+    }
+    return 0;
+}
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b
+};
+
+// Stand-in for websearch_to_tsquery without stemming or stop words: every word or "quoted phrase"
+// must appear, -term must not, and `or` between two terms accepts either
+function matchesFullText(text, query) {
+    const words = ` ${(String(text || "").toLowerCase().match(/[a-z0-9]+/g) || []).join(" ")} `;
+    const groups = [];
+    let joinNext = false;
+
+    for(const [, negated, phrase, word] of query.toLowerCase().matchAll(/(-?)(?:"([^"]*)"|(\S+))/g)) {
+        if(word === 'or' && !negated) {
+            joinNext = groups.length > 0;
+            continue;
+        }
+        const terms = (phrase !== undefined ? phrase : word).match(/[a-z0-9]+/g);
+        if(!terms) continue;
+
+        const term = { negated: negated === '-', text: ` ${terms.join(" ")} ` };
+        if(joinNext) groups[groups.length - 1].push(term);
+        else groups.push([term]);
+        joinNext = false;
+    }
+
+    return groups.every(group => group.some(term => words.includes(term.text) !== term.negated));
+}
+
+// Store kept in process memory, written to `dataFile` (JSON) after every change when one is given
+// Rows are kept in insertion order, which is also their creation order
+// Transactions run one at a time and a failed one undoes its own writes, writes made outside it
+// while it runs are kept. Rows are not locked: a rollback leaves alone values written after its own
+function createMemoryStore({ dataFile = null } = {}) {
+    let state = emptyState();
+    let inTransaction = false;
+    let transactionQueue = Promise.resolve();
+
+    function persist() {
+        if(!dataFile || inTransaction) return;
+
+        // Write then rename so a crash never leaves a half-written file behind
+        const temporary = `${dataFile}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(state));
+        fs.renameSync(temporary, dataFile);
+    }
+
+    const isLive = protein => protein.deleted_at === null;
+
+    // Protein rows match `search` from parseProteinSearch
+    function matchesSearch(protein, search) {
+        if(!isLive(protein)) return false;
+        if(search.name !== undefined && !protein.name.toLowerCase().includes(search.name.toLowerCase())) return false;
+        if(search.description !== undefined && !matchesFullText(protein.description, search.description)) return false;
+        if(search.contains !== undefined && !(protein.sequence || "").includes(search.contains)) return false;
+
+        for(const { column, op, value } of search.comparisons) {
+            if(protein[column] === null || !OPERATORS[op](protein[column], value)) return false;
+        }
+
+        if(search.motifGroups.length > 0) {
+            const found = new Set(state.proteinMotifs
+                .filter(hit => hit.protein_id === protein.protein_id)
+                .map(hit => String(hit.motif_type).toLowerCase()));
+            if(!search.motifGroups.every(names => names.some(name => found.has(name)))) return false;
+        }
+
+        return true;
+    }
+
+    function searchRows(search) {
+        const orders = search.sort.map(key => key.order);
+        const keyOf = protein => search.sort.map(key => protein[key.column]);
+
+        return state.proteins
+            .filter(protein => matchesSearch(protein, search))
+            .sort((a, b) => compareKeys(keyOf(a), keyOf(b), orders));
+    }
+
+    // Rows sorted by `keyOf` that come after the cursor, plus one to tell whether another page follows
+    function pageRows(rows, pagination, keyOf, orders, cursorScope) {
+        let remaining = rows;
+        if(pagination.cursor) {
+            const after = decodeCursor(pagination.cursor, cursorScope, orders.length);
+            remaining = rows.filter(row => compareKeys(keyOf(row), after, orders) > 0);
+        }
+
+        const { items, nextCursor } = buildPage(remaining.slice(0, pagination.limit + 1), pagination.limit, row => encodeCursor(keyOf(row), cursorScope));
+        return { items: clone(items), nextCursor, total: pagination.includeTotal ? rows.length : null };
+    }
+
+    // Repositories writing through `journal` when it is given: a transaction's list of steps that undo
+    // its writes, so a rollback restores just the rows the transaction touched
+    function createRepositories(journal) {
+        // Like one INSERT statement, no row is stored when any breaks a constraint
+        function insert(table, ...rows) {
+            const unique = TABLE_CONSTRAINTS[table].unique ? [...state[table], ...rows] : [];
+            for(const row of rows) checkConstraints(table, row, unique);
+
+            state[table].push(...rows);
+            if(journal) {
+                const inserted = new Set(rows);
+                journal.push(() => { state[table] = state[table].filter(row => !inserted.has(row)); });
+            }
+        }
+
+        function remove(table, predicate) {
+            const removed = [];
+            const kept = [];
+            state[table].forEach((row, index) => {
+                if(predicate(row)) removed.push({ row, index });
+                else kept.push(row);
+            });
+            state[table] = kept;
+
+            // Rows go back to where they were, which keeps the creation order
+            if(journal && removed.length > 0) {
+                journal.push(() => {
+                    for(const { row, index } of removed) state[table].splice(Math.min(index, state[table].length), 0, row);
+                });
+            }
+            return removed.map(({ row }) => row);
+        }
+
+        function update(table, row, changes) {
+            const unique = TABLE_CONSTRAINTS[table].unique ? state[table].filter(other => other !== row) : [];
+            checkConstraints(table, { ...row, ...changes }, unique);
+
+            const before = {};
+            for(const key of Object.keys(changes)) before[key] = row[key];
+            Object.assign(row, changes);
+
+            if(journal) {
+                journal.push(() => {
+                    for(const [key, value] of Object.entries(before)) {
+                        if(row[key] === changes[key]) row[key] = value;
+                    }
+                });
+            }
+            return row;
+        }
+
+        // Dependents that PostgreSQL removes through ON DELETE CASCADE
+        function cascadeProteins(proteinIds) {
+            const fragmentIds = new Set(remove('fragments', f => proteinIds.has(f.protein_id)).map(f => f.fragment_id));
+            remove('motifs', m => fragmentIds.has(m.fragment_id));
+            remove('proteinMotifs', hit => proteinIds.has(hit.protein_id));
+            remove('proteinKmers', k => proteinIds.has(k.protein_id));
+
+            // Variants outlive their parent, the link is set to NULL instead
+            for(const protein of state.proteins) {
+                if(proteinIds.has(protein.parent_protein_id)) update('proteins', protein, { parent_protein_id: null });
+            }
+        }
+
+        function cascadeWebhooks(webhookIds) {
+            remove('webhookDeliveries', d => webhookIds.has(d.webhook_id));
+        }
+
+        const users = {
+            async get(userId) {
+                const user = state.users.find(u => u.id === userId);
+                return user ? clone(user) : null;
+            },
+
+            async list() {
+                return clone([...state.users].sort((a, b) => compareValues(a.id, b.id)));
+            },
+
+            async insert({ id, name, role }) {
+                const user = { id, name, role };
+                insert('users', user);
+                persist();
+                return clone(user);
+            },
+
+            async update(userId, { name, role }) {
+                const user = state.users.find(u => u.id === userId);
+                if(!user) return null;
+
+                update('users', user, { name, role });
+                persist();
+                return clone(user);
+            },
+
+            // Keys and webhooks cascade, owned proteins and jobs are kept
+            async delete(userId) {
+                remove('users', u => u.id === userId);
+                remove('apiKeys', k => k.user_id === userId);
+                cascadeWebhooks(new Set(remove('webhooks', w => w.user_id === userId).map(w => w.webhook_id)));
+                for(const protein of state.proteins) {
+                    if(protein.owner_id === userId) update('proteins', protein, { owner_id: null });
+                    if(protein.deleted_by === userId) update('proteins', protein, { deleted_by: null });
+                }
+                for(const job of state.jobs) {
+                    if(job.user_id === userId) update('jobs', job, { user_id: null });
+                }
+                persist();
+            },
+
+            async countAdmins({ excluding = null } = {}) {
+                return state.users.filter(u => u.role === 'admin' && u.id !== excluding).length;
+            }
+        };
+
+        const apiKeys = {
+            async insert({ userId, name, prefix, keyHash, scopes, expiresAt }) {
+                const apiKey = {
+                    key_id: crypto.randomUUID(),
+                    user_id: userId,
+                    name,
+                    prefix,
+                    key_hash: keyHash,
+                    scopes: [...scopes],
+                    created_at: now(),
+                    expires_at: expiresAt,
+                    last_used_at: null,
+                    revoked_at: null
+                };
+                insert('apiKeys', apiKey);
+                persist();
+                return clone(apiKey);
+            },
+
+            // The key with its user's name and role
+            async findByHash(keyHash) {
+                const apiKey = state.apiKeys.find(k => k.key_hash === keyHash);
+                const user = apiKey && state.users.find(u => u.id === apiKey.user_id);
+                return user ? { ...clone(apiKey), user_name: user.name, role: user.role } : null;
+            },
+
+            async get(keyId) {
+                const apiKey = state.apiKeys.find(k => k.key_id === keyId);
+                return apiKey ? clone(apiKey) : null;
+            },
+
+            async list({ userId = null, includeRevoked = false } = {}) {
+                return clone(state.apiKeys.filter(k => (!userId || k.user_id === userId) && (includeRevoked || k.revoked_at === null)));
+            },
+
+            async markUsed(keyId) {
+                const apiKey = state.apiKeys.find(k => k.key_id === keyId);
+                if(apiKey) update('apiKeys', apiKey, { last_used_at: now() });
+                persist();
+            },
+
+            async revoke(keyId) {
+                const apiKey = state.apiKeys.find(k => k.key_id === keyId);
+                if(apiKey && apiKey.revoked_at === null) update('apiKeys', apiKey, { revoked_at: now() });
+                persist();
+            }
+        };
+
+        const proteins = {
+            // `state` is 'live', 'trashed' or 'any', rows need no locking here
+            async get(proteinId, { state: deleted = 'live' } = {}) {
+                const protein = state.proteins.find(p => p.protein_id === proteinId &&
+                    (deleted === 'any' || isLive(p) === (deleted === 'live')));
+                return protein ? clone(protein) : null;
+            },
+
+            // Live proteins among `proteinIds`, in no particular order
+            async getMany(proteinIds) {
+                const ids = new Set(proteinIds);
+                return clone(state.proteins.filter(p => ids.has(p.protein_id) && isLive(p)));
+            },
+
+            // Every protein, trashed ones included
+            async listAll() {
+                return clone(state.proteins);
+            },
+
+            // Proteins with a stored sequence, trashed ones included, in ID order after `after`
+            async listWithSequence({ after = null, limit = 100 } = {}) {
+                return clone(state.proteins
+                    .filter(p => p.sequence !== null && (after === null || p.protein_id > after))
+                    .sort((a, b) => compareValues(a.protein_id, b.protein_id))
+                    .slice(0, limit));
+            },
+
+            async countWithSequence() {
+                return state.proteins.filter(p => p.sequence !== null).length;
+            },
+
+            async insert(fields) {
+                const timestamp = now();
+                const protein = { ...clone(PROTEIN_COLUMNS), ...clone(fields), protein_id: crypto.randomUUID(), created_at: timestamp, updated_at: timestamp };
+                insert('proteins', protein);
+                persist();
+                return clone(protein);
+            },
+
+            async update(proteinId, changes) {
+                const protein = state.proteins.find(p => p.protein_id === proteinId);
+                if(!protein) return null;
+
+                update('proteins', protein, { ...clone(changes), updated_at: now() });
+                persist();
+                return clone(protein);
+            },
+
+            // Null when the protein is not live (anymore)
+            async trash(proteinId, userId) {
+                const protein = state.proteins.find(p => p.protein_id === proteinId && isLive(p));
+                if(!protein) return null;
+
+                const timestamp = now();
+                update('proteins', protein, { deleted_at: timestamp, deleted_by: userId, updated_at: timestamp });
+                persist();
+                return clone(protein);
+            },
+
+            async restore(proteinId) {
+                const protein = state.proteins.find(p => p.protein_id === proteinId);
+                if(!protein) return null;
+
+                update('proteins', protein, { deleted_at: null, deleted_by: null, updated_at: now() });
+                persist();
+                return clone(protein);
+            },
+
+            // Fragments, motifs and k-mers cascade
+            async delete(proteinId) {
+                await proteins.deleteMany([proteinId]);
+            },
+
+            async deleteMany(proteinIds) {
+                const ids = new Set(proteinIds);
+                remove('proteins', p => ids.has(p.protein_id));
+                cascadeProteins(ids);
+                persist();
+            },
+
+            // Every live protein matching a search from parseProteinSearch, in its sort order
+            async search(search) {
+                return clone(searchRows(search));
+            },
+
+            // One page of matches in the { items, nextCursor, total } envelope
+            async searchPage(search, pagination) {
+                return pageRows(
+                    searchRows(search),
+                    pagination,
+                    protein => search.sort.map(key => protein[key.column]),
+                    search.sort.map(key => key.order),
+                    search.cursorScope
+                );
+            },
+
+            // Live proteins derived from `proteinId`, oldest first
+            async listVariants(proteinId) {
+                return clone(state.proteins
+                    .filter(p => p.parent_protein_id === proteinId && isLive(p))
+                    .sort((a, b) => compareKeys([a.created_at, a.protein_id], [b.created_at, b.protein_id], ['ASC', 'ASC'])));
+            },
+
+            // Trashed proteins, most recently deleted first
+            async listTrash({ ownerId = null, deletedBefore = null } = {}) {
+                return clone(state.proteins
+                    .filter(p => !isLive(p) && (!ownerId || p.owner_id === ownerId) && (!deletedBefore || p.deleted_at < deletedBefore))
+                    .sort((a, b) => compareValues(b.deleted_at, a.deleted_at)));
+            }
+        };
+
+        const byPosition = (a, b) => compareKeys([a.start_position, a.fragment_id], [b.start_position, b.fragment_id], ["ASC", "ASC"]);
+
+        const fragments = {
+            // `fragments` hold sequence, start_position, end_position and secondary_structure
+            async insertMany(proteinId, fragments) {
+                const timestamp = now();
+                const stored = fragments.map(f => ({
+                    fragment_id: crypto.randomUUID(),
+                    protein_id: proteinId,
+                    sequence: f.sequence,
+                    start_position: f.start_position,
+                    end_position: f.end_position,
+                    secondary_structure: f.secondary_structure,
+                    created_at: timestamp
+                }));
+                insert('fragments', ...stored);
+                persist();
+                return clone(stored);
+            },
+
+            // Only fragments of live proteins
+            async get(fragmentId) {
+                const fragment = state.fragments.find(f => f.fragment_id === fragmentId);
+                const live = fragment && state.proteins.some(p => p.protein_id === fragment.protein_id && isLive(p));
+                return live ? clone(fragment) : null;
+            },
+
+            async listByProtein(proteinId) {
+                return clone(state.fragments.filter(f => f.protein_id === proteinId).sort(byPosition));
+            },
+
+            // Fragments are paged in sequence order
+            async page(proteinId, pagination) {
+                return pageRows(
+                    state.fragments.filter(f => f.protein_id === proteinId).sort(byPosition),
+                    pagination,
+                    f => [f.start_position, f.fragment_id],
+                    ["ASC", "ASC"],
+                    `fragments:${proteinId}`
+                );
+            },
+
+            async count(proteinId) {
+                return state.fragments.filter(f => f.protein_id === proteinId).length;
+            },
+
+            async listAll() {
+                return clone(state.fragments);
+            },
+
+            // Their motifs cascade
+            async deleteByProtein(proteinId) {
+                const fragmentIds = new Set(remove('fragments', f => f.protein_id === proteinId).map(f => f.fragment_id));
+                remove('motifs', m => fragmentIds.has(m.fragment_id));
+                persist();
+            }
+        };
+
+        const motifs = {
+            async listDefinitions() {
+                return clone(state.motifDefinitions);
+            },
+
+            async getDefinition(motifId) {
+                const definition = state.motifDefinitions.find(d => d.motif_definition_id === motifId);
+                return definition ? clone(definition) : null;
+            },
+
+            async findDefinitionByName(name, { excluding = null } = {}) {
+                const definition = state.motifDefinitions.find(d => d.name === name && d.motif_definition_id !== excluding);
+                return definition ? clone(definition) : null;
+            },
+
+            async insertDefinition({ name, type, pattern, description }) {
+                const timestamp = now();
+                const definition = {
+                    motif_definition_id: crypto.randomUUID(),
+                    name,
+                    type,
+                    pattern,
+                    description,
+                    created_at: timestamp,
+                    updated_at: timestamp
+                };
+                insert('motifDefinitions', definition);
+                persist();
+                return clone(definition);
+            },
+
+            // Keeps the motif type on stored hits in step with the definition name
+            async updateDefinition(motifId, { name, type, pattern, description }) {
+                const definition = state.motifDefinitions.find(d => d.motif_definition_id === motifId);
+                if(!definition) return null;
+
+                update('motifDefinitions', definition, { name, type, pattern, description, updated_at: now() });
+                for(const table of ['proteinMotifs', 'motifs']) {
+                    for(const hit of state[table]) {
+                        if(hit.motif_definition_id === motifId) update(table, hit, { motif_type: name });
+                    }
+                }
+                persist();
+                return clone(definition);
+            },
+
+            // Stored hits cascade, false when there was no such definition
+            async deleteDefinition(motifId) {
+                const removed = remove('motifDefinitions', d => d.motif_definition_id === motifId);
+                remove('proteinMotifs', hit => hit.motif_definition_id === motifId);
+                remove('motifs', m => m.motif_definition_id === motifId);
+                persist();
+                return removed.length > 0;
+            },
+
+            // `hits` as returned by findProteinMotifs
+            async insertProteinHits(proteinId, hits) {
+                const timestamp = now();
+                insert('proteinMotifs', ...hits.map(hit => ({
+                    protein_motif_id: crypto.randomUUID(),
+                    protein_id: proteinId,
+                    motif_definition_id: hit.motif_definition_id,
+                    motif_pattern: hit.match,
+                    motif_type: hit.name,
+                    start_position: hit.start,
+                    end_position: hit.end,
+                    score: hit.score,
+                    created_at: timestamp
+                })));
+                persist();
+            },
+
+            async insertFragmentMotifs(rows) {
+                const timestamp = now();
+                insert('motifs', ...rows.map(row => ({
+                    motif_id: crypto.randomUUID(),
+                    fragment_id: row.fragment_id,
+                    motif_definition_id: row.motif_definition_id,
+                    motif_pattern: row.motif_pattern,
+                    motif_type: row.motif_type,
+                    start_position: row.start_position,
+                    end_position: row.end_position,
+                    confidence_score: row.confidence_score,
+                    created_at: timestamp
+                })));
+                persist();
+            },
+
+            // Hits of a protein with the type of their definition, in sequence order
+            async listProteinHits(proteinId) {
+                return state.proteinMotifs
+                    .filter(hit => hit.protein_id === proteinId)
+                    .sort((a, b) => compareKeys([a.start_position, a.end_position, a.motif_type], [b.start_position, b.end_position, b.motif_type], ["ASC", "ASC", "ASC"]))
+                    .map(hit => {
+                        const definition = state.motifDefinitions.find(d => d.motif_definition_id === hit.motif_definition_id);
+                        return { ...clone(hit), type: definition ? definition.type : null };
+                    });
+            },
+
+            async countProteinHits(proteinId) {
+                return state.proteinMotifs.filter(hit => hit.protein_id === proteinId).length;
+            },
+
+            async listDefinitionHits(motifId) {
+                return clone(state.proteinMotifs
+                    .filter(hit => hit.motif_definition_id === motifId)
+                    .sort((a, b) => compareKeys([a.start_position, a.end_position], [b.start_position, b.end_position], ["ASC", "ASC"])));
+            },
+
+            // Protein and fragment hits of one definition
+            async deleteDefinitionHits(motifId) {
+                remove('proteinMotifs', hit => hit.motif_definition_id === motifId);
+                remove('motifs', m => m.motif_definition_id === motifId);
+                persist();
+            },
+
+            async listFragmentMotifTypes(fragmentId) {
+                return [...new Set(state.motifs.filter(m => m.fragment_id === fragmentId).map(m => m.motif_type))];
+            }
+        };
+
+        const kmers = {
+            // `kmers` is a list of { kmer, positions }
+            async insert(proteinId, kmers) {
+                insert('proteinKmers', ...kmers.map(({ kmer, positions }) => ({ protein_id: proteinId, kmer, positions: [...positions] })));
+                persist();
+            },
+
+            // Index entries of any of `kmers`, trashed proteins included
+            async find(kmers) {
+                const wanted = new Set(kmers);
+                return clone(state.proteinKmers.filter(k => wanted.has(k.kmer)));
+            }
+        };
+
+        const audit = {
+            async insert({ proteinId, userId, action, changes }) {
+                insert('auditLog', {
+                    audit_id: state.nextAuditId++,
+                    protein_id: proteinId,
+                    user_id: userId,
+                    action,
+                    changes: clone(changes),
+                    created_at: now()
+                });
+                persist();
+            },
+
+            // Oldest first
+            async listByProtein(proteinId) {
+                return clone(state.auditLog.filter(entry => entry.protein_id === proteinId));
+            },
+
+            // Newest first, `from` and `to` are ISO 8601 bounds on created_at
+            async list({ userId, proteinId, actions, from, to, limit = 100, offset = 0 } = {}) {
+                return clone(state.auditLog
+                    .filter(entry => (!userId || entry.user_id === userId) &&
+                        (!proteinId || entry.protein_id === proteinId) &&
+                        (!actions || actions.includes(entry.action)) &&
+                        (from === undefined || entry.created_at >= from) &&
+                        (to === undefined || entry.created_at <= to))
+                    .reverse()
+                    .slice(offset, offset + limit));
+            }
+        };
+
+        const jobs = {
+            async insert({ type, payload, userId }) {
+                const timestamp = now();
+                const job = {
+                    job_id: crypto.randomUUID(),
+                    type,
+                    status: 'queued',
+                    payload: clone(payload),
+                    result: null,
+                    error: null,
+                    progress: 0,
+                    attempts: 0,
+                    user_id: userId,
+                    created_at: timestamp,
+                    started_at: null,
+                    finished_at: null,
+                    updated_at: timestamp
+                };
+                insert('jobs', job);
+                persist();
+                return clone(job);
+            },
+
+            async get(jobId) {
+                const job = state.jobs.find(j => j.job_id === jobId);
+                return job ? clone(job) : null;
+            },
+
+            // Newest first
+            async list({ userId = null, status = null, limit = 100 } = {}) {
+                return clone(state.jobs
+                    .filter(j => (!userId || j.user_id === userId) && (!status || j.status === status))
+                    .reverse()
+                    .slice(0, limit));
+            },
+
+            // One process owns the store, so the oldest queued job is simply taken
+            async claimNext() {
+                const job = state.jobs.find(j => j.status === 'queued');
+                if(!job) return null;
+
+                const timestamp = now();
+                update('jobs', job, { status: 'running', attempts: job.attempts + 1, error: null, started_at: timestamp, updated_at: timestamp });
+                persist();
+                return clone(job);
+            },
+
+            // Returns how many jobs went back to the queue
+            async requeueStale(cutoff, maxAttempts) {
+                let requeued = 0;
+                const timestamp = now();
+                for(const job of state.jobs) {
+                    if(job.status !== 'running' || job.updated_at >= cutoff) continue;
+
+                    if(job.attempts >= maxAttempts) {
+                        update('jobs', job, { status: 'failed', error: 'Job was interrupted too many times', finished_at: timestamp, updated_at: timestamp });
+                    }
+                    else {
+                        update('jobs', job, { status: 'queued', updated_at: timestamp });
+                        requeued++;
+                    }
+                }
+                persist();
+                return requeued;
+            },
+
+            async heartbeat(jobId) {
+                const job = state.jobs.find(j => j.job_id === jobId && j.status === 'running');
+                if(job) update('jobs', job, { updated_at: now() });
+                persist();
+            },
+
+            // A null `partialResult` keeps the last checkpoint
+            async reportProgress(jobId, progress, partialResult) {
+                const job = state.jobs.find(j => j.job_id === jobId);
+                if(!job) return;
+
+                const changes = { progress, updated_at: now() };
+                if(partialResult !== null) changes.result = clone(partialResult);
+                update('jobs', job, changes);
+                persist();
+            },
+
+            async succeed(jobId, result) {
+                const job = state.jobs.find(j => j.job_id === jobId);
+                if(!job) return;
+
+                const timestamp = now();
+                update('jobs', job, { status: 'succeeded', progress: 100, result: clone(result), finished_at: timestamp, updated_at: timestamp });
+                persist();
+            },
+
+            async fail(jobId, error) {
+                const job = state.jobs.find(j => j.job_id === jobId);
+                if(!job) return;
+
+                const timestamp = now();
+                update('jobs', job, { status: 'failed', error, result: null, finished_at: timestamp, updated_at: timestamp });
+                persist();
+            }
+        };
+
+        const webhooks = {
+            async insert({ userId, url, events, description, active, secret }) {
+                const timestamp = now();
+                const webhook = {
+                    webhook_id: crypto.randomUUID(),
+                    user_id: userId,
+                    url,
+                    events: [...events],
+                    description,
+                    secret,
+                    active,
+                    created_at: timestamp,
+                    updated_at: timestamp
+                };
+                insert('webhooks', webhook);
+                persist();
+                return clone(webhook);
+            },
+
+            async get(webhookId) {
+                const webhook = state.webhooks.find(w => w.webhook_id === webhookId);
+                return webhook ? clone(webhook) : null;
+            },
+
+            async list({ userId = null } = {}) {
+                return clone(state.webhooks.filter(w => !userId || w.user_id === userId));
+            },
+
+            async update(webhookId, { url, events, description, active }) {
+                const webhook = state.webhooks.find(w => w.webhook_id === webhookId);
+                if(!webhook) return null;
+
+                update('webhooks', webhook, { url, events: [...events], description, active, updated_at: now() });
+                persist();
+                return clone(webhook);
+            },
+
+            // Deliveries cascade
+            async delete(webhookId) {
+                cascadeWebhooks(new Set(remove('webhooks', w => w.webhook_id === webhookId).map(w => w.webhook_id)));
+                persist();
+            },
+
+            // A pending delivery for every active subscription to `event`,
+            // with an `audience` only for those of the owner `audience.ownerId` and of admins
+            async queueDeliveries(event, payload, audience = null) {
+                const timestamp = now();
+                for(const webhook of state.webhooks) {
+                    if(!webhook.active || !webhook.events.includes(event)) continue;
+                    if(audience && webhook.user_id !== audience.ownerId && state.users.find(u => u.id === webhook.user_id).role !== 'admin') continue;
+                    insert('webhookDeliveries', newDelivery({ webhookId: webhook.webhook_id, event, payload, nextAttemptAt: timestamp }));
+                }
+                persist();
+            },
+
+            async insertDelivery(delivery) {
+                const stored = newDelivery(delivery);
+                insert('webhookDeliveries', stored);
+                persist();
+                return clone(stored);
+            },
+
+            // Pending deliveries due at `now` get their next attempt moved to `leaseUntil`
+            async claimDueDeliveries(dueAt, leaseUntil, limit) {
+                const due = state.webhookDeliveries
+                    .filter(d => d.status === 'pending' && d.next_attempt_at !== null && d.next_attempt_at <= dueAt)
+                    .sort((a, b) => compareValues(a.next_attempt_at, b.next_attempt_at))
+                    .slice(0, limit);
+
+                const timestamp = now();
+                for(const delivery of due) {
+                    update('webhookDeliveries', delivery, { next_attempt_at: leaseUntil, updated_at: timestamp });
+                }
+                persist();
+                return clone(due);
+            },
+
+            async recordAttempt(deliveryId, { status, attempts, responseStatus, error, nextAttemptAt }) {
+                const delivery = state.webhookDeliveries.find(d => d.delivery_id === deliveryId);
+                if(!delivery) return null;
+
+                const timestamp = now();
+                update('webhookDeliveries', delivery, {
+                    status,
+                    attempts,
+                    response_status: responseStatus,
+                    error,
+                    next_attempt_at: nextAttemptAt,
+                    delivered_at: status === 'succeeded' ? timestamp : delivery.delivered_at,
+                    updated_at: timestamp
+                });
+                persist();
+                return clone(delivery);
+            },
+
+            async failDelivery(deliveryId, error) {
+                const delivery = state.webhookDeliveries.find(d => d.delivery_id === deliveryId);
+                if(delivery) update('webhookDeliveries', delivery, { status: 'failed', error, updated_at: now() });
+                persist();
+            },
+
+            // Newest first
+            async listDeliveries(webhookId, { status = null, limit = 100 } = {}) {
+                return clone(state.webhookDeliveries
+                    .filter(d => d.webhook_id === webhookId && (!status || d.status === status))
+                    .reverse()
+                    .slice(0, limit));
+            }
+        };
+
+        function newDelivery({ webhookId, event, payload, nextAttemptAt }) {
+            const timestamp = now();
+            return {
+                delivery_id: crypto.randomUUID(),
+                webhook_id: webhookId,
+                event,
+                payload: clone(payload),
+                status: 'pending',
+                attempts: 0,
+                response_status: null,
+                error: null,
+                next_attempt_at: nextAttemptAt,
+                created_at: timestamp,
+                delivered_at: null,
+                updated_at: timestamp
+            };
+        }
+
+        return { users, apiKeys, proteins, fragments, motifs, kmers, audit, jobs, webhooks };
+    }
+
+    const repositories = createRepositories(null);
+
+    const store = {
+        name: dataFile ? `in-memory store (${dataFile})` : 'in-memory store',
+        ...repositories,
+
+        // Load the data file, or seed the default users and motifs when there is none,
+        // then issue a first key for every admin without one
+        async connect() {
+            if(dataFile && fs.existsSync(dataFile)) {
+                state = { ...emptyState(), ...JSON.parse(fs.readFileSync(dataFile, 'utf8')) };
+            }
+            else {
+                if(dataFile) fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+
+                for(const user of DEFAULT_USERS) await repositories.users.insert(user);
+                for(const definition of DEFAULT_MOTIF_DEFINITIONS) {
+                    await repositories.motifs.insertDefinition({ ...definition, description: null });
+                }
+            }
+
+            const issued = [];
+            for(const admin of state.users.filter(u => u.role === 'admin')) {
+                if(state.apiKeys.some(k => k.user_id === admin.id && k.revoked_at === null)) continue;
+
+                const { key } = await issueApiKey(store, admin.id, { name: 'bootstrap', scopes: [...API_KEY_SCOPES] });
+                issued.push({ userId: admin.id, key });
+            }
+            persist();
+
+            return { issued };
+        },
+
+        // `fn` gets the repositories, nested calls join the running transaction
+        async transaction(fn) {
+            const run = async () => {
+                const journal = [];
+                const tx = { ...createRepositories(journal), transaction: nested => nested(tx) };
+                inTransaction = true;
+                try {
+                    return await fn(tx);
+                } catch (error) {
+                    for(const undo of journal.reverse()) undo();
+                    throw error;
+                } finally {
+                    inTransaction = false;
+                    persist();
+                }
+            };
+
+            const result = transactionQueue.then(run, run);
+            transactionQueue = result.catch(() => {});
+            return result;
+        }
+    };
+
+    return store;
+}
+
+module.exports = {
+    matchesFullText,
+    createMemoryStore
+};
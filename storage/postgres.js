@@ -0,0 +1,841 @@
+const { encodeCursor, decodeCursor, buildPage } = require('../lib');
+const { migrateUp, pendingMigrations } = require('../migrate');
+
+// PostgreSQL accepts at most 65535 bind parameters per statement
+const MAX_QUERY_PARAMETERS = 65535;
+
+// Multi-row INSERT of `rows` (arrays of values in `columns` order), chunked to stay under the parameter limit
+// Returns the `returning` columns of every inserted row
+async function insertRows(db, table, columns, rows, returning = null) {
+    const chunkSize = Math.floor(MAX_QUERY_PARAMETERS / columns.length);
+    const inserted = [];
+
+    for(let i = 0; i < rows.length; i += chunkSize) {
+        const params = [];
+        const values = rows.slice(i, i + chunkSize).map(row => `(${row.map(value => {
+            params.push(value);
+            return `$${params.length}`;
+        }).join(", ")})`);
+
+        const result = await db.query(
+            `INSERT INTO ${table}(${columns.join(", ")}) VALUES ${values.join(", ")}${returning ? ` RETURNING ${returning}` : ""};`,
+            params
+        );
+        inserted.push(...result.rows);
+    }
+
+    return inserted;
+}
+
+// "Comes after (v1, v2, ...) in ORDER BY c1, c2, ... NULLS LAST" written out column by column
+// `orders` is one direction for every column or a list with one per column
+// A NULL cursor value has nothing after it but more NULLs, and `=` never matches NULL so it is compared with IS NULL
+function keysetCondition(columns, values, orders, params) {
+    const terms = values.map((value, i) => {
+        if(value === null) return { after: "FALSE", equal: `${columns[i]} IS NULL` };
+
+        params.push(value);
+        const placeholder = `$${params.length}`;
+        const op = (Array.isArray(orders) ? orders[i] : orders) === "DESC" ? "<" : ">";
+        return { after: `(${columns[i]} ${op} ${placeholder} OR ${columns[i]} IS NULL)`, equal: `${columns[i]} = ${placeholder}` };
+    });
+
+    let condition = terms[columns.length - 1].after;
+    for(let i = columns.length - 2; i >= 0; i--) {
+        condition = `(${terms[i].after} OR (${terms[i].equal} AND ${condition}))`;
+    }
+    return condition;
+}
+
+// Compile a search from parseProteinSearch into parameterized SQL
+// `pagination` ({ limit, cursor } from parsePagination) adds the keyset condition, the page limit and a count query
+function buildProteinSearchQuery(search, pagination = null) {
+    const searchParams = [];
+    const cond = [];
+    const param = value => {
+        searchParams.push(value);
+        return `$${searchParams.length}`;
+    };
+
+    if(search.name !== undefined) cond.push(`p.name ILIKE ${param(`%${search.name}%`)}`);
+
+    if(search.description !== undefined) {
+        cond.push(`to_tsvector('english', COALESCE(p.description, '')) @@ websearch_to_tsquery('english', ${param(search.description)})`);
+    }
+
+    // Residues only, so nothing needs escaping in the LIKE pattern
+    if(search.contains !== undefined) cond.push(`p.sequence LIKE ${param(`%${search.contains}%`)}`);
+
+    for(const { column, op, value } of search.comparisons) cond.push(`p.${column} ${op} ${param(value)}`);
+
+    for(const names of search.motifGroups) {
+        cond.push(`p.protein_id IN (
+            SELECT pm.protein_id FROM protein_motifs pm
+            WHERE LOWER(pm.motif_type) IN (${names.map(name => param(name)).join(", ")})
+        )`);
+    }
+
+    cond.push("p.deleted_at IS NULL");
+
+    const keyColumns = search.sort.map(key => `p.${key.column}`);
+    const keyOrders = search.sort.map(key => key.order);
+
+    const where = ` FROM proteins p WHERE ${cond.join(" AND ")}`;
+    const orderBy = ` ORDER BY ${search.sort.map(key => `p.${key.column} ${key.order} NULLS LAST`).join(", ")}`;
+    if(!pagination) {
+        return { searchQuery: `SELECT p.*${where}${orderBy}`, searchParams };
+    }
+
+    const countQuery = `SELECT COUNT(*)::int AS total${where};`;
+    const countParams = [...searchParams];
+
+    let pageWhere = where;
+    if(pagination.cursor) {
+        pageWhere += ` AND ${keysetCondition(keyColumns, decodeCursor(pagination.cursor, search.cursorScope, keyColumns.length), keyOrders, searchParams)}`;
+    }
+
+    // One extra row tells whether there is a next page, created_at is also read as text
+    // because a JavaScript Date would drop its microseconds and break the cursor
+    return {
+        searchQuery: `SELECT p.*, p.created_at::text AS cursor_created_at${pageWhere}${orderBy} LIMIT ${param(pagination.limit + 1)};`,
+        searchParams,
+        countQuery,
+        countParams,
+        cursorOf: row => encodeCursor(search.sort.map(({ column }) => column === "created_at" ? row.cursor_created_at : row[column]), search.cursorScope)
+    };
+}
+
+// JSONB columns are sent as JSON text, pg would turn a JavaScript array into a PostgreSQL array
+const PROTEIN_JSON_COLUMNS = ['fragmentation'];
+
+function proteinColumnValue(column, value) {
+    return PROTEIN_JSON_COLUMNS.includes(column) ? JSON.stringify(value) : value;
+}
+
+// Repositories over `db`, a pool or the client of an open transaction
+function createRepositories(db) {
+    const users = {
+        async get(userId) {
+            const user = await db.query("SELECT id, name, role FROM users WHERE id = $1;", [userId]);
+            return user.rows[0] || null;
+        },
+
+        async list() {
+            const users = await db.query("SELECT id, name, role FROM users ORDER BY id ASC;");
+            return users.rows;
+        },
+
+        async insert({ id, name, role }) {
+            const user = await db.query("INSERT INTO users (id, name, role) VALUES ($1, $2, $3) RETURNING id, name, role;", [id, name, role]);
+            return user.rows[0];
+        },
+
+        async update(userId, { name, role }) {
+            const user = await db.query("UPDATE users SET name = $1, role = $2 WHERE id = $3 RETURNING id, name, role;", [name, role, userId]);
+            return user.rows[0] || null;
+        },
+
+        // Keys and webhooks cascade, owned proteins and jobs are kept
+        async delete(userId) {
+            await db.query("DELETE FROM users WHERE id = $1;", [userId]);
+        },
+
+        async countAdmins({ excluding = null } = {}) {
+            const admins = await db.query("SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin' AND id IS DISTINCT FROM $1;", [excluding]);
+            return admins.rows[0].count;
+        }
+    };
+
+    const apiKeys = {
+        async insert({ userId, name, prefix, keyHash, scopes, expiresAt }) {
+            const apiKey = await db.query(
+                `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+                [userId, name, prefix, keyHash, scopes, expiresAt]
+            );
+            return apiKey.rows[0];
+        },
+
+        // The key with its user's name and role
+        async findByHash(keyHash) {
+            const apiKey = await db.query(
+                `SELECT k.*, u.name AS user_name, u.role
+                 FROM api_keys k JOIN users u ON u.id = k.user_id
+                 WHERE k.key_hash = $1;`,
+                [keyHash]
+            );
+            return apiKey.rows[0] || null;
+        },
+
+        async get(keyId) {
+            const apiKey = await db.query("SELECT * FROM api_keys WHERE key_id = $1;", [keyId]);
+            return apiKey.rows[0] || null;
+        },
+
+        async list({ userId = null, includeRevoked = false } = {}) {
+            const conditions = [];
+            const params = [];
+            if(userId) {
+                params.push(userId);
+                conditions.push(`user_id = $${params.length}`);
+            }
+            if(!includeRevoked) conditions.push("revoked_at IS NULL");
+
+            const keys = await db.query(
+                `SELECT * FROM api_keys ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""} ORDER BY created_at ASC;`,
+                params
+            );
+            return keys.rows;
+        },
+
+        async markUsed(keyId) {
+            await db.query("UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE key_id = $1;", [keyId]);
+        },
+
+        async revoke(keyId) {
+            await db.query("UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE key_id = $1 AND revoked_at IS NULL;", [keyId]);
+        }
+    };
+
+    const proteins = {
+        // `state` is 'live', 'trashed' or 'any', `forUpdate` locks the row until the transaction ends
+        async get(proteinId, { state = 'live', forUpdate = false } = {}) {
+            const deleted = { live: " AND deleted_at IS NULL", trashed: " AND deleted_at IS NOT NULL", any: "" }[state];
+            const protein = await db.query(
+                `SELECT * FROM proteins WHERE protein_id = $1${deleted}${forUpdate ? " FOR UPDATE" : ""};`,
+                [proteinId]
+            );
+            return protein.rows[0] || null;
+        },
+
+        // Live proteins among `proteinIds`, in no particular order
+        async getMany(proteinIds) {
+            const proteins = await db.query(
+                "SELECT * FROM proteins WHERE protein_id = ANY($1::UUID[]) AND deleted_at IS NULL;",
+                [proteinIds]
+            );
+            return proteins.rows;
+        },
+
+        // Every protein, trashed ones included
+        async listAll() {
+            const proteins = await db.query("SELECT * FROM proteins ORDER BY created_at ASC;");
+            return proteins.rows;
+        },
+
+        // Proteins with a stored sequence, trashed ones included, in ID order after `after`
+        async listWithSequence({ after = null, limit = 100 } = {}) {
+            const params = [limit];
+            let sqlQuery = "SELECT * FROM proteins WHERE sequence IS NOT NULL";
+            if(after) {
+                params.push(after);
+                sqlQuery += " AND protein_id > $2";
+            }
+            const proteins = await db.query(`${sqlQuery} ORDER BY protein_id ASC LIMIT $1;`, params);
+            return proteins.rows;
+        },
+
+        async countWithSequence() {
+            const count = await db.query("SELECT COUNT(*)::int AS count FROM proteins WHERE sequence IS NOT NULL;");
+            return count.rows[0].count;
+        },
+
+        async insert(fields) {
+            const columns = Object.keys(fields);
+            const protein = await db.query(
+                `INSERT INTO proteins(${columns.join(", ")})
+                 VALUES(${columns.map((column, i) => `$${i + 1}`).join(", ")}) RETURNING *;`,
+                columns.map(column => proteinColumnValue(column, fields[column]))
+            );
+            return protein.rows[0];
+        },
+
+        async update(proteinId, changes) {
+            const columns = Object.keys(changes);
+            const protein = await db.query(
+                `UPDATE proteins
+                 SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+                 WHERE protein_id = $1
+                 RETURNING *;`,
+                [proteinId, ...columns.map(column => proteinColumnValue(column, changes[column]))]
+            );
+            return protein.rows[0] || null;
+        },
+
+        // Null when the protein is not live (anymore)
+        async trash(proteinId, userId) {
+            const protein = await db.query(
+                `UPDATE proteins
+                 SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE protein_id = $1 AND deleted_at IS NULL
+                 RETURNING *;`,
+                [proteinId, userId]
+            );
+            return protein.rows[0] || null;
+        },
+
+        async restore(proteinId) {
+            const protein = await db.query(
+                "UPDATE proteins SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE protein_id = $1 RETURNING *;",
+                [proteinId]
+            );
+            return protein.rows[0] || null;
+        },
+
+        // Fragments, motifs and k-mers cascade
+        async delete(proteinId) {
+            await db.query("DELETE FROM proteins WHERE protein_id = $1;", [proteinId]);
+        },
+
+        async deleteMany(proteinIds) {
+            await db.query("DELETE FROM proteins WHERE protein_id = ANY($1::uuid[]);", [proteinIds]);
+        },
+
+        // Every live protein matching a search from parseProteinSearch, in its sort order
+        async search(search) {
+            const { searchQuery, searchParams } = buildProteinSearchQuery(search);
+            const resp = await db.query(searchQuery, searchParams);
+            return resp.rows;
+        },
+
+        // One page of matches in the { items, nextCursor, total } envelope
+        async searchPage(search, pagination) {
+            const { searchQuery, searchParams, countQuery, countParams, cursorOf } = buildProteinSearchQuery(search, pagination);
+
+            const resp = await db.query(searchQuery, searchParams);
+            const { items, nextCursor } = buildPage(resp.rows, pagination.limit, cursorOf);
+            const total = pagination.includeTotal ? (await db.query(countQuery, countParams)).rows[0].total : null;
+
+            return {
+                items: items.map(({ cursor_created_at, ...protein }) => protein),
+                nextCursor,
+                total
+            };
+        },
+
+        // Live proteins derived from `proteinId`, oldest first
+        async listVariants(proteinId) {
+            const variants = await db.query(
+                "SELECT * FROM proteins WHERE parent_protein_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC, protein_id ASC;",
+                [proteinId]
+            );
+            return variants.rows;
+        },
+
+        // Trashed proteins, most recently deleted first
+        async listTrash({ ownerId = null, deletedBefore = null } = {}) {
+            const conditions = ["deleted_at IS NOT NULL"];
+            const params = [];
+            if(ownerId) {
+                params.push(ownerId);
+                conditions.push(`owner_id = $${params.length}`);
+            }
+            if(deletedBefore) {
+                params.push(deletedBefore);
+                conditions.push(`deleted_at < $${params.length}`);
+            }
+
+            const trash = await db.query(`SELECT * FROM proteins WHERE ${conditions.join(" AND ")} ORDER BY deleted_at DESC;`, params);
+            return trash.rows;
+        }
+    };
+
+    const fragments = {
+        // `fragments` hold sequence, start_position, end_position and secondary_structure
+        async insertMany(proteinId, fragments) {
+            return insertRows(
+                db,
+                'fragments',
+                ['protein_id', 'sequence', 'start_position', 'end_position', 'secondary_structure'],
+                fragments.map(f => [proteinId, f.sequence, f.start_position, f.end_position, f.secondary_structure]),
+                '*'
+            );
+        },
+
+        // Only fragments of live proteins
+        async get(fragmentId) {
+            const fragment = await db.query(
+                `SELECT f.* FROM fragments f
+                 JOIN proteins p ON p.protein_id = f.protein_id AND p.deleted_at IS NULL
+                 WHERE f.fragment_id = $1;`,
+                [fragmentId]
+            );
+            return fragment.rows[0] || null;
+        },
+
+        async listByProtein(proteinId) {
+            const fragments = await db.query("SELECT * FROM fragments WHERE protein_id = $1 ORDER BY start_position ASC;", [proteinId]);
+            return fragments.rows;
+        },
+
+        // Fragments are paged in sequence order
+        async page(proteinId, pagination) {
+            const keyColumns = ["start_position", "fragment_id"];
+            const cursorScope = `fragments:${proteinId}`;
+
+            const params = [proteinId];
+            let sqlQuery = "SELECT * FROM fragments WHERE protein_id = $1";
+            if(pagination.cursor) {
+                sqlQuery += ` AND ${keysetCondition(keyColumns, decodeCursor(pagination.cursor, cursorScope, keyColumns.length), "ASC", params)}`;
+            }
+            params.push(pagination.limit + 1);
+            sqlQuery += ` ORDER BY start_position ASC, fragment_id ASC LIMIT $${params.length};`;
+
+            const fragmentData = await db.query(sqlQuery, params);
+            const { items, nextCursor } = buildPage(fragmentData.rows, pagination.limit, row => encodeCursor([row.start_position, row.fragment_id], cursorScope));
+            const total = pagination.includeTotal ? await fragments.count(proteinId) : null;
+
+            return { items, nextCursor, total };
+        },
+
+        async count(proteinId) {
+            const count = await db.query("SELECT COUNT(*)::int AS count FROM fragments WHERE protein_id = $1;", [proteinId]);
+            return count.rows[0].count;
+        },
+
+        async listAll() {
+            const fragments = await db.query("SELECT * FROM fragments;");
+            return fragments.rows;
+        },
+
+        // Their motifs cascade
+        async deleteByProtein(proteinId) {
+            await db.query("DELETE FROM fragments WHERE protein_id = $1;", [proteinId]);
+        }
+    };
+
+    const motifs = {
+        async listDefinitions() {
+            const definitions = await db.query("SELECT * FROM motif_definitions ORDER BY created_at ASC;");
+            return definitions.rows;
+        },
+
+        async getDefinition(motifId) {
+            const definition = await db.query("SELECT * FROM motif_definitions WHERE motif_definition_id = $1;", [motifId]);
+            return definition.rows[0] || null;
+        },
+
+        async findDefinitionByName(name, { excluding = null } = {}) {
+            const definition = await db.query(
+                "SELECT * FROM motif_definitions WHERE name = $1 AND motif_definition_id IS DISTINCT FROM $2;",
+                [name, excluding]
+            );
+            return definition.rows[0] || null;
+        },
+
+        async insertDefinition({ name, type, pattern, description }) {
+            const definition = await db.query(
+                `INSERT INTO motif_definitions(name, type, pattern, description)
+                 VALUES($1, $2, $3, $4) RETURNING *`,
+                [name, type, pattern, description]
+            );
+            return definition.rows[0];
+        },
+
+        // Keeps the motif type on stored hits in step with the definition name
+        async updateDefinition(motifId, { name, type, pattern, description }) {
+            const definition = await db.query(
+                `UPDATE motif_definitions
+                 SET name = $1, type = $2, pattern = $3, description = $4, updated_at = CURRENT_TIMESTAMP
+                 WHERE motif_definition_id = $5
+                 RETURNING *`,
+                [name, type, pattern, description, motifId]
+            );
+            await db.query("UPDATE protein_motifs SET motif_type = $1 WHERE motif_definition_id = $2;", [name, motifId]);
+            await db.query("UPDATE motifs SET motif_type = $1 WHERE motif_definition_id = $2;", [name, motifId]);
+            return definition.rows[0] || null;
+        },
+
+        // Stored hits cascade, false when there was no such definition
+        async deleteDefinition(motifId) {
+            const result = await db.query("DELETE FROM motif_definitions WHERE motif_definition_id = $1;", [motifId]);
+            return result.rowCount > 0;
+        },
+
+        // `hits` as returned by findProteinMotifs
+        async insertProteinHits(proteinId, hits) {
+            await insertRows(
+                db,
+                'protein_motifs',
+                ['protein_id', 'motif_definition_id', 'motif_pattern', 'motif_type', 'start_position', 'end_position', 'score'],
+                hits.map(hit => [proteinId, hit.motif_definition_id, hit.match, hit.name, hit.start, hit.end, hit.score])
+            );
+        },
+
+        async insertFragmentMotifs(rows) {
+            const columns = ['fragment_id', 'motif_definition_id', 'motif_pattern', 'motif_type', 'start_position', 'end_position', 'confidence_score'];
+            await insertRows(db, 'motifs', columns, rows.map(row => columns.map(column => row[column])));
+        },
+
+        // Hits of a protein with the type of their definition, in sequence order
+        async listProteinHits(proteinId) {
+            const hits = await db.query(`
+                SELECT pm.*, d.type
+                FROM protein_motifs pm
+                LEFT JOIN motif_definitions d ON pm.motif_definition_id = d.motif_definition_id
+                WHERE pm.protein_id = $1
+                ORDER BY pm.start_position ASC, pm.end_position ASC, pm.motif_type ASC;`,
+                [proteinId]
+            );
+            return hits.rows;
+        },
+
+        async countProteinHits(proteinId) {
+            const count = await db.query("SELECT COUNT(*)::int AS count FROM protein_motifs WHERE protein_id = $1;", [proteinId]);
+            return count.rows[0].count;
+        },
+
+        async listDefinitionHits(motifId) {
+            const hits = await db.query(
+                "SELECT * FROM protein_motifs WHERE motif_definition_id = $1 ORDER BY start_position ASC, end_position ASC;",
+                [motifId]
+            );
+            return hits.rows;
+        },
+
+        // Protein and fragment hits of one definition
+        async deleteDefinitionHits(motifId) {
+            await db.query("DELETE FROM protein_motifs WHERE motif_definition_id = $1;", [motifId]);
+            await db.query("DELETE FROM motifs WHERE motif_definition_id = $1;", [motifId]);
+        },
+
+        async listFragmentMotifTypes(fragmentId) {
+            const motifData = await db.query("SELECT DISTINCT motif_type FROM motifs WHERE fragment_id = $1;", [fragmentId]);
+            return motifData.rows.map(row => row.motif_type);
+        }
+    };
+
+    const kmers = {
+        // `kmers` is a list of { kmer, positions }
+        async insert(proteinId, kmers) {
+            await insertRows(
+                db,
+                'protein_kmers',
+                ['protein_id', 'kmer', 'positions'],
+                kmers.map(({ kmer, positions }) => [proteinId, kmer, positions])
+            );
+        },
+
+        // Index entries of any of `kmers`, trashed proteins included
+        async find(kmers) {
+            const kmerData = await db.query(
+                "SELECT protein_id, kmer, positions FROM protein_kmers WHERE kmer = ANY($1::TEXT[]);",
+                [kmers]
+            );
+            return kmerData.rows;
+        }
+    };
+
+    const audit = {
+        async insert({ proteinId, userId, action, changes }) {
+            await db.query(
+                "INSERT INTO protein_audit_log (protein_id, user_id, action, changes) VALUES ($1, $2, $3, $4);",
+                [proteinId, userId, action, JSON.stringify(changes)]
+            );
+        },
+
+        // Oldest first
+        async listByProtein(proteinId) {
+            const history = await db.query("SELECT * FROM protein_audit_log WHERE protein_id = $1 ORDER BY audit_id ASC;", [proteinId]);
+            return history.rows;
+        },
+
+        // Newest first, `from` and `to` are ISO 8601 bounds on created_at
+        async list({ userId, proteinId, actions, from, to, limit = 100, offset = 0 } = {}) {
+            const conditions = [];
+            const params = [];
+            if(userId) {
+                params.push(userId);
+                conditions.push(`user_id = $${params.length}`);
+            }
+            if(proteinId) {
+                params.push(proteinId);
+                conditions.push(`protein_id = $${params.length}`);
+            }
+            if(actions) {
+                const placeholders = actions.map(action => {
+                    params.push(action);
+                    return `$${params.length}`;
+                });
+                conditions.push(`action IN (${placeholders.join(", ")})`);
+            }
+            for(const [value, operator] of [[from, '>='], [to, '<=']]) {
+                if(value === undefined) continue;
+                params.push(value);
+                conditions.push(`created_at ${operator} $${params.length}`);
+            }
+
+            params.push(limit, offset);
+            const entries = await db.query(
+                `SELECT * FROM protein_audit_log
+                 ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+                 ORDER BY audit_id DESC
+                 LIMIT $${params.length - 1} OFFSET $${params.length};`,
+                params
+            );
+            return entries.rows;
+        }
+    };
+
+    const jobs = {
+        async insert({ type, payload, userId }) {
+            const job = await db.query(
+                "INSERT INTO jobs (type, payload, user_id) VALUES ($1, $2, $3) RETURNING *;",
+                [type, JSON.stringify(payload), userId]
+            );
+            return job.rows[0];
+        },
+
+        async get(jobId) {
+            const job = await db.query("SELECT * FROM jobs WHERE job_id = $1;", [jobId]);
+            return job.rows[0] || null;
+        },
+
+        // Newest first
+        async list({ userId = null, status = null, limit = 100 } = {}) {
+            const conditions = [];
+            const params = [];
+            if(userId) {
+                params.push(userId);
+                conditions.push(`user_id = $${params.length}`);
+            }
+            if(status) {
+                params.push(status);
+                conditions.push(`status = $${params.length}`);
+            }
+            params.push(limit);
+
+            const jobs = await db.query(
+                `SELECT * FROM jobs ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""} ORDER BY created_at DESC LIMIT $${params.length};`,
+                params
+            );
+            return jobs.rows;
+        },
+
+        // SKIP LOCKED lets several server instances share the queue
+        async claimNext() {
+            const job = await db.query(`
+                UPDATE jobs
+                SET status = 'running', attempts = attempts + 1, error = NULL,
+                    started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE job_id = (
+                    SELECT job_id FROM jobs
+                    WHERE status = 'queued'
+                    ORDER BY created_at ASC
+                    LIMIT 1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *;
+            `);
+            return job.rows[0] || null;
+        },
+
+        // Returns how many jobs went back to the queue
+        async requeueStale(cutoff, maxAttempts) {
+            await db.query(
+                `UPDATE jobs
+                 SET status = 'failed', error = 'Job was interrupted too many times', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE status = 'running' AND updated_at < $1 AND attempts >= $2;`,
+                [cutoff, maxAttempts]
+            );
+            const requeued = await db.query(
+                "UPDATE jobs SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE status = 'running' AND updated_at < $1;",
+                [cutoff]
+            );
+            return requeued.rowCount;
+        },
+
+        async heartbeat(jobId) {
+            await db.query("UPDATE jobs SET updated_at = CURRENT_TIMESTAMP WHERE job_id = $1 AND status = 'running';", [jobId]);
+        },
+
+        // A null `partialResult` keeps the last checkpoint
+        async reportProgress(jobId, progress, partialResult) {
+            await db.query(
+                "UPDATE jobs SET progress = $2, result = COALESCE($3, result), updated_at = CURRENT_TIMESTAMP WHERE job_id = $1;",
+                [jobId, progress, partialResult === null ? null : JSON.stringify(partialResult)]
+            );
+        },
+
+        async succeed(jobId, result) {
+            await db.query(
+                `UPDATE jobs
+                 SET status = 'succeeded', progress = 100, result = $2, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE job_id = $1;`,
+                [jobId, JSON.stringify(result)]
+            );
+        },
+
+        async fail(jobId, error) {
+            await db.query(
+                `UPDATE jobs
+                 SET status = 'failed', error = $2, result = NULL, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE job_id = $1;`,
+                [jobId, error]
+            );
+        }
+    };
+
+    const webhooks = {
+        async insert({ userId, url, events, description, active, secret }) {
+            const webhook = await db.query(
+                "INSERT INTO webhooks (user_id, url, events, description, active, secret) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *;",
+                [userId, url, events, description, active, secret]
+            );
+            return webhook.rows[0];
+        },
+
+        async get(webhookId) {
+            const webhook = await db.query("SELECT * FROM webhooks WHERE webhook_id = $1;", [webhookId]);
+            return webhook.rows[0] || null;
+        },
+
+        async list({ userId = null } = {}) {
+            const webhooks = userId
+                ? await db.query("SELECT * FROM webhooks WHERE user_id = $1 ORDER BY created_at ASC;", [userId])
+                : await db.query("SELECT * FROM webhooks ORDER BY created_at ASC;");
+            return webhooks.rows;
+        },
+
+        async update(webhookId, { url, events, description, active }) {
+            const webhook = await db.query(
+                `UPDATE webhooks
+                 SET url = $1, events = $2, description = $3, active = $4, updated_at = CURRENT_TIMESTAMP
+                 WHERE webhook_id = $5
+                 RETURNING *;`,
+                [url, events, description, active, webhookId]
+            );
+            return webhook.rows[0] || null;
+        },
+
+        // Deliveries cascade
+        async delete(webhookId) {
+            await db.query("DELETE FROM webhooks WHERE webhook_id = $1;", [webhookId]);
+        },
+
+        // A pending delivery for every active subscription to `event`,
+        // with an `audience` only for those of the owner `audience.ownerId` and of admins
+        async queueDeliveries(event, payload, audience = null) {
+            await db.query(
+                `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+                 SELECT w.webhook_id, $1::text, $2::jsonb, $3::timestamp
+                 FROM webhooks w JOIN users u ON u.id = w.user_id
+                 WHERE w.active AND $1::text = ANY(w.events)
+                   AND (NOT $4::boolean OR u.role = 'admin' OR w.user_id = $5::text);`,
+                [event, JSON.stringify(payload), new Date().toISOString(), audience !== null, audience ? audience.ownerId : null]
+            );
+        },
+
+        async insertDelivery({ webhookId, event, payload, nextAttemptAt }) {
+            const delivery = await db.query(
+                "INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES ($1, $2, $3, $4) RETURNING *;",
+                [webhookId, event, JSON.stringify(payload), nextAttemptAt]
+            );
+            return delivery.rows[0];
+        },
+
+        // Pending deliveries due at `now` get their next attempt moved to `leaseUntil`, SKIP LOCKED as for jobs
+        async claimDueDeliveries(now, leaseUntil, limit) {
+            const deliveries = await db.query(`
+                UPDATE webhook_deliveries
+                SET next_attempt_at = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE delivery_id IN (
+                    SELECT delivery_id FROM webhook_deliveries
+                    WHERE status = 'pending' AND next_attempt_at <= $1
+                    ORDER BY next_attempt_at ASC
+                    LIMIT $3
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *;
+            `, [now, leaseUntil, limit]);
+            return deliveries.rows;
+        },
+
+        async recordAttempt(deliveryId, { status, attempts, responseStatus, error, nextAttemptAt }) {
+            const delivery = await db.query(
+                `UPDATE webhook_deliveries
+                 SET status = $2::text, attempts = $3, response_status = $4, error = $5, next_attempt_at = $6,
+                     delivered_at = CASE WHEN $2::text = 'succeeded' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE delivery_id = $1
+                 RETURNING *;`,
+                [deliveryId, status, attempts, responseStatus, error, nextAttemptAt]
+            );
+            return delivery.rows[0] || null;
+        },
+
+        async failDelivery(deliveryId, error) {
+            await db.query(
+                "UPDATE webhook_deliveries SET status = 'failed', error = $2, updated_at = CURRENT_TIMESTAMP WHERE delivery_id = $1;",
+                [deliveryId, error]
+            );
+        },
+
+        // Newest first
+        async listDeliveries(webhookId, { status = null, limit = 100 } = {}) {
+            const params = [webhookId];
+            let sqlQuery = "SELECT * FROM webhook_deliveries WHERE webhook_id = $1";
+            if(status) {
+                params.push(status);
+                sqlQuery += ` AND status = $${params.length}`;
+            }
+            params.push(limit);
+            sqlQuery += ` ORDER BY created_at DESC LIMIT $${params.length};`;
+
+            const deliveries = await db.query(sqlQuery, params);
+            return deliveries.rows;
+        }
+    };
+
+    return { users, apiKeys, proteins, fragments, motifs, kmers, audit, jobs, webhooks };
+}
+
+// Store backed by a pg Pool, every transaction runs on one dedicated client
+// With `migrate` pending migrations are applied on connect, otherwise connecting fails while any is pending
+function createPostgresStore(pool, { migrate = true } = {}) {
+    return {
+        name: 'PostgreSQL',
+        ...createRepositories(pool),
+
+        // Bootstrap keys are issued and printed by the api-keys migration
+        async connect() {
+            await pool.query('SELECT NOW()');
+            if(migrate) await migrateUp(pool);
+
+            const pending = await pendingMigrations(pool);
+            if(pending.length > 0) {
+                throw new Error(`Database schema is behind, pending migration(s): ${pending.map(m => m.name).join(", ")}. Run "npm run migrate" or start with MIGRATE_ON_START=true`);
+            }
+
+            return { issued: [] };
+        },
+
+        // `fn` gets repositories bound to the transaction, nested calls join it
+        async transaction(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+
+                const tx = { ...createRepositories(client), transaction: nested => nested(tx) };
+                const result = await fn(tx);
+
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        }
+    };
+}
+
+module.exports = {
+    MAX_QUERY_PARAMETERS,
+    insertRows,
+    keysetCondition,
+    buildProteinSearchQuery,
+    createRepositories,
+    createPostgresStore
+};
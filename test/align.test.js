@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { alignSequences, formatAlignmentText, generateAlignmentSVG } = require('../align');
+const { BadRequestError } = require('../error');
+
+describe('alignSequences', () => {
+    it('scores identical sequences with the BLOSUM62 diagonal', () => {
+        const alignment = alignSequences('HEAGAWGHEE', 'HEAGAWGHEE');
+
+        // H 8, E 5, A 4, G 6, A 4, W 11, G 6, H 8, E 5, E 5
+        assert.equal(alignment.score, 62);
+        assert.equal(alignment.matchLine, '||||||||||');
+        assert.deepEqual(alignment.identity, { count: 10, percent: 100 });
+    });
+
+    it('aligns the textbook pair HEAGAWGHEE and PAWHEAE globally', () => {
+        const alignment = alignSequences('HEAGAWGHEE', 'PAWHEAE');
+
+        // G/P -2, A/A 4, W/W 11, G/H -2, H/E 0, E/A -1, E/E 5, less one gap of 3 at 10 + 2 * 0.5
+        assert.equal(alignment.score, 4);
+        assert.equal(alignment.a.aligned, 'HEAGAWGHEE');
+        assert.equal(alignment.b.aligned, '---PAWHEAE');
+        assert.deepEqual(alignment.gaps, { count: 3, percent: 30, openings: 1 });
+    });
+
+    it('marks substitutions with a positive score as similar', () => {
+        const alignment = alignSequences('HEAGAWGHEE', 'HEAGAWGHED');
+
+        assert.equal(alignment.score, 59);
+        assert.equal(alignment.matchLine, '|||||||||:');
+        assert.deepEqual(alignment.similarity, { count: 10, percent: 100 });
+        assert.deepEqual(alignment.identity, { count: 9, percent: 90 });
+    });
+
+    it('charges a gap its opening once and its extension per further residue', () => {
+        // 41 for the seven identical residues
+        const alignment = alignSequences('HEAGAWGHEE', 'HEAGHEE', { gapOpen: 12, gapExtend: 1 });
+        assert.equal(alignment.score, 41 - 12 - 2 * 1);
+        assert.deepEqual(alignment.gaps, { count: 3, percent: 30, openings: 1 });
+        assert.deepEqual([alignment.b.start, alignment.b.end], [1, 7]);
+
+        assert.equal(alignSequences('HEAGAWGHEE', 'HEAGHEE').score, 41 - 10 - 2 * 0.5);
+    });
+
+    it('aligns only the best scoring region locally', () => {
+        const alignment = alignSequences('PPHEAGAWPP', 'WWHEAGAWWW', { mode: 'local' });
+
+        assert.equal(alignment.score, 38);
+        assert.deepEqual(alignment.a, { start: 3, end: 8, aligned: 'HEAGAW' });
+        assert.deepEqual(alignment.b, { start: 3, end: 8, aligned: 'HEAGAW' });
+    });
+
+    it('returns an empty local alignment when no pair scores above zero', () => {
+        const alignment = alignSequences('WWWW', 'PPPP', { mode: 'local' });
+
+        assert.equal(alignment.score, 0);
+        assert.equal(alignment.length, 0);
+        assert.deepEqual(alignment.a, { start: 1, end: 0, aligned: '' });
+        assert.deepEqual(alignment.identity, { count: 0, percent: 0 });
+    });
+
+    it('rejects unknown modes, matrices and gap penalties', () => {
+        const isBadRequest = error => error instanceof BadRequestError;
+        assert.throws(() => alignSequences('AC', 'AC', { mode: 'semi' }), isBadRequest);
+        assert.throws(() => alignSequences('AC', 'AC', { matrix: 'BLOSUM50' }), isBadRequest);
+        assert.throws(() => alignSequences('AC', 'AC', { gapOpen: 1, gapExtend: 2 }), isBadRequest);
+        assert.throws(() => alignSequences('AC', 'AC', { gapOpen: -1 }), isBadRequest);
+    });
+});
+
+describe('alignment rendering', () => {
+    const alignment = alignSequences('HEAGAWGHEE', 'HEAGHEE');
+
+    it('writes blocks of aligned residues with their positions', () => {
+        assert.equal(formatAlignmentText(alignment, 'first', 'second', 6), [
+            'first       1 HEAGAW 6',
+            '              |||   ',
+            'second      1 HEA--- 3',
+            '',
+            'first       7 GHEE 10',
+            '              ||||',
+            'second      4 GHEE 7',
+            ''
+        ].join('\n'));
+    });
+
+    it('draws one colored cell per column, wrapped into rows', () => {
+        const svg = generateAlignmentSVG(alignment, 6);
+        const cells = [...svg.matchAll(/<rect x="\d+" y="(\d+)" width="10" height="35" fill="(\w+)"/g)];
+
+        assert.match(svg, /^<svg width="140" height="130" /);
+        assert.deepEqual(cells.map(cell => cell[2]), ['green', 'green', 'green', 'white', 'white', 'white', 'green', 'green', 'green', 'green']);
+        assert.deepEqual([...new Set(cells.map(cell => cell[1]))], ['5', '55']);
+        assert.ok(svg.endsWith('</svg>'));
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { diffAuditFields } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+
+describe('diffAuditFields', () => {
+    it('lists only the changed fields, with null where the protein did not exist', () => {
+        const before = { name: 'a', description: 'same', fragmentation: { strategy: 'tiles', tileSize: 5 } };
+        const after = { name: 'b', description: 'same', fragmentation: { strategy: 'tiles', tileSize: 5 } };
+
+        assert.deepEqual(diffAuditFields(before, after), { name: { before: 'a', after: 'b' } });
+        assert.deepEqual(diffAuditFields(null, { name: 'a' }, ['name', 'description']), { name: { before: null, after: 'a' } });
+        assert.deepEqual(diffAuditFields({ name: 'a' }, null, ['name']), { name: { before: 'a', after: null } });
+    });
+});
+
+describe('audit log', () => {
+    let server;
+    let proteinId;
+    let otherId;
+
+    before(async () => {
+        server = await startServer(async store => {
+            await store.users.insert({ id: 'user-002', name: 'Other User', role: 'basic' });
+        });
+
+        proteinId = (await server.request('POST', '/api/proteins', { body: { name: 'audited', sequence: SEQUENCE } })).body.proteinId;
+        await server.request('PUT', `/api/proteins/${proteinId}`, { body: { name: 'renamed' } });
+        await server.request('DELETE', `/api/proteins/${proteinId}`);
+        await server.request('DELETE', `/api/trash/${proteinId}`, { userId: 'admin-user-001' });
+        otherId = (await server.request('POST', '/api/proteins', { userId: 'user-002', body: { name: 'other', sequence: SEQUENCE } })).body.proteinId;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('keeps the history of a protein, oldest first, after it is purged', async () => {
+        const response = await server.request('GET', `/api/proteins/${proteinId}/history`);
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.map(entry => [entry.action, entry.userId]), [
+            ['create', 'user-001'], ['update', 'user-001'], ['delete', 'user-001'], ['purge', 'admin-user-001']
+        ]);
+        const [created, updated, deleted, purged] = response.body;
+        assert.deepEqual(created.changes.name, { before: null, after: 'audited' });
+        assert.deepEqual(created.changes.sequence, { before: null, after: SEQUENCE });
+        assert.deepEqual(updated.changes, { name: { before: 'audited', after: 'renamed' } });
+        assert.deepEqual(Object.keys(deleted.changes), ['deleted_at', 'deleted_by']);
+        assert.equal(purged.changes.name.after, null);
+        assert.ok(purged.changes.fragment_count.before > 0);
+    });
+
+    it('answers 404 for the history of a protein that never existed', async () => {
+        assert.equal((await server.request('GET', '/api/proteins/00000000-0000-0000-0000-000000000000/history')).status, 404);
+    });
+
+    it('keeps the feed across proteins to admins, newest first', async () => {
+        assert.equal((await server.request('GET', '/api/audit')).status, 403);
+
+        const response = await server.request('GET', '/api/audit', { userId: 'admin-user-001' });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.map(entry => [entry.proteinId, entry.action]), [
+            [otherId, 'create'], [proteinId, 'purge'], [proteinId, 'delete'], [proteinId, 'update'], [proteinId, 'create']
+        ]);
+    });
+
+    it('filters the feed by user, action, protein and time', async () => {
+        const feed = async query => (await server.request('GET', `/api/audit?${query}`, { userId: 'admin-user-001' })).body.map(entry => entry.action);
+
+        assert.deepEqual(await feed('userId=user-002'), ['create']);
+        assert.deepEqual(await feed('action=update,purge'), ['purge', 'update']);
+        assert.deepEqual(await feed(`proteinId=${proteinId}&action=create`), ['create']);
+        assert.deepEqual(await feed('from=2999-01-01T00:00:00Z'), []);
+        assert.deepEqual(await feed('to=2000-01-01T00:00:00Z'), []);
+        assert.deepEqual(await feed('limit=2&offset=1'), ['purge', 'delete']);
+    });
+
+    it('rejects unknown actions, dates and page sizes', async () => {
+        for(const query of ['action=rename', 'from=yesterday', 'limit=0', 'limit=1001', 'offset=-1']) {
+            const response = await server.request('GET', `/api/audit?${query}`, { userId: 'admin-user-001' });
+            assert.equal(response.status, 400, query);
+            assert.match(response.body.error, /^\[Audit Error\]/);
+        }
+    });
+});
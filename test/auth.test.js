@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { createProteinWithFragments, calculateMolecularWeight, issueApiKey } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+
+function proteinData(name, ownerId) {
+    return { name, description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length, fragmentation, ownerId };
+}
+
+describe('roles and protein ownership', () => {
+    let server;
+    let owned;
+
+    before(async () => {
+        server = await startServer(async store => {
+            await store.users.insert({ id: 'user-002', name: 'Other User', role: 'basic' });
+            owned = await createProteinWithFragments(store, proteinData('owned', 'user-001'), SEQUENCE);
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('refuses unknown and missing users', async () => {
+        assert.equal((await server.request('GET', '/api/proteins', { userId: 'nobody' })).status, 401);
+        assert.equal((await server.request('GET', '/api/proteins', { userId: '' })).status, 401);
+    });
+
+    it('makes the creator the owner', async () => {
+        const response = await server.request('POST', '/api/proteins', { userId: 'user-002', body: { name: 'created', sequence: SEQUENCE } });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.ownerId, 'user-002');
+    });
+
+    it('lets everyone read a protein but only its owner or an admin change it', async () => {
+        const route = `/api/proteins/${owned.protein_id}`;
+
+        assert.equal((await server.request('GET', route, { userId: 'user-002' })).status, 200);
+
+        const denied = await server.request('PUT', route, { userId: 'user-002', body: { name: 'taken' } });
+        assert.equal(denied.status, 403);
+        assert.match(denied.body.error, /Only the owner or an admin/);
+        assert.equal((await server.request('POST', `${route}/refragment`, { userId: 'user-002', body: { strategy: 'tiles' } })).status, 403);
+        assert.equal((await server.request('DELETE', route, { userId: 'user-002' })).status, 403);
+
+        assert.equal((await server.request('PUT', route, { body: { name: 'renamed by owner' } })).status, 200);
+        const byAdmin = await server.request('PUT', route, { userId: 'admin-user-001', body: { name: 'renamed by admin' } });
+        assert.equal(byAdmin.status, 200);
+        assert.equal(byAdmin.body.name, 'renamed by admin');
+    });
+
+    it('keeps user management and the motif library to admins', async () => {
+        for(const [method, route, body] of [
+            ['GET', '/api/users'],
+            ['POST', '/api/users', { id: 'user-003', name: 'Third' }],
+            ['POST', '/api/motifs', { name: 'Test motif', pattern: 'N-{P}-[ST]' }]
+        ]) {
+            const response = await server.request(method, route, { body });
+            assert.equal(response.status, 403, `${method} ${route}`);
+            assert.match(response.body.error, /Requires role: admin/);
+        }
+    });
+
+    it('creates, updates and deletes users as an admin', async () => {
+        const admin = { userId: 'admin-user-001' };
+
+        const created = await server.request('POST', '/api/users', { ...admin, body: { id: 'user-003', name: ' Third ' } });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body, { id: 'user-003', name: 'Third', role: 'basic' });
+        assert.equal((await server.request('POST', '/api/users', { ...admin, body: { id: 'user-003', name: 'Again' } })).status, 409);
+        assert.equal((await server.request('POST', '/api/users', { ...admin, body: { id: 'user-004', name: 'Bad', role: 'owner' } })).status, 400);
+
+        const promoted = await server.request('PUT', '/api/users/user-003', { ...admin, body: { role: 'admin' } });
+        assert.deepEqual(promoted.body, { id: 'user-003', name: 'Third', role: 'admin' });
+        assert.equal((await server.request('PUT', '/api/users/user-003', { ...admin, body: { id: 'renamed' } })).status, 400);
+
+        assert.equal((await server.request('DELETE', '/api/users/user-003', admin)).status, 204);
+        assert.equal((await server.request('GET', '/api/users/user-003', admin)).status, 404);
+    });
+
+    it('never removes the last admin', async () => {
+        const admin = { userId: 'admin-user-001' };
+
+        const demoted = await server.request('PUT', '/api/users/admin-user-001', { ...admin, body: { role: 'basic' } });
+        assert.equal(demoted.status, 409);
+        assert.match(demoted.body.error, /last admin/);
+        assert.equal((await server.request('DELETE', '/api/users/admin-user-001', admin)).status, 409);
+    });
+
+    it('hands the proteins of a deleted user to the admins', async () => {
+        const admin = { userId: 'admin-user-001' };
+        const created = await server.request('POST', '/api/proteins', { userId: 'user-002', body: { name: 'orphaned', sequence: SEQUENCE } });
+
+        assert.equal((await server.request('DELETE', '/api/users/user-002', admin)).status, 204);
+
+        const protein = await server.request('GET', `/api/proteins/${created.body.proteinId}`);
+        assert.equal(protein.status, 200);
+        assert.equal((await server.request('PUT', `/api/proteins/${created.body.proteinId}`, { body: { name: 'mine now' } })).status, 403);
+        assert.equal((await server.request('PUT', `/api/proteins/${created.body.proteinId}`, { ...admin, body: { name: 'managed' } })).status, 200);
+    });
+});
+
+describe('API keys', () => {
+    let server;
+    let expiredKey;
+
+    before(async () => {
+        server = await startServer(async store => {
+            ({ key: expiredKey } = await issueApiKey(store, 'user-001', { scopes: ['read'], expiresAt: '2000-01-01T00:00:00.000Z' }));
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const bearer = key => ({ headers: { Authorization: `Bearer ${key}` } });
+
+    async function issue(body, userId = 'user-001') {
+        const response = await server.request('POST', '/api/keys', { userId, body });
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+        return response.body;
+    }
+
+    it('issues a key that authenticates its user and is only shown once', async () => {
+        const issued = await issue({ name: 'ci', scopes: ['read', 'write'] });
+        assert.match(issued.key, /^pk_/);
+        assert.equal(issued.prefix, issued.key.slice(0, 11));
+        assert.deepEqual(issued.scopes, ['read', 'write']);
+
+        const created = await server.request('POST', '/api/proteins', { ...bearer(issued.key), body: { name: 'with key', sequence: SEQUENCE } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.ownerId, 'user-001');
+
+        const [listed] = (await server.request('GET', '/api/keys')).body.filter(key => key.keyId === issued.keyId);
+        assert.equal(listed.key, undefined);
+        assert.notEqual(listed.lastUsedAt, null);
+    });
+
+    it('limits a key to its scopes', async () => {
+        const { key } = await issue({});
+
+        assert.equal((await server.request('GET', '/api/proteins', bearer(key))).status, 200);
+        assert.equal((await server.request('POST', '/api/proteins/search', { ...bearer(key), body: {} })).status, 200);
+        const write = await server.request('POST', '/api/proteins', { ...bearer(key), body: { name: 'denied', sequence: SEQUENCE } });
+        assert.equal(write.status, 403);
+        assert.match(write.body.error, /lacks the 'write' scope/);
+    });
+
+    it('keeps admin routes to admin keys of admin users', async () => {
+        assert.equal((await server.request('POST', '/api/keys', { body: { scopes: ['admin'] } })).status, 403);
+
+        const { key } = await issue({ scopes: ['read', 'write'] }, 'admin-user-001');
+        const response = await server.request('GET', '/api/users', bearer(key));
+        assert.equal(response.status, 403);
+        assert.match(response.body.error, /lacks the 'admin' scope/);
+
+        const { key: adminKey } = await issue({ scopes: ['read', 'admin'] }, 'admin-user-001');
+        assert.equal((await server.request('GET', '/api/users', bearer(adminKey))).status, 200);
+    });
+
+    it('never issues scopes the calling key lacks or keys for other users', async () => {
+        const { key } = await issue({ scopes: ['write'] });
+
+        const escalated = await server.request('POST', '/api/keys', { ...bearer(key), body: { scopes: ['read'] } });
+        assert.equal(escalated.status, 403);
+        assert.match(escalated.body.error, /Cannot issue scopes/);
+        assert.equal((await server.request('POST', '/api/keys', { body: { userId: 'admin-user-001' } })).status, 403);
+        assert.equal((await server.request('POST', '/api/keys', { body: { scopes: ['delete'] } })).status, 400);
+        assert.equal((await server.request('POST', '/api/keys', { body: { expiresAt: '2000-01-01' } })).status, 400);
+    });
+
+    it('rejects malformed, unknown, revoked and expired keys', async () => {
+        const issued = await issue({});
+        assert.equal((await server.request('DELETE', `/api/keys/${issued.keyId}`)).status, 204);
+
+        for(const [headers, message] of [
+            [{ Authorization: 'Token abc' }, /Malformed/],
+            [{ Authorization: 'Bearer pk_unknown' }, /Invalid API key/],
+            [{ Authorization: `Bearer ${issued.key}` }, /revoked/],
+            [{ Authorization: `Bearer ${expiredKey}` }, /expired/]
+        ]) {
+            const response = await server.request('GET', '/api/proteins', { headers });
+            assert.equal(response.status, 401, headers.Authorization);
+            assert.match(response.body.error, message);
+        }
+    });
+
+    it('lets only the owner or an admin revoke a key', async () => {
+        const issued = await issue({});
+
+        assert.equal((await server.request('DELETE', `/api/keys/${issued.keyId}`, { userId: 'admin-user-001' })).status, 204);
+        const other = await issue({}, 'admin-user-001');
+        assert.equal((await server.request('DELETE', `/api/keys/${other.keyId}`)).status, 403);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { PROTON_MASS, digestSequence, parsePmfRequest, matchPeptideMassFingerprint } = require('../digest');
+const { createProteinWithFragments, calculateMolecularWeight, calculateMonoisotopicMass } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+
+const peptides = (sequence, options) => digestSequence(sequence, options).map(p => [p.sequence, p.startPosition, p.endPosition, p.missedCleavages]);
+
+describe('digestSequence', () => {
+    it('cuts with trypsin after K and R but not before P', () => {
+        assert.deepEqual(peptides('AKPGRSTKDE', { enzyme: 'trypsin' }), [['AKPGR', 0, 5, 0], ['STK', 5, 8, 0], ['DE', 8, 10, 0]]);
+    });
+
+    it('cuts with Lys-C after every K, before P too', () => {
+        assert.deepEqual(peptides('AKPGRSTKDE', { enzyme: 'lys-c' }), [['AK', 0, 2, 0], ['PGRSTK', 2, 8, 0], ['DE', 8, 10, 0]]);
+    });
+
+    it('cuts with Glu-C after E but not before P', () => {
+        assert.deepEqual(peptides('AEPGEKDEA', { enzyme: 'glu-c' }), [['AEPGE', 0, 5, 0], ['KDE', 5, 8, 0], ['A', 8, 9, 0]]);
+    });
+
+    it('joins up to missedCleavages neighbouring peptides', () => {
+        assert.deepEqual(peptides('AKPGRSTKDE', { enzyme: 'trypsin', missedCleavages: 1 }), [
+            ['AKPGR', 0, 5, 0], ['AKPGRSTK', 0, 8, 1], ['STK', 5, 8, 0], ['STKDE', 5, 10, 1], ['DE', 8, 10, 0]
+        ]);
+        assert.deepEqual(peptides('AKPGRSTKDE', { enzyme: 'trypsin', missedCleavages: 2 }).filter(p => p[3] === 2), [['AKPGRSTKDE', 0, 10, 2]]);
+    });
+
+    it('gives neutral peptide masses with one water', () => {
+        const [stk] = digestSequence('STK', { enzyme: 'trypsin' });
+        assert.ok(Math.abs(stk.monoisotopicMass - 334.1852) < 1e-3);
+        assert.ok(Math.abs(stk.averageMass - 334.37) < 1e-2);
+    });
+});
+
+for(const backend of backends) {
+    describe(`peptide mass fingerprinting: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        async function create(name, sequence) {
+            return createProteinWithFragments(store, {
+                name, description: null, molecularWeight: calculateMolecularWeight(sequence), sequenceLength: sequence.length, fragmentation, ownerId: 'user-001'
+            }, sequence);
+        }
+
+        const protonated = peptide => calculateMonoisotopicMass(peptide) + PROTON_MASS;
+
+        it('ranks proteins by matched masses, then coverage', async () => {
+            await create('target', SEQUENCE);
+            // Shares SHFSR with the target
+            await create('decoy', 'WWWWWWWWWWKSHFSR');
+            await create('light', 'GK');
+
+            const masses = ['QISFVK', 'SHFSR', 'LGLIEVQ'].map(protonated);
+            const hits = await matchPeptideMassFingerprint(store, parsePmfRequest({ masses: [...masses, 5000] }));
+
+            assert.deepEqual(hits.map(hit => [hit.name, hit.matchedMasses]), [['target', 3], ['decoy', 1]]);
+            assert.equal(hits[0].sequenceCoverage, 18 / SEQUENCE.length);
+            assert.deepEqual(hits[0].matches.map(match => match.peptide.sequence), ['QISFVK', 'SHFSR', 'LGLIEVQ']);
+            assert.ok(hits[0].matches.every(match => Math.abs(match.errorPpm) < 1e-6));
+            assert.equal(hits[1].sequenceCoverage, 5 / 16);
+
+            const strict = await matchPeptideMassFingerprint(store, parsePmfRequest({ masses, minMatches: 2 }));
+            assert.deepEqual(strict.map(hit => hit.name), ['target']);
+        });
+
+        it('matches within the tolerance in ppm', async () => {
+            await create('target', SEQUENCE);
+            const mass = protonated('QISFVK') * (1 + 10 / 1e6);
+
+            const [hit] = await matchPeptideMassFingerprint(store, parsePmfRequest({ masses: [mass], tolerance: 20 }));
+            assert.ok(Math.abs(hit.matches[0].errorPpm - 10) < 1e-6);
+            assert.deepEqual(await matchPeptideMassFingerprint(store, parsePmfRequest({ masses: [mass], tolerance: 5 })), []);
+        });
+
+        it('matches neutral and average masses', async () => {
+            await create('target', SEQUENCE);
+            const average = calculateMolecularWeight('QISFVK');
+
+            const [hit] = await matchPeptideMassFingerprint(store, parsePmfRequest({ masses: [average], massType: 'average', ion: 'M' }));
+            assert.equal(hit.matches[0].peptide.sequence, 'QISFVK');
+            assert.deepEqual(await matchPeptideMassFingerprint(store, parsePmfRequest({ masses: [average], ion: 'M' })), []);
+        });
+
+        it('finds peptides spanning missed cleavages only when asked to', async () => {
+            await create('target', SEQUENCE);
+            const masses = [protonated('QISFVKSHFSR')];
+
+            assert.deepEqual(await matchPeptideMassFingerprint(store, parsePmfRequest({ masses })), []);
+            const [hit] = await matchPeptideMassFingerprint(store, parsePmfRequest({ masses, missedCleavages: 1 }));
+            assert.equal(hit.matches[0].peptide.missedCleavages, 1);
+        });
+    });
+}
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { proteinETag, matchesETag } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+
+describe('matchesETag', () => {
+    const etag = proteinETag({ protein_id: 'p1', updated_at: '2024-01-01T00:00:00.000Z' });
+
+    it('gives a strong tag that changes with the row', () => {
+        assert.match(etag, /^"[\w-]+"$/);
+        assert.notEqual(proteinETag({ protein_id: 'p1', updated_at: '2024-01-02T00:00:00.000Z' }), etag);
+    });
+
+    it('matches any tag of a list, or *', () => {
+        assert.ok(matchesETag(etag, etag));
+        assert.ok(matchesETag(`"other", ${etag}`, etag));
+        assert.ok(matchesETag(' * ', etag));
+        assert.ok(!matchesETag('"other"', etag));
+    });
+
+    it('matches weak tags only with the weak comparison', () => {
+        assert.ok(!matchesETag(`W/${etag}`, etag));
+        assert.ok(matchesETag(`W/${etag}`, etag, true));
+    });
+});
+
+describe('conditional requests and merge patches', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    async function create(name) {
+        const created = await server.request('POST', '/api/proteins', { body: { name, description: 'initial', sequence: SEQUENCE } });
+        const route = `/api/proteins/${created.body.proteinId}`;
+        return { route, etag: (await server.request('GET', route)).headers.get('etag') };
+    }
+
+    it('answers 304 while the protein is unchanged', async () => {
+        const { route, etag } = await create('cached');
+
+        assert.match(etag, /^"/);
+        const notModified = await server.request('GET', route, { headers: { 'If-None-Match': etag } });
+        assert.equal(notModified.status, 304);
+        assert.equal(notModified.body, '');
+        assert.equal(notModified.headers.get('etag'), etag);
+        assert.equal((await server.request('GET', route, { headers: { 'If-None-Match': `W/${etag}` } })).status, 304);
+
+        await server.request('PATCH', route, { body: { name: 'changed' } });
+        const modified = await server.request('GET', route, { headers: { 'If-None-Match': etag } });
+        assert.equal(modified.status, 200);
+        assert.notEqual(modified.headers.get('etag'), etag);
+    });
+
+    it('updates only when If-Match carries the current tag', async () => {
+        const { route, etag } = await create('guarded');
+
+        const updated = await server.request('PUT', route, { headers: { 'If-Match': etag }, body: { name: 'first' } });
+        assert.equal(updated.status, 200);
+        const current = updated.headers.get('etag');
+        assert.notEqual(current, etag);
+        assert.equal(current, (await server.request('GET', route)).headers.get('etag'));
+
+        const stale = await server.request('PUT', route, { headers: { 'If-Match': etag }, body: { name: 'second' } });
+        assert.equal(stale.status, 412);
+        assert.match(stale.body.error, /^\[Precondition Failed\]/);
+        assert.equal((await server.request('PATCH', route, { headers: { 'If-Match': `W/${current}` }, body: { name: 'second' } })).status, 412);
+        assert.equal((await server.request('GET', route)).body[0].name, 'first');
+    });
+
+    it('changes only the fields given in a merge patch, null clears the description', async () => {
+        const { route } = await create('patched');
+
+        const renamed = await server.request('PATCH', route, { headers: { 'Content-Type': 'application/merge-patch+json' }, body: { name: 'renamed' } });
+        assert.equal(renamed.status, 200);
+        assert.deepEqual([renamed.body.name, renamed.body.description], ['renamed', 'initial']);
+
+        const cleared = await server.request('PATCH', route, { body: { description: null } });
+        assert.deepEqual([cleared.body.name, cleared.body.description], ['renamed', null]);
+    });
+
+    it('rejects patches of other fields and invalid values', async () => {
+        const { route } = await create('rejected');
+
+        for(const [body, message] of [
+            [{ sequence: 'MK' }, /cannot be patched: sequence/],
+            [[{ name: 'array' }], /Expected a JSON Merge Patch object/],
+            [{ name: null }, /Invalid name/],
+            [{ name: ' ' }, /Invalid name/],
+            [{ description: 5 }, /Invalid description/]
+        ]) {
+            const response = await server.request('PATCH', route, { body });
+            assert.equal(response.status, 400, JSON.stringify(body));
+            assert.match(response.body.error, message);
+        }
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { importFastaRecords, createProteinWithFragments, calculateMolecularWeight, parseProteinSearch } = require('../lib');
+const { BadRequestError } = require('../error');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+
+// Records as parseFasta returns them, a name over 100 characters only fails when the protein is stored
+function fastaRecords(names) {
+    return names.map((name, index) => ({ index, line: index * 2 + 1, header: name, name, description: '', sequence: SEQUENCE }));
+}
+
+for(const backend of backends) {
+    describe(`FASTA import: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('creates nothing in atomic mode when a record fails and names that record', async () => {
+            const existing = await createProteinWithFragments(store, {
+                name: 'existing', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE),
+                sequenceLength: SEQUENCE.length, fragmentation, ownerId: 'user-001'
+            }, SEQUENCE);
+            const webhook = await store.webhooks.insert({ userId: 'user-001', url: 'https://example.org/hook', events: ['protein.created'], description: null, active: true, secret: 's' });
+            const deliveriesBefore = await store.webhooks.listDeliveries(webhook.webhook_id);
+
+            const records = fastaRecords(['first', 'second', 'x'.repeat(101), 'fourth']);
+            await assert.rejects(
+                importFastaRecords(store, records, { mode: 'atomic', fragmentation, ownerId: 'user-001' }),
+                error => error instanceof BadRequestError && error.message.includes('at line 5')
+            );
+
+            const names = (await store.proteins.search(parseProteinSearch({}))).map(p => p.name);
+            assert.deepEqual(names, ['existing']);
+            assert.deepEqual(await store.webhooks.listDeliveries(webhook.webhook_id), deliveriesBefore);
+            assert.deepEqual((await store.audit.list({ actions: ['create'] })).map(entry => entry.protein_id), [existing.protein_id]);
+        });
+
+        it('creates every record in atomic mode and reports them once', async () => {
+            const reports = [];
+            const report = await importFastaRecords(store, fastaRecords(['first', 'second']), { mode: 'atomic', fragmentation, ownerId: 'user-001' },
+                undefined, async current => { reports.push(current.created.length); });
+
+            assert.deepEqual(report.created.map(entry => entry.name), ['first', 'second']);
+            assert.deepEqual(report.rejected, []);
+            assert.deepEqual(reports, [2]);
+            assert.equal((await store.proteins.search(parseProteinSearch({}))).length, 2);
+        });
+
+        it('creates the records that can be stored in best-effort mode and reports the rest', async () => {
+            const report = await importFastaRecords(store, fastaRecords(['first', 'x'.repeat(101), 'third']), { mode: 'best-effort', fragmentation, ownerId: 'user-001' });
+
+            assert.deepEqual(report.created.map(entry => entry.name), ['first', 'third']);
+            assert.deepEqual(report.rejected.map(entry => [entry.index, entry.line]), [[1, 3]]);
+            assert.equal((await store.proteins.search(parseProteinSearch({}))).length, 2);
+        });
+    });
+}
@@ -0,0 +1,62 @@
+// Storage backends the shared tests run against: always the in-memory store, and PostgreSQL when
+// TEST_PG_DATABASE names a database the tests may wipe (PG_HOST, PG_PORT, PG_USER and PG_PASSWORD as for the app)
+// TIMESTAMP columns carry no time zone, so the tests read and write them in UTC
+process.env.TZ = 'UTC';
+
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+const { createMemoryStore } = require('../../storage/memory');
+const { createPostgresStore } = require('../../storage/postgres');
+const { migrateUp } = require('../../migrate');
+
+dotenv.config();
+
+const quiet = () => {};
+
+function testPool() {
+    return new Pool({
+        host: process.env.PG_HOST,
+        port: process.env.PG_PORT,
+        database: process.env.TEST_PG_DATABASE,
+        user: process.env.PG_USER,
+        password: process.env.PG_PASSWORD
+    });
+}
+
+// Empty the test database, migrations then build it like a fresh install
+async function resetDatabase(pool) {
+    await pool.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+    await migrateUp(pool, { log: quiet });
+}
+
+const memory = {
+    name: 'memory',
+    // A connected store with the default users, motifs and bootstrap key, and a close() for after the test
+    async createStore() {
+        const store = createMemoryStore();
+        await store.connect();
+        return Object.assign(store, { close: async () => {} });
+    }
+};
+
+const postgres = {
+    name: 'postgres',
+    skip: process.env.TEST_PG_DATABASE ? false : 'set TEST_PG_DATABASE to run against PostgreSQL',
+    async createStore() {
+        const pool = testPool();
+        await resetDatabase(pool);
+
+        const store = createPostgresStore(pool, { migrate: false });
+        await store.connect();
+        return Object.assign(store, { pool, close: () => pool.end() });
+    }
+};
+
+const backends = [memory, postgres];
+
+module.exports = {
+    backends,
+    testPool,
+    resetDatabase,
+    quiet
+};
@@ -0,0 +1,63 @@
+// Runs app.js in a child process on the in-memory store, for tests of the HTTP routes
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../../storage/memory');
+
+async function freePort() {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+// `seed(store)` fills the store the server starts from, requests authenticate with X-User-ID
+async function startServer(seed = async () => {}, env = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'proteins-test-'));
+    const dataFile = path.join(directory, 'store.json');
+    const store = createMemoryStore({ dataFile });
+    await store.connect();
+    await seed(store);
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '../../app.js')], {
+        env: { ...process.env, ...env, STORAGE_BACKEND: 'memory', DATA_FILE: dataFile, PORT: String(port), ALLOW_LEGACY_USER_HEADER: 'true' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if(output.includes('Server running')) resolve();
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => reject(new Error(`Server exited with ${code}: ${output}`)));
+    });
+
+    const request = async (method, route, { userId = 'user-001', body, headers = {} } = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+            method,
+            headers: { 'X-User-ID': userId, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }), ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        const type = response.headers.get('content-type') || '';
+        return { status: response.status, headers: response.headers, body: type.includes('json') && text ? JSON.parse(text) : text };
+    };
+
+    const stop = async () => {
+        if(child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    };
+
+    return { request, stop };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { enqueueJob, requeueStaleJobs, startJobWorker } = require('../jobs');
+const { calculateMolecularWeight } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const proteinData = {
+    name: 'queued', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length,
+    fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }, ownerId: 'user-001'
+};
+
+// Run the worker until `done()` resolves true, for at most 5 seconds
+async function runWorker(store, done) {
+    const stop = startJobWorker(store, { pollInterval: 10 });
+    const deadline = Date.now() + 5000;
+    try {
+        while(!await done()) {
+            if(Date.now() > deadline) throw new Error('Job did not reach the expected state');
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    } finally {
+        stop();
+    }
+}
+
+for(const backend of backends) {
+    describe(`create-protein jobs: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('does not create the protein again when retried after the create was committed', async () => {
+            const job = await enqueueJob(store, 'create-protein', { proteinData, sequence: SEQUENCE }, 'user-001');
+
+            // The server stops after the commit, before the job is marked succeeded
+            let stopped = false;
+            const crashing = { ...store, jobs: { ...store.jobs, succeed: async () => { throw new Error('stopped'); }, fail: async () => { stopped = true; } } };
+            await runWorker(crashing, async () => stopped);
+            const interrupted = await store.jobs.get(job.job_id);
+            assert.equal(interrupted.status, 'running');
+            const [protein] = await store.proteins.listAll();
+            assert.deepEqual(interrupted.result, { proteinId: protein.protein_id });
+
+            assert.equal(await requeueStaleJobs(store, -1000), 1);
+            await runWorker(store, async () => (await store.jobs.get(job.job_id)).status === 'succeeded');
+
+            assert.deepEqual((await store.jobs.get(job.job_id)).result, { proteinId: protein.protein_id });
+            assert.equal((await store.proteins.listAll()).length, 1);
+            assert.deepEqual((await store.audit.list()).map(entry => entry.action), ['create']);
+        });
+
+        it('leaves no protein when the result cannot be recorded', async () => {
+            const job = await enqueueJob(store, 'create-protein', { proteinData, sequence: SEQUENCE }, 'user-001');
+            const failing = {
+                ...store,
+                transaction: fn => store.transaction(tx => fn({ ...tx, jobs: { ...tx.jobs, reportProgress: async () => { throw new Error('write failed'); } } }))
+            };
+
+            await runWorker(failing, async () => (await store.jobs.get(job.job_id)).status === 'failed');
+
+            assert.deepEqual(await store.proteins.listAll(), []);
+            assert.equal((await store.jobs.get(job.job_id)).result, null);
+        });
+    });
+}
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { proteinLinks, fragmentLinks, withProteinLinks } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+
+describe('proteinLinks and fragmentLinks', () => {
+    it('builds links from the base URL', () => {
+        assert.deepEqual(proteinLinks('https://example.org', 'p1'), {
+            self: 'https://example.org/api/proteins/p1',
+            fragments: 'https://example.org/api/proteins/p1/fragments',
+            download: 'https://example.org/api/proteins/p1/download',
+            structure: 'https://example.org/api/proteins/p1/structure'
+        });
+        assert.deepEqual(fragmentLinks('https://example.org', { fragment_id: 'f1', protein_id: 'p1' }), {
+            self: 'https://example.org/api/fragments/f1',
+            protein: 'https://example.org/api/proteins/p1'
+        });
+    });
+
+    it('keeps sequence_url next to the links of a protein row', () => {
+        const row = withProteinLinks({ protein_id: 'p1', name: 'a' }, 'https://example.org');
+        assert.equal(row.name, 'a');
+        assert.equal(row.sequence_url, row.links.download);
+    });
+});
+
+describe('link base URL', () => {
+    const forwarded = { 'X-Forwarded-Host': 'proxy.example.org, inner.example.org', 'X-Forwarded-Proto': 'https' };
+
+    async function linksOf(server, headers) {
+        const created = await server.request('POST', '/api/proteins', { headers, body: { name: 'linked', sequence: SEQUENCE } });
+        const fragments = await server.request('GET', `/api/proteins/${created.body.proteinId}/fragments`, { headers });
+        const job = await server.request('POST', `/api/proteins/${created.body.proteinId}/refragment?async=true`, { headers, body: { strategy: 'tiles' } });
+        return { protein: created.body.links.self, fragment: fragments.body.items[0].url, job: job.headers.get('location') };
+    }
+
+    describe('from the request', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer();
+        });
+
+        after(async () => {
+            await server.stop();
+        });
+
+        it('uses the Host header and ignores forwarded headers', async () => {
+            const { protein, fragment, job } = await linksOf(server, forwarded);
+
+            assert.match(protein, /^http:\/\/127\.0\.0\.1:\d+\/api\/proteins\/[\w-]+$/);
+            assert.match(fragment, /^http:\/\/127\.0\.0\.1:\d+\/api\/fragments\//);
+            assert.match(job, /^http:\/\/127\.0\.0\.1:\d+\/api\/jobs\//);
+        });
+    });
+
+    describe('behind a trusted proxy', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer(undefined, { TRUST_PROXY: 'true' });
+        });
+
+        after(async () => {
+            await server.stop();
+        });
+
+        it('uses the first X-Forwarded-Host and X-Forwarded-Proto', async () => {
+            const { protein, fragment, job } = await linksOf(server, forwarded);
+
+            assert.match(protein, /^https:\/\/proxy\.example\.org\/api\/proteins\//);
+            assert.match(fragment, /^https:\/\/proxy\.example\.org\/api\/fragments\//);
+            assert.match(job, /^https:\/\/proxy\.example\.org\/api\/jobs\//);
+        });
+    });
+
+    describe('with PUBLIC_BASE_URL', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer(undefined, { PUBLIC_BASE_URL: 'https://proteins.example.org/', TRUST_PROXY: 'true' });
+        });
+
+        after(async () => {
+            await server.stop();
+        });
+
+        it('uses the configured URL without its trailing slash, whatever the request says', async () => {
+            const { protein, fragment, job } = await linksOf(server, forwarded);
+
+            assert.match(protein, /^https:\/\/proteins\.example\.org\/api\/proteins\/[\w-]+$/);
+            assert.match(fragment, /^https:\/\/proteins\.example\.org\/api\/fragments\//);
+            assert.match(job, /^https:\/\/proteins\.example\.org\/api\/jobs\//);
+        });
+    });
+});
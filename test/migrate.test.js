@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends, testPool, quiet } = require('./helpers/backends');
+const { loadMigrations, migrationStatus, migrateUp, migrateDown } = require('../migrate');
+const { createPostgresStore } = require('../storage/postgres');
+const { createProteinWithFragments, calculateMolecularWeight, hashApiKey } = require('../lib');
+
+const postgres = backends.find(backend => backend.name === 'postgres');
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+
+describe('migrations on PostgreSQL', { skip: postgres.skip }, () => {
+    let pool;
+    const names = loadMigrations().map(migration => migration.name);
+
+    beforeEach(async () => {
+        pool = testPool();
+        await pool.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+    });
+
+    afterEach(async () => {
+        await pool.end();
+    });
+
+    const status = async () => (await migrationStatus(pool)).map(migration => `${migration.applied ? 'applied' : 'pending'} ${migration.name}`);
+    const count = async table => (await pool.query(`SELECT COUNT(*)::int AS count FROM ${table};`)).rows[0].count;
+
+    it('applies every migration on an empty database and reports them applied', async () => {
+        assert.deepEqual(await status(), names.map(name => `pending ${name}`));
+
+        assert.deepEqual(await migrateUp(pool, { log: quiet }), names);
+
+        assert.deepEqual(await status(), names.map(name => `applied ${name}`));
+        assert.deepEqual((await pool.query("SELECT id FROM users ORDER BY id;")).rows.map(row => row.id), ['admin-user-001', 'user-001']);
+        assert.equal(await count('api_keys'), 1);
+        assert.deepEqual(await migrateUp(pool, { log: quiet }), []);
+    });
+
+    it('issues bootstrap keys the application accepts', async () => {
+        const logged = [];
+        await migrateUp(pool, { log: line => logged.push(line) });
+
+        const [, key] = /Issued bootstrap key for admin-user-001: (\S+)/.exec(logged.join('\n'));
+        const apiKey = await createPostgresStore(pool, { migrate: false }).apiKeys.findByHash(hashApiKey(key));
+        assert.equal(apiKey.user_id, 'admin-user-001');
+        assert.equal(apiKey.name, 'bootstrap');
+        assert.equal(apiKey.prefix, key.slice(0, 11));
+        assert.deepEqual(apiKey.scopes, ['read', 'write', 'admin']);
+    });
+
+    it('stops at the version given', async () => {
+        assert.deepEqual(await migrateUp(pool, { to: 7, log: quiet }), names.slice(0, 8));
+        assert.deepEqual(await status(), names.map((name, i) => `${i < 8 ? 'applied' : 'pending'} ${name}`));
+    });
+
+    it('reverts migrations newest first and applies them again', async () => {
+        await migrateUp(pool, { log: quiet });
+
+        assert.deepEqual(await migrateDown(pool, { count: 2, log: quiet }), names.slice(-2).reverse());
+        assert.deepEqual(await status(), names.map((name, i) => `${i < names.length - 2 ? 'applied' : 'pending'} ${name}`));
+        const variantColumns = await pool.query("SELECT column_name FROM information_schema.columns WHERE table_name = 'proteins' AND column_name = 'variant';");
+        assert.equal(variantColumns.rows.length, 0);
+
+        assert.deepEqual(await migrateUp(pool, { log: quiet }), names.slice(-2));
+    });
+
+    it('reverts every migration down to an empty database', async () => {
+        await migrateUp(pool, { log: quiet });
+
+        assert.deepEqual(await migrateDown(pool, { count: names.length, log: quiet }), [...names].reverse());
+
+        assert.deepEqual(await status(), names.map(name => `pending ${name}`));
+        const tables = await pool.query("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' ORDER BY table_name;");
+        assert.deepEqual(tables.rows.map(row => row.table_name), ['schema_migrations']);
+        assert.deepEqual(await migrateUp(pool, { log: quiet }), names);
+    });
+
+    it('annotates and indexes existing proteins the way the application does', async () => {
+        await migrateUp(pool, { log: quiet });
+        const { protein_id } = await createProteinWithFragments(createPostgresStore(pool, { migrate: false }), {
+            name: 'existing', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length,
+            fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }, ownerId: 'user-001'
+        }, SEQUENCE);
+        const rows = async query => (await pool.query(query, [protein_id])).rows;
+        const motifHits = () => rows(`
+            SELECT motif_definition_id, motif_pattern, motif_type, start_position, end_position, score
+            FROM protein_motifs WHERE protein_id = $1 ORDER BY start_position, end_position, motif_type;`);
+        const fragmentMotifs = () => rows(`
+            SELECT m.fragment_id, m.motif_definition_id, m.motif_pattern, m.motif_type, m.start_position, m.end_position, m.confidence_score
+            FROM motifs m JOIN fragments f ON f.fragment_id = m.fragment_id
+            WHERE f.protein_id = $1 ORDER BY m.fragment_id, m.start_position, m.end_position, m.motif_type;`);
+        const kmers = () => rows("SELECT kmer, positions FROM protein_kmers WHERE protein_id = $1 ORDER BY kmer;");
+        const stored = { hits: await motifHits(), motifs: await fragmentMotifs(), kmers: await kmers() };
+        assert.ok(stored.hits.length > 0);
+        assert.deepEqual(stored.kmers.find(row => row.kmer === 'KQR'), { kmer: 'KQR', positions: [7] });
+
+        await migrateDown(pool, { count: names.length - 4, log: quiet });
+        await migrateUp(pool, { log: quiet });
+
+        assert.deepEqual(await motifHits(), stored.hits);
+        assert.deepEqual(await fragmentMotifs(), stored.motifs);
+        assert.deepEqual(await kmers(), stored.kmers);
+    });
+
+    it('records the migrations of a database migrated by hand without running them again', async () => {
+        await migrateUp(pool, { log: quiet });
+        const { protein_id } = await createProteinWithFragments(createPostgresStore(pool, { migrate: false }), {
+            name: 'existing', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length,
+            fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }, ownerId: 'user-001'
+        }, SEQUENCE);
+        // What 004 would annotate and 008 would issue a key for when run again
+        await pool.query("DELETE FROM protein_motifs WHERE protein_id = $1;", [protein_id]);
+        await pool.query("UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP;");
+        const motifs = await count('motifs');
+        // Before schema_migrations existed
+        await pool.query("DROP TABLE schema_migrations;");
+
+        const logged = [];
+        assert.deepEqual(await migrateUp(pool, { log: line => logged.push(line) }), []);
+
+        assert.deepEqual(await status(), names.map(name => `applied ${name}`));
+        assert.equal(logged.length, names.length);
+        assert.equal(await count('api_keys'), 1);
+        assert.equal(await count('protein_motifs'), 0);
+        assert.equal(await count('motifs'), motifs);
+    });
+
+    it('runs only the migrations whose changes a database migrated by hand lacks', async () => {
+        await migrateUp(pool, { to: 7, log: quiet });
+        await pool.query("DROP TABLE schema_migrations;");
+
+        assert.deepEqual(await migrateUp(pool, { log: quiet }), names.slice(8));
+        assert.deepEqual(await status(), names.map(name => `applied ${name}`));
+        assert.equal(await count('api_keys'), 1);
+    });
+
+    it('leaves the baseline to the first run only', async () => {
+        await migrateUp(pool, { to: 7, log: quiet });
+        // Created by hand after the migrations were recorded
+        await pool.query("CREATE TABLE api_keys (key_id UUID PRIMARY KEY, user_id VARCHAR(50), revoked_at TIMESTAMP);");
+
+        await assert.rejects(migrateUp(pool, { log: quiet }), /008-api-keys/);
+    });
+});
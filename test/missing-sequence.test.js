@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { backends } = require('./helpers/backends');
+const { createProteinWithFragments, calculateMolecularWeight, getMotifDefinitions, rescanMotif } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+
+// A protein migration 001 could not rebuild keeps its metadata and fragments but no sequence
+async function insertWithoutSequence(store, fields = {}) {
+    const protein = await store.proteins.insert({
+        name: 'unrecoverable', description: null, sequence: null, sequence_length: SEQUENCE.length,
+        molecular_weight: calculateMolecularWeight(SEQUENCE), fragmentation, owner_id: 'user-001', ...fields
+    });
+    await store.fragments.insertMany(protein.protein_id, [{ sequence: SEQUENCE.slice(0, 15), start_position: 0, end_position: 15, secondary_structure: 'C'.repeat(15), confidence_scores: Array(15).fill(0.5) }]);
+    return protein;
+}
+
+describe('proteins without a stored sequence', () => {
+    let server;
+    let missing;
+    let variant;
+    let complete;
+
+    before(async () => {
+        server = await startServer(async store => {
+            missing = await insertWithoutSequence(store);
+            // Indexed before its sequence was lost, the similarity search still finds it
+            await store.kmers.insert(missing.protein_id, [{ kmer: 'MKT', positions: [0] }, { kmer: 'KTA', positions: [1] }]);
+            variant = await store.proteins.insert({
+                name: 'variant', description: null, sequence: 'MGTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ', sequence_length: SEQUENCE.length,
+                molecular_weight: 1, fragmentation, owner_id: 'user-001', parent_protein_id: missing.protein_id, variant: 'p.Lys2Gly'
+            });
+            complete = await createProteinWithFragments(store, {
+                name: 'complete', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE),
+                sequenceLength: SEQUENCE.length, fragmentation, ownerId: 'user-001'
+            }, SEQUENCE);
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    async function assertConflict(method, route, options) {
+        const response = await server.request(method, route, options);
+        assert.equal(response.status, 409, `${method} ${route}: ${JSON.stringify(response.body)}`);
+        assert.match(response.body.error, /has no stored sequence/);
+    }
+
+    it('still serves the protein and its fragments', async () => {
+        const protein = await server.request('GET', `/api/proteins/${missing.protein_id}`);
+        assert.equal(protein.status, 200);
+        assert.equal(protein.body[0].sequence, null);
+        assert.equal((await server.request('GET', `/api/proteins/${missing.protein_id}/fragments`)).status, 200);
+    });
+
+    it('refuses properties', async () => {
+        await assertConflict('GET', `/api/proteins/${missing.protein_id}/properties`);
+    });
+
+    it('refuses the structure', async () => {
+        await assertConflict('GET', `/api/proteins/${missing.protein_id}/structure`);
+        await assertConflict('GET', `/api/proteins/${missing.protein_id}/structure`, { headers: { Accept: 'image/svg+xml' } });
+    });
+
+    it('refuses downloads in every format', async () => {
+        for(const format of ['txt', 'fasta', 'genbank', 'json', 'csv']) {
+            await assertConflict('GET', `/api/proteins/${missing.protein_id}/download?format=${format}`);
+        }
+    });
+
+    it('refuses the digest', async () => {
+        await assertConflict('GET', `/api/proteins/${missing.protein_id}/digest`);
+    });
+
+    it('refuses new variants', async () => {
+        await assertConflict('POST', `/api/proteins/${missing.protein_id}/variants`, { body: { variant: 'p.Lys2Gly' } });
+    });
+
+    it('refuses the diff of a variant whose parent has no sequence', async () => {
+        await assertConflict('GET', `/api/proteins/${variant.protein_id}/diff`);
+    });
+
+    it('refuses alignments against it', async () => {
+        await assertConflict('POST', '/api/align', { body: { a: { proteinId: missing.protein_id }, b: { sequence: SEQUENCE } } });
+    });
+
+    it('refuses to re-fragment it, keeping its fragments', async () => {
+        await assertConflict('POST', `/api/proteins/${missing.protein_id}/refragment`, { body: { strategy: 'sliding', windowSize: 10, stepSize: 5 } });
+        await assertConflict('POST', `/api/proteins/${missing.protein_id}/refragment?async=true`, { body: { strategy: 'sliding', windowSize: 10, stepSize: 5 } });
+
+        const fragments = await server.request('GET', `/api/proteins/${missing.protein_id}/fragments`);
+        assert.equal(fragments.body.items.length, 1);
+    });
+
+    it('leaves it out of similarity hits', async () => {
+        const response = await server.request('POST', '/api/proteins/similar', { body: { sequence: SEQUENCE } });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.hits.map(hit => hit.proteinId), [complete.protein_id]);
+    });
+
+    it('leaves it out of FASTA exports', async () => {
+        const response = await server.request('GET', '/api/proteins/export');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.match(/^>.*$/gm).map(header => header.includes('complete') || header.includes('variant')), [true, true]);
+    });
+});
+
+for(const backend of backends) {
+    describe(`rescanning proteins without a stored sequence: ${backend.name}`, { skip: backend.skip }, () => {
+        it('scans the other proteins', async () => {
+            const store = await backend.createStore();
+            try {
+                await insertWithoutSequence(store);
+                const { protein_id } = await createProteinWithFragments(store, {
+                    name: 'complete', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE),
+                    sequenceLength: SEQUENCE.length, fragmentation, ownerId: 'user-001'
+                }, SEQUENCE);
+                const definition = (await getMotifDefinitions(store))[0];
+
+                const result = await rescanMotif(store, definition, 'admin-user-001');
+
+                assert.equal(result.proteinsScanned, 1);
+                assert.ok(await store.proteins.get(protein_id));
+            } finally {
+                await store.close();
+            }
+        });
+    });
+}
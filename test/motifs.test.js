@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { prositeToRegExp, findProteinMotifs, getMotifDefinitions, createProteinWithFragments, rescanMotif, calculateMolecularWeight } = require('../lib');
+
+// Prolines have the highest structure confidence of all residues, 1.15
+const PROLINE_RICH = 'MKTAYIAKQRPPPPPPPPQISFVKSHFSRQLEERLGLIEVQ';
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+
+describe('findProteinMotifs', () => {
+    it('keeps scores within [0, 1] for a proline-rich motif', () => {
+        const definitions = [{ motif_definition_id: 'd-1', name: 'Proline run', type: 'custom', regex: prositeToRegExp('P-P-P') }];
+        const hits = findProteinMotifs(PROLINE_RICH, definitions);
+
+        assert.ok(hits.length > 0);
+        for(const hit of hits) {
+            assert.equal(hit.match, 'PPP');
+            assert.equal(hit.score, 1);
+        }
+    });
+});
+
+for(const backend of backends) {
+    describe(`proline-rich motifs: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+            await store.motifs.insertDefinition({ name: 'Proline run', type: 'custom', pattern: 'P-P-P', description: null });
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('stores a protein whose motif hits are on a run of prolines', async () => {
+            const { protein_id } = await createProteinWithFragments(store, {
+                name: 'proline rich', description: null, molecularWeight: calculateMolecularWeight(PROLINE_RICH),
+                sequenceLength: PROLINE_RICH.length, fragmentation, ownerId: 'user-001'
+            }, PROLINE_RICH);
+
+            const hits = (await store.motifs.listProteinHits(protein_id)).filter(hit => hit.motif_type === 'Proline run');
+            assert.equal(hits.length, 6);
+            assert.ok(hits.every(hit => hit.score === 1));
+        });
+
+        it('rescans stored proteins with a proline motif', async () => {
+            const { protein_id } = await createProteinWithFragments(store, {
+                name: 'proline rich', description: null, molecularWeight: calculateMolecularWeight(PROLINE_RICH),
+                sequenceLength: PROLINE_RICH.length, fragmentation, ownerId: 'user-001'
+            }, PROLINE_RICH);
+            const definition = (await getMotifDefinitions(store)).find(d => d.name === 'Proline run');
+
+            const result = await rescanMotif(store, definition, 'admin-user-001');
+            assert.equal(result.hits, 6);
+            assert.ok(await store.motifs.countProteinHits(protein_id) >= 6);
+        });
+    });
+}
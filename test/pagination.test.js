@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { parsePagination, createProteinWithFragments, calculateMolecularWeight } = require('../lib');
+const { BadRequestError } = require('../error');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+
+describe('parsePagination', () => {
+    it('takes offset 0 as the first page', () => {
+        assert.deepEqual(parsePagination({ offset: '0', limit: '2' }), { limit: 2, cursor: null, includeTotal: false });
+        assert.deepEqual(parsePagination({ offset: 0 }), parsePagination({}));
+    });
+
+    it('rejects any other offset', () => {
+        for(const offset of ['1', '20', '-1', 'abc', 5]) {
+            assert.throws(() => parsePagination({ offset }), error => error instanceof BadRequestError && /follow nextCursor/.test(error.message));
+        }
+    });
+});
+
+describe('deprecated offset on paginated routes', () => {
+    let server;
+    let proteinId;
+
+    before(async () => {
+        server = await startServer(async store => {
+            for(const name of ['first', 'second', 'third']) {
+                ({ protein_id: proteinId } = await createProteinWithFragments(store, {
+                    name, description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length,
+                    fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }, ownerId: 'user-001'
+                }, SEQUENCE));
+            }
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('serves the first page for offset=0 and flags it as deprecated', async () => {
+        for(const route of ['/api/proteins?limit=2', '/api/proteins/search?limit=2', `/api/proteins/${proteinId}/fragments?limit=2`]) {
+            const withOffset = await server.request('GET', `${route}&offset=0`);
+            const withoutOffset = await server.request('GET', route);
+
+            assert.equal(withOffset.status, 200, route);
+            assert.deepEqual(withOffset.body.items, withoutOffset.body.items);
+            assert.equal(withOffset.headers.get('deprecation'), 'true');
+            assert.match(withOffset.headers.get('warning'), /offset is deprecated/);
+            assert.equal(withoutOffset.headers.get('deprecation'), null);
+        }
+
+        const search = await server.request('POST', '/api/proteins/search', { body: { limit: 2, offset: 0 } });
+        assert.equal(search.status, 200);
+        assert.deepEqual(search.body.items.map(item => item.name), ['first', 'second']);
+        assert.equal(search.headers.get('deprecation'), 'true');
+    });
+
+    it('rejects later pages by offset', async () => {
+        const response = await server.request('GET', '/api/proteins?limit=2&offset=2');
+
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /follow nextCursor/);
+        assert.equal(response.headers.get('deprecation'), 'true');
+    });
+});
+
+describe('FASTA export', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(async store => {
+            for(const name of ['first', 'second', 'third']) {
+                await createProteinWithFragments(store, {
+                    name, description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length,
+                    fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }, ownerId: 'user-001'
+                }, SEQUENCE);
+            }
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('exports every match in one file', async () => {
+        const response = await server.request('GET', '/api/proteins/export?name=ir');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.match(/^>/gm).length, 2);
+    });
+
+    it('rejects pagination parameters instead of ignoring them', async () => {
+        for(const query of ['limit=1', 'cursor=abc', 'includeTotal=true', 'offset=0', 'limit=1&includeTotal=true']) {
+            const response = await server.request('GET', `/api/proteins/export?${query}`);
+
+            assert.equal(response.status, 400, query);
+            assert.match(response.body.error, /not paginated/);
+        }
+    });
+});
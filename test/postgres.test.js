@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { MAX_QUERY_PARAMETERS, insertRows } = require('../storage/postgres');
+
+const postgres = backends.find(backend => backend.name === 'postgres');
+
+// Stands in for a pg client, recording every query and returning one row per VALUES tuple
+function recordingClient() {
+    const queries = [];
+    return {
+        queries,
+        async query(text, params) {
+            queries.push({ text, params });
+            return { rows: Array.from({ length: (text.match(/\),? ?\(/g) || []).length + 1 }, () => ({ chunk: queries.length })) };
+        }
+    };
+}
+
+describe('insertRows', () => {
+    it('inserts rows in one statement while they fit in the parameter limit', async () => {
+        const db = recordingClient();
+        await insertRows(db, 'protein_kmers', ['protein_id', 'kmer', 'positions'], [['p', 'AAA', [0]], ['p', 'AAC', [1]]]);
+
+        assert.equal(db.queries.length, 1);
+        assert.equal(db.queries[0].text, 'INSERT INTO protein_kmers(protein_id, kmer, positions) VALUES ($1, $2, $3), ($4, $5, $6);');
+        assert.deepEqual(db.queries[0].params, ['p', 'AAA', [0], 'p', 'AAC', [1]]);
+    });
+
+    it('splits rows above the parameter limit into statements that each fit', async () => {
+        const columns = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+        const perStatement = Math.floor(MAX_QUERY_PARAMETERS / columns.length);
+        const rows = Array.from({ length: perStatement * 2 + 5 }, (_, i) => columns.map(column => `${column}${i}`));
+        const db = recordingClient();
+
+        const inserted = await insertRows(db, 't', columns, rows, 'a');
+
+        assert.deepEqual(db.queries.map(q => q.params.length), [perStatement * columns.length, perStatement * columns.length, 5 * columns.length]);
+        assert.ok(db.queries.every(q => q.params.length <= MAX_QUERY_PARAMETERS));
+        assert.deepEqual(db.queries.flatMap(q => q.params), rows.flat());
+        assert.ok(db.queries.every(q => q.text.startsWith('INSERT INTO t(a, b, c, d, e, f, g) VALUES ($1, $2,') && q.text.endsWith(' RETURNING a;')));
+        assert.equal(inserted.length, rows.length);
+    });
+});
+
+describe('insertRows on PostgreSQL', { skip: postgres.skip }, () => {
+    let store;
+
+    beforeEach(async () => {
+        store = await postgres.createStore();
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    it('stores more rows than one statement can carry', async () => {
+        const protein = await store.proteins.insert({
+            name: 'long', description: null, sequence: 'MKT', sequence_length: 3, molecular_weight: 1,
+            fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }
+        });
+        // 3 parameters per k-mer, 22000 k-mers need 66000 parameters
+        const letters = 'ACDEFGHIKLMNPQRSTVWY';
+        const kmers = Array.from({ length: 22000 }, (_, i) => ({
+            kmer: letters[i % 20] + letters[Math.floor(i / 20) % 20] + letters[Math.floor(i / 400) % 20] + (i >= 8000 ? letters[Math.floor(i / 8000)] : ''),
+            positions: [i]
+        }));
+        assert.ok(kmers.length * 3 > MAX_QUERY_PARAMETERS);
+
+        await store.kmers.insert(protein.protein_id, kmers);
+
+        const count = await store.pool.query('SELECT COUNT(*)::int AS count FROM protein_kmers WHERE protein_id = $1;', [protein.protein_id]);
+        assert.equal(count.rows[0].count, kmers.length);
+        assert.deepEqual(await store.kmers.find([kmers[21999].kmer]), [{ protein_id: protein.protein_id, kmer: kmers[21999].kmer, positions: [21999] }]);
+    });
+});
@@ -0,0 +1,380 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { startServer } = require('./helpers/server');
+const {
+    createProteinWithFragments, calculateMolecularWeight, parseProteinSearch, findSimilarProteins,
+    predictSecondaryStructure, calculateConfidenceScore, generateStructureSVG,
+    normalizeFragmentationStrategy, fragmentSequence, refragmentProtein,
+    calculateProperties, calculateMonoisotopicMass, calculateExtinctionCoefficient, calculateNetCharge
+} = require('../lib');
+const { BadRequestError, ConflictError } = require('../error');
+
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+
+// Distinct sequences so every protein's fragments and k-mers can be told apart
+function sequenceFor(i) {
+    const residues = 'ACDEFGHIKLMNQRSTVWY';
+    return `MNGT${residues[i % residues.length]}${residues[Math.floor(i / residues.length) % residues.length]}SAKQRQISFVKSHFSRQLEERLG`;
+}
+
+function proteinData(name, sequence) {
+    return { name, description: null, molecularWeight: calculateMolecularWeight(sequence), sequenceLength: sequence.length, fragmentation, ownerId: 'user-001' };
+}
+
+// A store whose transactions hand `override(tx)` to the callback instead of the repositories
+function storeWith(store, override) {
+    return { ...store, transaction: fn => store.transaction(tx => fn(override(tx))) };
+}
+
+for(const backend of backends) {
+    describe(`creating proteins: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('keeps parallel creates apart, failed ones leave nothing behind', async () => {
+            const count = 24;
+            // Every fourth create fails on its fragment insert, after the protein row was written
+            const failing = storeWith(store, tx => ({
+                ...tx,
+                fragments: { ...tx.fragments, insertMany: (proteinId, rows) => tx.fragments.insertMany(proteinId, rows.map(row => ({ ...row, secondary_structure: 'X' }))) }
+            }));
+
+            const results = await Promise.allSettled(Array.from({ length: count }, (_, i) => {
+                const target = i % 4 === 3 ? failing : store;
+                return createProteinWithFragments(target, proteinData(`protein ${i}`, sequenceFor(i)), sequenceFor(i));
+            }));
+
+            const created = results.filter(r => r.status === 'fulfilled').map(r => r.value.protein_id);
+            assert.equal(created.length, count - count / 4);
+            assert.ok(results.filter(r => r.status === 'rejected').every(r => r.reason.message === 'Fail to create protein with fragments'));
+
+            const proteins = await store.proteins.search(parseProteinSearch({}));
+            assert.deepEqual(proteins.map(p => p.protein_id).sort(), [...created].sort());
+
+            for(const protein of proteins) {
+                const i = Number(protein.name.split(' ')[1]);
+                assert.equal(protein.sequence, sequenceFor(i));
+
+                const fragments = await store.fragments.listByProtein(protein.protein_id);
+                assert.ok(fragments.length > 0);
+                assert.ok(fragments.every(f => protein.sequence.slice(f.start_position, f.end_position) === f.sequence));
+
+                const history = await store.audit.listByProtein(protein.protein_id);
+                assert.deepEqual(history.map(entry => entry.action), ['create']);
+            }
+
+            // Only the created proteins are in the similarity index
+            const indexed = new Set((await store.kmers.find(['MNG'])).map(k => k.protein_id));
+            assert.deepEqual([...indexed].sort(), [...created].sort());
+        });
+
+        it('leaves no protein row when the motif insert fails', async () => {
+            const sequence = sequenceFor(0);
+            const failing = storeWith(store, tx => ({
+                ...tx,
+                motifs: { ...tx.motifs, insertFragmentMotifs: rows => tx.motifs.insertFragmentMotifs(rows.map(row => ({ ...row, confidence_score: 2 }))) }
+            }));
+
+            await assert.rejects(createProteinWithFragments(failing, proteinData('failing', sequence), sequence), /Fail to create protein with fragments/);
+
+            assert.deepEqual(await store.proteins.listAll(), []);
+            assert.deepEqual(await store.fragments.listAll(), []);
+            assert.deepEqual(await store.kmers.find(['MNG']), []);
+            assert.deepEqual(await store.audit.list(), []);
+        });
+
+        it('leaves no protein row when the protein motif insert fails', async () => {
+            const sequence = sequenceFor(0);
+            const failing = storeWith(store, tx => ({
+                ...tx,
+                motifs: { ...tx.motifs, insertProteinHits: async () => { throw new Error('insert failed'); } }
+            }));
+
+            await assert.rejects(
+                createProteinWithFragments(failing, proteinData('failing', sequence), sequence),
+                error => /Fail to create protein with fragments/.test(error.message) && error.cause.message === 'insert failed'
+            );
+            assert.deepEqual(await store.proteins.listAll(), []);
+        });
+
+        it('passes request errors through unchanged', async () => {
+            const sequence = sequenceFor(0);
+            const conflict = new ConflictError('taken');
+            const failing = storeWith(store, tx => ({
+                ...tx,
+                fragments: { ...tx.fragments, insertMany: async () => { throw conflict; } }
+            }));
+
+            await assert.rejects(createProteinWithFragments(failing, proteinData('failing', sequence), sequence), error => error === conflict);
+            assert.deepEqual(await store.proteins.listAll(), []);
+        });
+    });
+
+    describe(`similar proteins: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        async function create(name, sequence) {
+            const { protein_id } = await createProteinWithFragments(store, proteinData(name, sequence), sequence);
+            return protein_id;
+        }
+
+        it('ranks proteins by shared k-mers and measures identity along the best diagonal', async () => {
+            const query = sequenceFor(0);
+            const same = await create('same', query);
+            const shifted = await create('shifted', `GGG${query.slice(0, 20)}`);
+            await create('unrelated', 'WWWWWWWWWWWWWWWWWWWW');
+
+            const hits = await findSimilarProteins(store, query);
+
+            assert.deepEqual(hits.map(hit => hit.name), ['same', 'shifted']);
+            assert.equal(hits[0].proteinId, same);
+            assert.equal(hits[0].score, 1);
+            assert.deepEqual(hits[0].bestDiagonal, { offset: 0, kmerHits: query.length - 2 });
+            assert.equal(hits[0].percentIdentity, 100);
+            assert.equal(hits[1].proteinId, shifted);
+            assert.equal(hits[1].bestDiagonal.offset, 3);
+            assert.equal(hits[1].alignedLength, 20);
+            assert.equal(hits[1].percentIdentity, 100);
+        });
+
+        it('drops proteins sharing fewer than minSharedKmers', async () => {
+            const query = sequenceFor(0);
+            await create('same', query);
+            await create('partial', `WWWW${query.slice(0, 5)}WWWW`);
+
+            assert.deepEqual((await findSimilarProteins(store, query, { minSharedKmers: 4 })).map(hit => hit.name), ['same']);
+        });
+
+        it('fills the limit with live proteins when better matches are in the trash', async () => {
+            const query = sequenceFor(0);
+            const trashed = await create('trashed', query);
+            await create('close', `${query.slice(0, 25)}WW`);
+            await create('further', `${query.slice(0, 15)}WWWW`);
+            await store.proteins.trash(trashed, 'user-001');
+
+            assert.deepEqual((await findSimilarProteins(store, query, { limit: 1 })).map(hit => hit.name), ['close']);
+            assert.deepEqual((await findSimilarProteins(store, query, { limit: 2 })).map(hit => hit.name), ['close', 'further']);
+        });
+    });
+}
+
+describe('secondary structure', () => {
+    it('predicts the state with the highest propensity for each residue', () => {
+        // E favours helices, V and I strands, G, N and P coils
+        assert.equal(predictSecondaryStructure('AEVIGNP'), 'HHEECCC');
+        assert.deepEqual(calculateConfidenceScore('AEVIGNP').map(score => Number(score.toFixed(2))), [0.59, 0.43, 0.64, 0.52, 0.81, 0.45, 1.15]);
+    });
+
+    it('draws one colored cell per residue in rows of the given length with a ruler', () => {
+        const svg = generateStructureSVG('AEVIGNPAEVIGNP', 'HHEECCCHHEECCC', 10);
+        const cells = [...svg.matchAll(/<rect x="\d+" y="(\d+)" width="10" height="20" fill="(\w+)"/g)];
+
+        assert.match(svg, /^<svg width="180" height="150" /);
+        assert.equal(cells.length, 14);
+        assert.deepEqual(cells.slice(0, 7).map(cell => cell[2]), ['red', 'red', 'yellow', 'yellow', 'gray', 'gray', 'gray']);
+        assert.deepEqual([...new Set(cells.map(cell => cell[1]))], ['18', '78']);
+        // Ticks at the start of each row and every tenth residue
+        assert.deepEqual([...svg.matchAll(/font-size="8" text-anchor="middle">(\d+)</g)].map(tick => Number(tick[1])), [1, 10, 11]);
+    });
+
+    describe('route', () => {
+        const sequence = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+        let server;
+        let proteinId;
+
+        before(async () => {
+            server = await startServer(async store => {
+                ({ protein_id: proteinId } = await createProteinWithFragments(store, proteinData('structured', sequence), sequence));
+            });
+        });
+
+        after(async () => {
+            await server.stop();
+        });
+
+        it('returns the prediction per residue as JSON by default', async () => {
+            const response = await server.request('GET', `/api/proteins/${proteinId}/structure`);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.secondaryStructure, predictSecondaryStructure(sequence));
+            assert.equal(response.body.residues.length, sequence.length);
+            assert.deepEqual(response.body.residues[0], {
+                position: 1, residue: 'M', structure: response.body.secondaryStructure[0], confidence: calculateConfidenceScore('M')[0]
+            });
+        });
+
+        it('returns an SVG when asked for one and 406 for other types', async () => {
+            const svg = await server.request('GET', `/api/proteins/${proteinId}/structure`, { headers: { Accept: 'image/svg+xml' } });
+            assert.equal(svg.status, 200);
+            assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+            assert.equal(svg.body, generateStructureSVG(sequence, predictSecondaryStructure(sequence)));
+
+            const text = await server.request('GET', `/api/proteins/${proteinId}/structure`, { headers: { Accept: 'text/plain' } });
+            assert.equal(text.status, 406);
+        });
+
+        it('answers 404 for an unknown protein', async () => {
+            const response = await server.request('GET', '/api/proteins/00000000-0000-0000-0000-000000000000/structure');
+            assert.equal(response.status, 404);
+        });
+    });
+});
+
+describe('fragmentation strategies', () => {
+    it('fills in defaults and validates each strategy', () => {
+        assert.deepEqual(normalizeFragmentationStrategy(undefined), { strategy: 'sliding', windowSize: 15, stepSize: 5 });
+        assert.deepEqual(normalizeFragmentationStrategy({ windowSize: '8' }), { strategy: 'sliding', windowSize: 8, stepSize: 5 });
+        assert.deepEqual(normalizeFragmentationStrategy({ strategy: 'tiles' }), { strategy: 'tiles', tileSize: 15 });
+        assert.deepEqual(normalizeFragmentationStrategy({ strategy: 'enzyme', enzyme: 'glu-c', windowSize: 4 }), { strategy: 'enzyme', enzyme: 'glu-c' });
+
+        for(const input of [
+            'sliding', [], { windowSize: 4, stepSize: 5 }, { windowSize: 1 }, { stepSize: 0 }, { strategy: 'tiles', tileSize: 2.5 },
+            { strategy: 'enzyme', enzyme: 'pepsin' }, { strategy: 'random' }
+        ]) {
+            assert.throws(() => normalizeFragmentationStrategy(input), BadRequestError, JSON.stringify(input));
+        }
+    });
+
+    it('splits sequences into sliding windows, tiles or enzyme peptides', () => {
+        const ranges = strategy => fragmentSequence('MKTAYIAKQR', strategy).map(({ start, end }) => [start, end]);
+
+        assert.deepEqual(ranges({ strategy: 'sliding', windowSize: 4, stepSize: 3 }), [[0, 4], [3, 7], [6, 10]]);
+        assert.deepEqual(ranges({ strategy: 'sliding', windowSize: 12, stepSize: 1 }), []);
+        assert.deepEqual(ranges({ strategy: 'tiles', tileSize: 4 }), [[0, 4], [4, 8], [8, 10]]);
+        assert.deepEqual(ranges({ strategy: 'enzyme', enzyme: 'trypsin' }), [[0, 2], [2, 8], [8, 10]]);
+    });
+});
+
+for(const backend of backends) {
+    describe(`re-fragmenting proteins: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        it('replaces the fragments, records the strategy and audits the change', async () => {
+            const sequence = sequenceFor(0);
+            const { protein_id } = await createProteinWithFragments(store, proteinData('tiled', sequence), sequence);
+            const before = await store.fragments.listByProtein(protein_id);
+
+            const tiles = { strategy: 'tiles', tileSize: 7 };
+            await refragmentProtein(store, await store.proteins.get(protein_id), tiles, 'user-001');
+
+            const fragments = await store.fragments.listByProtein(protein_id);
+            assert.deepEqual(fragments.map(f => [f.start_position, f.end_position]), [[0, 7], [7, 14], [14, 21], [21, 28], [28, sequence.length]]);
+            assert.ok(fragments.every(f => f.sequence === sequence.slice(f.start_position, f.end_position)));
+            assert.deepEqual((await store.proteins.get(protein_id)).fragmentation, tiles);
+
+            const [, refragment] = await store.audit.listByProtein(protein_id);
+            assert.equal(refragment.action, 'refragment');
+            assert.equal(refragment.user_id, 'user-001');
+            assert.deepEqual(refragment.changes, {
+                fragmentation: { before: fragmentation, after: tiles },
+                fragment_count: { before: before.length, after: 5 }
+            });
+        });
+
+        it('keeps the old fragments when the new ones cannot be stored', async () => {
+            const sequence = sequenceFor(0);
+            const { protein_id } = await createProteinWithFragments(store, proteinData('kept', sequence), sequence);
+            const before = await store.fragments.listByProtein(protein_id);
+            const failing = storeWith(store, tx => ({
+                ...tx,
+                fragments: { ...tx.fragments, insertMany: async () => { throw new Error('insert failed'); } }
+            }));
+
+            await assert.rejects(refragmentProtein(failing, await store.proteins.get(protein_id), { strategy: 'tiles', tileSize: 10 }, 'user-001'));
+
+            assert.deepEqual(await store.fragments.listByProtein(protein_id), before);
+            assert.deepEqual((await store.proteins.get(protein_id)).fragmentation, fragmentation);
+            assert.equal((await store.audit.listByProtein(protein_id)).length, 1);
+        });
+    });
+}
+
+describe('physicochemical properties', () => {
+    const UBIQUITIN = 'MQIFVKTLTGKTITLEVEPSDTIENVKAKIQDKEGIPPDQQRLIFAGKQLEDGRTLSDYNIQKESTLHLVLRLRGG';
+    const round = (value, digits) => Number(value.toFixed(digits));
+
+    it('subtracts one water per peptide bond from the residue masses', () => {
+        assert.equal(round(calculateMolecularWeight('G'), 3), 75.07);
+        assert.equal(round(calculateMolecularWeight('GG'), 3), round(2 * 75.07 - 18.015, 3));
+        assert.equal(round(calculateMonoisotopicMass('GG'), 4), 132.0535);
+    });
+
+    it('matches the ProtParam values for ubiquitin', () => {
+        const properties = calculateProperties(UBIQUITIN);
+
+        assert.equal(round(properties.molecularWeight, 1), 8564.8);
+        assert.equal(round(properties.isoelectricPoint, 2), 6.56);
+        assert.equal(properties.extinctionCoefficient, 1490);
+        assert.equal(round(properties.gravy, 3), -0.489);
+        assert.equal(round(properties.aliphaticIndex, 2), 100);
+        assert.equal(round(properties.instabilityIndex, 2), 36.06);
+    });
+
+    it('pairs cysteines into cystines for the oxidized extinction coefficient', () => {
+        assert.deepEqual(calculateExtinctionCoefficient('WYCCC'), { reduced: 5500 + 1490, oxidized: 5500 + 1490 + 125 });
+    });
+
+    describe('route', () => {
+        let server;
+        let proteinId;
+
+        before(async () => {
+            server = await startServer(async store => {
+                ({ protein_id: proteinId } = await createProteinWithFragments(store, proteinData('ubiquitin', UBIQUITIN), UBIQUITIN));
+            });
+        });
+
+        after(async () => {
+            await server.stop();
+        });
+
+        it('reports the properties with the net charge at the given pH', async () => {
+            const response = await server.request('GET', `/api/proteins/${proteinId}/properties?pH=5`);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.averageMass, calculateMolecularWeight(UBIQUITIN));
+            assert.deepEqual(response.body.netCharge, { pH: 5, charge: calculateNetCharge(UBIQUITIN, 5) });
+            assert.deepEqual(response.body.extinctionCoefficient, { reduced: 1490, oxidized: 1490 });
+            assert.equal(response.body.stable, true);
+            assert.deepEqual(response.body.composition.G, { count: 6, percent: 6 / UBIQUITIN.length * 100 });
+        });
+
+        it('stores the properties on the protein for search', async () => {
+            const response = await server.request('GET', `/api/proteins/search?isoelectricPoint[gte]=6.5&isoelectricPoint[lte]=6.6`);
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.items.map(item => item.name), ['ubiquitin']);
+        });
+
+        it('rejects a pH outside 0 to 14', async () => {
+            for(const pH of ['15', '-1', 'acid']) {
+                const response = await server.request('GET', `/api/proteins/${proteinId}/properties?pH=${pH}`);
+                assert.equal(response.status, 400, pH);
+            }
+        });
+    });
+});
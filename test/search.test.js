@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { parseProteinSearch } = require('../lib');
+const { BadRequestError } = require('../error');
+
+describe('parseProteinSearch', () => {
+    it('turns ranges, motifs and sort keys into storage filters', () => {
+        const search = parseProteinSearch({
+            name: 'kinase',
+            contains: 'ngt',
+            molecularWeight: { gte: '1000', lt: 5000 },
+            gravy: -0.5,
+            createdAt: { gte: '2025-01-01' },
+            motif: ['N-glycosylation site', 'n-glycosylation SITE', 'Casein kinase II phosphorylation site'],
+            motifMatch: 'all',
+            sort: 'gravy:desc,name'
+        });
+
+        assert.equal(search.contains, 'NGT');
+        assert.deepEqual(search.comparisons, [
+            { column: 'molecular_weight', op: '>=', value: 1000 },
+            { column: 'molecular_weight', op: '<', value: 5000 },
+            { column: 'gravy', op: '=', value: -0.5 },
+            { column: 'created_at', op: '>=', value: '2025-01-01T00:00:00.000Z' }
+        ]);
+        assert.deepEqual(search.motifGroups, [['n-glycosylation site'], ['casein kinase ii phosphorylation site']]);
+        assert.deepEqual(search.sort.map(key => [key.column, key.order]), [
+            ['gravy', 'DESC'], ['name', 'ASC'], ['created_at', 'ASC'], ['protein_id', 'ASC']
+        ]);
+    });
+
+    it('groups motifs into one group with motifMatch=any', () => {
+        assert.deepEqual(parseProteinSearch({ motif: ['A', 'B'] }).motifGroups, [['a', 'b']]);
+        assert.deepEqual(parseProteinSearch({}).motifGroups, []);
+    });
+
+    it('rejects unknown parameters and invalid filters', () => {
+        for(const [query, message] of [
+            [[], /Expected a search object/],
+            [{ weight: 5 }, /Unknown search parameters: weight/],
+            [{ name: '' }, /Invalid name parameter/],
+            [{ description: ' ' }, /Invalid description parameter/],
+            [{ contains: 'N1T' }, /Invalid contains parameter/],
+            [{ molecularWeight: { between: 5 } }, /Invalid molecular weight operator/],
+            [{ molecularWeight: {} }, /Invalid molecular weight filter/],
+            [{ sequenceLength: 2.5 }, /Invalid sequence length value/],
+            [{ isoelectricPoint: { gte: -1 } }, /Invalid isoelectric point value/],
+            [{ gravy: 'high' }, /Invalid GRAVY value/],
+            [{ createdAt: 'yesterday' }, /Invalid created at value/],
+            [{ motif: [] }, /Invalid motif parameter/],
+            [{ motif: 'x', motifMatch: 'some' }, /Invalid motifMatch/],
+            [{ motifMatch: 'all' }, /motifMatch requires motif/],
+            [{ sort: 'sequence' }, /Invalid sort field/],
+            [{ sort: 'name:up' }, /Invalid sort direction/]
+        ]) {
+            assert.throws(() => parseProteinSearch(query), error => error instanceof BadRequestError && message.test(error.message), JSON.stringify(query));
+        }
+    });
+});
+
+describe('search routes', () => {
+    let server;
+
+    const PROTEINS = [
+        // No motif
+        ['plain', 'GAGAGAGAGAGAGAGAGAGAGAGA', 'putative membrane transporter'],
+        // N-glycosylation site at NGTA
+        ['glycosylated', 'GAGAGAGANGTAGAGAGAGAGAGA', 'kinase domain'],
+        // N-glycosylation site at NGTA and casein kinase II site at SAAD
+        ['both', 'GAGANGTAGAGASAADGAGAGAGAGAGAGAGA', 'membrane kinase']
+    ];
+
+    before(async () => {
+        server = await startServer();
+        for(const [name, sequence, description] of PROTEINS) {
+            const response = await server.request('POST', '/api/proteins', { body: { name, sequence, description } });
+            assert.equal(response.status, 201);
+        }
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const names = async query => {
+        const response = await server.request('GET', `/api/proteins/search?${query}`);
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        return response.body.items.map(protein => protein.name);
+    };
+
+    it('combines range operators given in the query string', async () => {
+        assert.deepEqual(await names('sequenceLength[gte]=24&sequenceLength[lt]=30'), ['plain', 'glycosylated']);
+        assert.deepEqual(await names('sequenceLength=32'), ['both']);
+        assert.deepEqual(await names('sequenceLength[gt]=24&molecularWeight[lte]=1'), []);
+    });
+
+    it('matches any or all of several motifs', async () => {
+        const glycosylation = 'motif=N-glycosylation%20site';
+        const kinase = 'motif=Casein%20kinase%20II%20phosphorylation%20site';
+
+        assert.deepEqual(await names(glycosylation), ['glycosylated', 'both']);
+        assert.deepEqual(await names(`${glycosylation}&${kinase}`), ['glycosylated', 'both']);
+        assert.deepEqual(await names(`${glycosylation}&${kinase}&motifMatch=all`), ['both']);
+    });
+
+    it('searches descriptions, names and subsequences', async () => {
+        assert.deepEqual(await names('description=membrane'), ['plain', 'both']);
+        assert.deepEqual(await names('description=membrane%20-putative'), ['both']);
+        assert.deepEqual(await names('name=GLYCO'), ['glycosylated']);
+        assert.deepEqual(await names('contains=saad'), ['both']);
+    });
+
+    it('sorts by several keys', async () => {
+        assert.deepEqual(await names('sort=sequence_length:desc,name:desc'), ['both', 'plain', 'glycosylated']);
+        assert.deepEqual(await names('sort=sequence_length,name'), ['glycosylated', 'plain', 'both']);
+    });
+
+    it('takes the same search as a JSON body', async () => {
+        const response = await server.request('POST', '/api/proteins/search', {
+            body: { motif: ['N-glycosylation site'], sequenceLength: { lte: 24 }, sort: ['name:desc'] }
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.items.map(protein => protein.name), ['glycosylated']);
+
+        const text = await server.request('POST', '/api/proteins/search', { headers: { 'Content-Type': 'text/plain' }, body: 'name=plain' });
+        assert.equal(text.status, 400);
+        assert.match(text.body.error, /Expected a JSON body/);
+    });
+
+    it('answers 400 for invalid searches', async () => {
+        for(const query of ['weight=5', 'molecularWeight[gte]=heavy', 'sort=sequence', 'motifMatch=all']) {
+            const response = await server.request('GET', `/api/proteins/search?${query}`);
+            assert.equal(response.status, 400, query);
+            assert.match(response.body.error, /^\[Search Error\]/);
+        }
+    });
+});
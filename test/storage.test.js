@@ -0,0 +1,625 @@
+// Conformance suite: both storage backends must pass the same tests
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { backends } = require('./helpers/backends');
+const { calculateMolecularWeight, hashApiKey, parseProteinSearch, parsePagination } = require('../lib');
+
+const PROTEIN_FIELDS = [
+    'protein_id', 'name', 'description', 'molecular_weight', 'sequence_length', 'created_at', 'updated_at', 'sequence',
+    'fragmentation', 'monoisotopic_mass', 'isoelectric_point', 'extinction_coefficient', 'gravy', 'aliphatic_index',
+    'instability_index', 'owner_id', 'deleted_at', 'deleted_by', 'parent_protein_id', 'variant'
+].sort();
+
+const iso = value => value === null ? null : new Date(value).toISOString();
+// Rows created in one millisecond would tie on created_at in memory
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+function proteinFields(overrides = {}) {
+    const sequence = overrides.sequence || 'MKTAYIAKQRQISFVKSHFSRQ';
+    return {
+        name: 'Test protein',
+        description: null,
+        sequence,
+        sequence_length: sequence.length,
+        molecular_weight: calculateMolecularWeight(sequence),
+        fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 },
+        ...overrides
+    };
+}
+
+function fragmentRows(sequence) {
+    return [
+        { sequence: sequence.slice(0, 10), start_position: 0, end_position: 10, secondary_structure: 'HHHHHCCCCC' },
+        { sequence: sequence.slice(10, 20), start_position: 10, end_position: 20, secondary_structure: 'EEEEECCCCC' }
+    ];
+}
+
+for(const backend of backends) {
+    describe(`storage: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        describe('users', () => {
+            it('seeds the default users', async () => {
+                assert.deepEqual(await store.users.list(), [
+                    { id: 'admin-user-001', name: 'Admin User', role: 'admin' },
+                    { id: 'user-001', name: 'Basic User', role: 'basic' }
+                ]);
+                assert.equal(await store.users.countAdmins(), 1);
+                assert.equal(await store.users.countAdmins({ excluding: 'admin-user-001' }), 0);
+            });
+
+            it('inserts, updates and reads users', async () => {
+                assert.deepEqual(await store.users.insert({ id: 'u-2', name: 'Second', role: 'basic' }), { id: 'u-2', name: 'Second', role: 'basic' });
+                assert.deepEqual(await store.users.update('u-2', { name: 'Renamed', role: 'admin' }), { id: 'u-2', name: 'Renamed', role: 'admin' });
+                assert.deepEqual(await store.users.get('u-2'), { id: 'u-2', name: 'Renamed', role: 'admin' });
+                assert.equal(await store.users.update('missing', { name: 'x', role: 'basic' }), null);
+                assert.equal(await store.users.get('missing'), null);
+            });
+
+            it('deletes keys and webhooks with the user but keeps their proteins and jobs', async () => {
+                await store.apiKeys.insert({ userId: 'user-001', name: 'k', prefix: 'pk_x', keyHash: hashApiKey('pk_x'), scopes: ['read'], expiresAt: null });
+                await store.webhooks.insert({ userId: 'user-001', url: 'https://example.org/hook', events: ['protein.created'], description: null, active: true, secret: 's' });
+                const protein = await store.proteins.insert(proteinFields({ owner_id: 'user-001' }));
+                const job = await store.jobs.insert({ type: 'refragment', payload: {}, userId: 'user-001' });
+
+                await store.users.delete('user-001');
+
+                assert.equal(await store.users.get('user-001'), null);
+                assert.deepEqual(await store.apiKeys.list({ userId: 'user-001', includeRevoked: true }), []);
+                assert.deepEqual(await store.webhooks.list({ userId: 'user-001' }), []);
+                assert.equal((await store.proteins.get(protein.protein_id)).owner_id, null);
+                assert.equal((await store.jobs.get(job.job_id)).user_id, null);
+            });
+        });
+
+        describe('api keys', () => {
+            it('finds keys by hash with their user, marks them used and revokes them', async () => {
+                const inserted = await store.apiKeys.insert({ userId: 'user-001', name: 'ci', prefix: 'pk_abcd', keyHash: hashApiKey('pk_abcd'), scopes: ['read', 'write'], expiresAt: null });
+                assert.deepEqual(inserted.scopes, ['read', 'write']);
+                assert.equal(inserted.last_used_at, null);
+
+                const found = await store.apiKeys.findByHash(hashApiKey('pk_abcd'));
+                assert.equal(found.key_id, inserted.key_id);
+                assert.equal(found.user_name, 'Basic User');
+                assert.equal(found.role, 'basic');
+                assert.equal(await store.apiKeys.findByHash(hashApiKey('pk_other')), null);
+
+                await store.apiKeys.markUsed(inserted.key_id);
+                assert.notEqual((await store.apiKeys.get(inserted.key_id)).last_used_at, null);
+
+                await store.apiKeys.revoke(inserted.key_id);
+                assert.deepEqual(await store.apiKeys.list({ userId: 'user-001' }), []);
+                assert.equal((await store.apiKeys.list({ userId: 'user-001', includeRevoked: true })).length, 1);
+            });
+
+            it('has a bootstrap key for the admin', async () => {
+                const keys = await store.apiKeys.list({ userId: 'admin-user-001' });
+                assert.equal(keys.length, 1);
+                assert.deepEqual(keys[0].scopes, ['read', 'write', 'admin']);
+            });
+        });
+
+        describe('proteins', () => {
+            it('inserts rows with every column and their defaults', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+
+                assert.deepEqual(Object.keys(protein).sort(), PROTEIN_FIELDS);
+                assert.equal(typeof protein.protein_id, 'string');
+                assert.equal(protein.deleted_at, null);
+                assert.equal(protein.owner_id, null);
+                assert.equal(protein.parent_protein_id, null);
+                assert.deepEqual(protein.fragmentation, { strategy: 'sliding', windowSize: 15, stepSize: 5 });
+                assert.deepEqual(await store.proteins.get(protein.protein_id), protein);
+            });
+
+            it('updates fields and the update time', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                await tick();
+
+                const updated = await store.proteins.update(protein.protein_id, { name: 'Renamed', fragmentation: { strategy: 'tiles', tileSize: 10 } });
+                assert.equal(updated.name, 'Renamed');
+                assert.deepEqual(updated.fragmentation, { strategy: 'tiles', tileSize: 10 });
+                assert.ok(iso(updated.updated_at) > iso(protein.updated_at));
+                assert.equal(await store.proteins.update('00000000-0000-0000-0000-000000000000', { name: 'x' }), null);
+            });
+
+            it('moves proteins to the trash and back', async () => {
+                const protein = await store.proteins.insert(proteinFields({ owner_id: 'user-001' }));
+
+                const trashed = await store.proteins.trash(protein.protein_id, 'user-001');
+                assert.equal(trashed.deleted_by, 'user-001');
+                assert.equal(await store.proteins.trash(protein.protein_id, 'user-001'), null);
+                assert.equal(await store.proteins.get(protein.protein_id), null);
+                assert.equal((await store.proteins.get(protein.protein_id, { state: 'trashed' })).protein_id, protein.protein_id);
+                assert.equal((await store.proteins.get(protein.protein_id, { state: 'any' })).protein_id, protein.protein_id);
+                assert.deepEqual(await store.proteins.getMany([protein.protein_id]), []);
+                assert.deepEqual((await store.proteins.listTrash({ ownerId: 'user-001' })).map(p => p.protein_id), [protein.protein_id]);
+                assert.deepEqual(await store.proteins.listTrash({ ownerId: 'admin-user-001' }), []);
+
+                const restored = await store.proteins.restore(protein.protein_id);
+                assert.equal(restored.deleted_at, null);
+                assert.equal(restored.deleted_by, null);
+                assert.deepEqual(await store.proteins.listTrash(), []);
+            });
+
+            it('lists proteins with a stored sequence in ID order, trashed ones included', async () => {
+                const stored = [];
+                for(const name of ['a', 'b', 'c']) stored.push(await store.proteins.insert(proteinFields({ name })));
+                await store.proteins.insert(proteinFields({ name: 'no sequence', sequence: null }));
+                await store.proteins.trash(stored[1].protein_id, 'user-001');
+                const ids = stored.map(p => p.protein_id).sort();
+
+                const first = await store.proteins.listWithSequence({ limit: 2 });
+                const rest = await store.proteins.listWithSequence({ after: first[first.length - 1].protein_id, limit: 2 });
+                assert.deepEqual([...first, ...rest].map(p => p.protein_id), ids);
+                assert.equal(await store.proteins.countWithSequence(), 3);
+            });
+
+            it('lists the trash newest deletion first and before a cutoff', async () => {
+                const first = await store.proteins.insert(proteinFields({ name: 'first' }));
+                const second = await store.proteins.insert(proteinFields({ name: 'second' }));
+                await store.proteins.trash(first.protein_id, 'user-001');
+                await tick();
+                const cutoff = new Date().toISOString();
+                await tick();
+                await store.proteins.trash(second.protein_id, 'user-001');
+
+                assert.deepEqual((await store.proteins.listTrash()).map(p => p.name), ['second', 'first']);
+                assert.deepEqual((await store.proteins.listTrash({ deletedBefore: cutoff })).map(p => p.name), ['first']);
+            });
+
+            it('deletes proteins with their fragments, motifs and k-mers', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const [definition] = await store.motifs.listDefinitions();
+                const [fragment] = await store.fragments.insertMany(protein.protein_id, fragmentRows(protein.sequence));
+                await store.motifs.insertProteinHits(protein.protein_id, [{ motif_definition_id: definition.motif_definition_id, match: 'KTAY', name: definition.name, start: 1, end: 5, score: 0.5 }]);
+                await store.motifs.insertFragmentMotifs([{ fragment_id: fragment.fragment_id, motif_definition_id: definition.motif_definition_id, motif_pattern: 'KTAY', motif_type: definition.name, start_position: 1, end_position: 5, confidence_score: 0.5 }]);
+                await store.kmers.insert(protein.protein_id, [{ kmer: 'MKT', positions: [0] }]);
+
+                await store.proteins.delete(protein.protein_id);
+
+                assert.equal(await store.proteins.get(protein.protein_id, { state: 'any' }), null);
+                assert.equal(await store.fragments.count(protein.protein_id), 0);
+                assert.deepEqual(await store.motifs.listProteinHits(protein.protein_id), []);
+                assert.deepEqual(await store.motifs.listFragmentMotifTypes(fragment.fragment_id), []);
+                assert.deepEqual(await store.kmers.find(['MKT']), []);
+            });
+
+            it('links variants to their parent and clears the link when the parent is deleted', async () => {
+                const parent = await store.proteins.insert(proteinFields({ name: 'parent' }));
+                const variant = await store.proteins.insert(proteinFields({ name: 'variant', parent_protein_id: parent.protein_id, variant: 'p.M1A' }));
+                await tick();
+                const trashedVariant = await store.proteins.insert(proteinFields({ name: 'trashed', parent_protein_id: parent.protein_id, variant: 'p.K2A' }));
+                await store.proteins.trash(trashedVariant.protein_id, 'user-001');
+
+                assert.deepEqual((await store.proteins.listVariants(parent.protein_id)).map(p => p.name), ['variant']);
+
+                await store.proteins.deleteMany([parent.protein_id]);
+                const orphan = await store.proteins.get(variant.protein_id);
+                assert.equal(orphan.parent_protein_id, null);
+                assert.equal(orphan.variant, 'p.M1A');
+            });
+        });
+
+        describe('protein search', () => {
+            async function insertNamed(names) {
+                const proteins = [];
+                for(const name of names) {
+                    proteins.push(await store.proteins.insert(proteinFields({ name, description: `${name} kinase domain` })));
+                    await tick();
+                }
+                return proteins;
+            }
+
+            it('pages through live proteins in creation order', async () => {
+                const proteins = await insertNamed(['a', 'b', 'c', 'd', 'e']);
+                await store.proteins.trash(proteins[2].protein_id, 'user-001');
+
+                const search = parseProteinSearch({});
+                const seen = [];
+                let cursor = null;
+                let pages = 0;
+                do {
+                    const page = await store.proteins.searchPage(search, parsePagination({ limit: 2, cursor: cursor || undefined, includeTotal: 'true' }));
+                    assert.equal(page.total, 4);
+                    seen.push(...page.items.map(p => p.name));
+                    cursor = page.nextCursor;
+                    pages++;
+                } while(cursor);
+
+                assert.deepEqual(seen, ['a', 'b', 'd', 'e']);
+                assert.equal(pages, 2);
+            });
+
+            it('pages past proteins without a value for the sort key, which come last in either direction', async () => {
+                for(const [name, gravy] of [['n1', null], ['low', -0.5], ['n2', null], ['high', 0.7], ['n3', null], ['mid', 0.1]]) {
+                    await store.proteins.insert(proteinFields({ name, gravy }));
+                    await tick();
+                }
+
+                const pageThrough = async sort => {
+                    const search = parseProteinSearch({ sort });
+                    const seen = [];
+                    let cursor = null;
+                    do {
+                        const page = await store.proteins.searchPage(search, parsePagination({ limit: 2, cursor: cursor || undefined }));
+                        seen.push(...page.items.map(p => p.name));
+                        cursor = page.nextCursor;
+                    } while(cursor);
+                    return seen;
+                };
+
+                assert.deepEqual(await pageThrough('gravy:asc'), ['low', 'mid', 'high', 'n1', 'n2', 'n3']);
+                // Ties are broken by creation time in the direction of the last sort key
+                assert.deepEqual(await pageThrough('gravy:desc'), ['high', 'mid', 'low', 'n3', 'n2', 'n1']);
+                assert.deepEqual(await pageThrough('gravy:desc,name:asc'), ['high', 'mid', 'low', 'n1', 'n2', 'n3']);
+            });
+
+            it('filters by name, subsequence, ranges and description words and sorts by several keys', async () => {
+                await insertNamed(['alpha', 'beta']);
+                await store.proteins.insert(proteinFields({ name: 'gamma', sequence: 'ACDEFGHIKLMNPQRSTVWYAC', description: 'membrane transporter' }));
+
+                const names = async query => (await store.proteins.search(parseProteinSearch(query))).map(p => p.name);
+                assert.deepEqual(await names({ name: 'ALP' }), ['alpha']);
+                assert.deepEqual(await names({ contains: 'pqrst' }), ['gamma']);
+                assert.deepEqual(await names({ description: 'kinase' }), ['alpha', 'beta']);
+                assert.deepEqual(await names({ description: 'kinase -alpha' }), ['beta']);
+                assert.deepEqual(await names({ sequenceLength: { gte: 22 }, sort: 'name:desc' }), ['gamma', 'beta', 'alpha']);
+                assert.deepEqual(await names({ molecularWeight: { lt: 1 } }), []);
+            });
+
+            it('filters by stored motif hits', async () => {
+                const [alpha, beta] = await insertNamed(['alpha', 'beta']);
+                const definitions = await store.motifs.listDefinitions();
+                const hit = (definition, start) => ({ motif_definition_id: definition.motif_definition_id, match: 'KTAY', name: definition.name, start, end: start + 4, score: 0.5 });
+                await store.motifs.insertProteinHits(alpha.protein_id, [hit(definitions[0], 1), hit(definitions[1], 5)]);
+                await store.motifs.insertProteinHits(beta.protein_id, [hit(definitions[0], 1)]);
+
+                const names = async query => (await store.proteins.search(parseProteinSearch(query))).map(p => p.name);
+                assert.deepEqual(await names({ motif: definitions[0].name.toUpperCase() }), ['alpha', 'beta']);
+                assert.deepEqual(await names({ motif: [definitions[0].name, definitions[1].name], motifMatch: 'all' }), ['alpha']);
+            });
+        });
+
+        describe('fragments', () => {
+            it('stores fragments in sequence order and pages them', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const inserted = await store.fragments.insertMany(protein.protein_id, [...fragmentRows(protein.sequence)].reverse());
+                assert.equal(inserted.length, 2);
+                assert.ok(inserted.every(f => typeof f.fragment_id === 'string' && f.protein_id === protein.protein_id));
+
+                assert.deepEqual((await store.fragments.listByProtein(protein.protein_id)).map(f => f.start_position), [0, 10]);
+                assert.equal(await store.fragments.count(protein.protein_id), 2);
+
+                const first = await store.fragments.page(protein.protein_id, parsePagination({ limit: 1, includeTotal: 'true' }));
+                assert.equal(first.total, 2);
+                assert.deepEqual(first.items.map(f => f.start_position), [0]);
+                const second = await store.fragments.page(protein.protein_id, parsePagination({ limit: 1, cursor: first.nextCursor }));
+                assert.deepEqual(second.items.map(f => f.start_position), [10]);
+                assert.equal(second.nextCursor, null);
+                assert.equal(second.total, null);
+            });
+
+            it('hides fragments of trashed proteins and deletes fragment motifs with their fragments', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const [fragment] = await store.fragments.insertMany(protein.protein_id, fragmentRows(protein.sequence));
+                const [definition] = await store.motifs.listDefinitions();
+                await store.motifs.insertFragmentMotifs([{ fragment_id: fragment.fragment_id, motif_definition_id: definition.motif_definition_id, motif_pattern: 'KTAY', motif_type: definition.name, start_position: 1, end_position: 5, confidence_score: 0.5 }]);
+
+                assert.equal((await store.fragments.get(fragment.fragment_id)).sequence, fragment.sequence);
+                await store.proteins.trash(protein.protein_id, 'user-001');
+                assert.equal(await store.fragments.get(fragment.fragment_id), null);
+
+                await store.fragments.deleteByProtein(protein.protein_id);
+                assert.equal(await store.fragments.count(protein.protein_id), 0);
+                assert.deepEqual(await store.motifs.listFragmentMotifTypes(fragment.fragment_id), []);
+            });
+        });
+
+        describe('motifs', () => {
+            it('seeds the default motif library', async () => {
+                assert.deepEqual((await store.motifs.listDefinitions()).map(d => d.name).sort(), [
+                    'Casein kinase II phosphorylation site',
+                    'N-glycosylation site',
+                    'Tyrosine kinase phosphorylation site'
+                ]);
+            });
+
+            it('renames stored hits with their definition and deletes them with it', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const definition = await store.motifs.insertDefinition({ name: 'Custom', type: 'custom', pattern: 'K-T-A', description: null });
+                assert.equal((await store.motifs.findDefinitionByName('Custom')).motif_definition_id, definition.motif_definition_id);
+                assert.equal(await store.motifs.findDefinitionByName('Custom', { excluding: definition.motif_definition_id }), null);
+
+                const [fragment] = await store.fragments.insertMany(protein.protein_id, fragmentRows(protein.sequence));
+                await store.motifs.insertProteinHits(protein.protein_id, [
+                    { motif_definition_id: definition.motif_definition_id, match: 'KTA', name: 'Custom', start: 1, end: 4, score: 0.25 }
+                ]);
+                await store.motifs.insertFragmentMotifs([{ fragment_id: fragment.fragment_id, motif_definition_id: definition.motif_definition_id, motif_pattern: 'KTA', motif_type: 'Custom', start_position: 1, end_position: 4, confidence_score: 0.25 }]);
+
+                await store.motifs.updateDefinition(definition.motif_definition_id, { name: 'Renamed', type: 'custom', pattern: 'K-T-A', description: 'd' });
+                const [hit] = await store.motifs.listProteinHits(protein.protein_id);
+                assert.equal(hit.motif_type, 'Renamed');
+                assert.equal(hit.type, 'custom');
+                assert.equal(hit.score, 0.25);
+                assert.deepEqual(await store.motifs.listFragmentMotifTypes(fragment.fragment_id), ['Renamed']);
+                assert.equal(await store.motifs.countProteinHits(protein.protein_id), 1);
+                assert.equal((await store.motifs.listDefinitionHits(definition.motif_definition_id)).length, 1);
+
+                assert.equal(await store.motifs.deleteDefinition(definition.motif_definition_id), true);
+                assert.equal(await store.motifs.deleteDefinition(definition.motif_definition_id), false);
+                assert.equal(await store.motifs.countProteinHits(protein.protein_id), 0);
+                assert.deepEqual(await store.motifs.listFragmentMotifTypes(fragment.fragment_id), []);
+            });
+
+            it('lists protein hits in sequence order', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const [definition] = await store.motifs.listDefinitions();
+                const hit = (start, end) => ({ motif_definition_id: definition.motif_definition_id, match: 'X', name: definition.name, start, end, score: 0.5 });
+                await store.motifs.insertProteinHits(protein.protein_id, [hit(9, 12), hit(2, 6), hit(2, 4)]);
+
+                assert.deepEqual((await store.motifs.listProteinHits(protein.protein_id)).map(h => [h.start_position, h.end_position]), [[2, 4], [2, 6], [9, 12]]);
+            });
+        });
+
+        describe('k-mers', () => {
+            it('finds index entries by k-mer', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                await store.kmers.insert(protein.protein_id, [{ kmer: 'MKT', positions: [0, 7] }, { kmer: 'KTA', positions: [1] }]);
+
+                const found = await store.kmers.find(['MKT', 'XXX']);
+                assert.deepEqual(found, [{ protein_id: protein.protein_id, kmer: 'MKT', positions: [0, 7] }]);
+            });
+        });
+
+        describe('audit log', () => {
+            it('lists entries oldest first per protein and newest first with filters', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                await store.audit.insert({ proteinId: protein.protein_id, userId: 'user-001', action: 'create', changes: { name: { before: null, after: 'Test protein' } } });
+                await store.audit.insert({ proteinId: protein.protein_id, userId: 'admin-user-001', action: 'update', changes: {} });
+                await store.audit.insert({ proteinId: protein.protein_id, userId: 'user-001', action: 'delete', changes: {} });
+
+                const history = await store.audit.listByProtein(protein.protein_id);
+                assert.deepEqual(history.map(entry => entry.action), ['create', 'update', 'delete']);
+                assert.deepEqual(history[0].changes, { name: { before: null, after: 'Test protein' } });
+
+                assert.deepEqual((await store.audit.list()).map(entry => entry.action), ['delete', 'update', 'create']);
+                assert.deepEqual((await store.audit.list({ userId: 'user-001' })).map(entry => entry.action), ['delete', 'create']);
+                assert.deepEqual((await store.audit.list({ actions: ['create', 'update'] })).map(entry => entry.action), ['update', 'create']);
+                assert.deepEqual((await store.audit.list({ limit: 1, offset: 1 })).map(entry => entry.action), ['update']);
+            });
+        });
+
+        describe('jobs', () => {
+            it('claims the oldest queued job once', async () => {
+                const first = await store.jobs.insert({ type: 'refragment', payload: { n: 1 }, userId: 'user-001' });
+                await tick();
+                await store.jobs.insert({ type: 'refragment', payload: { n: 2 }, userId: 'user-001' });
+
+                const claimed = await store.jobs.claimNext();
+                assert.equal(claimed.job_id, first.job_id);
+                assert.equal(claimed.status, 'running');
+                assert.equal(claimed.attempts, 1);
+                assert.deepEqual(claimed.payload, { n: 1 });
+
+                assert.deepEqual((await store.jobs.claimNext()).payload, { n: 2 });
+                assert.equal(await store.jobs.claimNext(), null);
+            });
+
+            it('requeues stale jobs until they run out of attempts', async () => {
+                const job = await store.jobs.insert({ type: 'refragment', payload: {}, userId: 'user-001' });
+                await store.jobs.claimNext();
+                await tick();
+
+                assert.equal(await store.jobs.requeueStale(new Date().toISOString(), 2), 1);
+                assert.equal((await store.jobs.get(job.job_id)).status, 'queued');
+
+                await store.jobs.claimNext();
+                await tick();
+                assert.equal(await store.jobs.requeueStale(new Date().toISOString(), 2), 0);
+                const failed = await store.jobs.get(job.job_id);
+                assert.equal(failed.status, 'failed');
+                assert.equal(failed.error, 'Job was interrupted too many times');
+            });
+
+            it('keeps checkpoints and records the outcome', async () => {
+                const job = await store.jobs.insert({ type: 'fasta-import', payload: {}, userId: 'user-001' });
+                await store.jobs.claimNext();
+
+                await store.jobs.reportProgress(job.job_id, 40, { created: [1] });
+                await store.jobs.reportProgress(job.job_id, 50, null);
+                let current = await store.jobs.get(job.job_id);
+                assert.equal(current.progress, 50);
+                assert.deepEqual(current.result, { created: [1] });
+
+                await store.jobs.succeed(job.job_id, { created: [1, 2] });
+                current = await store.jobs.get(job.job_id);
+                assert.equal(current.status, 'succeeded');
+                assert.equal(current.progress, 100);
+                assert.deepEqual(current.result, { created: [1, 2] });
+                assert.notEqual(current.finished_at, null);
+
+                await store.jobs.fail(job.job_id, 'boom');
+                current = await store.jobs.get(job.job_id);
+                assert.equal(current.status, 'failed');
+                assert.equal(current.result, null);
+
+                assert.deepEqual((await store.jobs.list({ userId: 'user-001', status: 'failed' })).map(j => j.job_id), [job.job_id]);
+            });
+        });
+
+        describe('webhooks', () => {
+            const webhook = (overrides = {}) => ({ userId: 'user-001', url: 'https://example.org/hook', events: ['protein.created'], description: null, active: true, secret: 's', ...overrides });
+
+            it('queues deliveries for active subscribers of an event and leases due ones', async () => {
+                const subscribed = await store.webhooks.insert(webhook());
+                const inactive = await store.webhooks.insert(webhook({ active: false }));
+                const other = await store.webhooks.insert(webhook({ events: ['protein.deleted'] }));
+
+                await store.webhooks.queueDeliveries('protein.created', { proteinId: 'p-1' });
+                assert.equal((await store.webhooks.listDeliveries(subscribed.webhook_id)).length, 1);
+                assert.deepEqual(await store.webhooks.listDeliveries(inactive.webhook_id), []);
+                assert.deepEqual(await store.webhooks.listDeliveries(other.webhook_id), []);
+
+                await tick();
+                const now = new Date();
+                const leaseUntil = new Date(now.getTime() + 60000).toISOString();
+                const [claimed] = await store.webhooks.claimDueDeliveries(now.toISOString(), leaseUntil, 10);
+                assert.deepEqual(claimed.payload, { proteinId: 'p-1' });
+                assert.equal(iso(claimed.next_attempt_at), leaseUntil);
+                assert.deepEqual(await store.webhooks.claimDueDeliveries(now.toISOString(), leaseUntil, 10), []);
+
+                const delivered = await store.webhooks.recordAttempt(claimed.delivery_id, { status: 'succeeded', attempts: 1, responseStatus: 204, error: null, nextAttemptAt: null });
+                assert.equal(delivered.status, 'succeeded');
+                assert.equal(delivered.response_status, 204);
+                assert.notEqual(delivered.delivered_at, null);
+                assert.deepEqual((await store.webhooks.listDeliveries(subscribed.webhook_id, { status: 'pending' })), []);
+            });
+
+            it('updates webhooks and deletes their deliveries with them', async () => {
+                const created = await store.webhooks.insert(webhook());
+                const updated = await store.webhooks.update(created.webhook_id, { url: 'https://example.org/other', events: ['protein.deleted'], description: 'd', active: false });
+                assert.equal(updated.url, 'https://example.org/other');
+                assert.deepEqual(updated.events, ['protein.deleted']);
+                assert.equal(updated.active, false);
+
+                const delivery = await store.webhooks.insertDelivery({ webhookId: created.webhook_id, event: 'ping', payload: {}, nextAttemptAt: new Date().toISOString() });
+                await store.webhooks.failDelivery(delivery.delivery_id, 'gone');
+                assert.equal((await store.webhooks.listDeliveries(created.webhook_id))[0].status, 'failed');
+
+                await store.webhooks.delete(created.webhook_id);
+                assert.equal(await store.webhooks.get(created.webhook_id), null);
+                assert.deepEqual(await store.webhooks.listDeliveries(created.webhook_id), []);
+            });
+        });
+
+        describe('transactions', () => {
+            it('commits every write of the callback and returns its result', async () => {
+                const result = await store.transaction(async tx => {
+                    const protein = await tx.proteins.insert(proteinFields());
+                    await tx.fragments.insertMany(protein.protein_id, fragmentRows(protein.sequence));
+                    return protein.protein_id;
+                });
+
+                assert.equal(await store.fragments.count(result), 2);
+            });
+
+            it('rolls back every write when the callback throws', async () => {
+                const existing = await store.proteins.insert(proteinFields({ name: 'existing' }));
+                await store.fragments.insertMany(existing.protein_id, fragmentRows(existing.sequence));
+                let createdId = null;
+
+                await assert.rejects(store.transaction(async tx => {
+                    const protein = await tx.proteins.insert(proteinFields({ name: 'new' }));
+                    createdId = protein.protein_id;
+                    await tx.proteins.update(existing.protein_id, { name: 'changed' });
+                    await tx.fragments.deleteByProtein(existing.protein_id);
+                    await tx.audit.insert({ proteinId: protein.protein_id, userId: 'user-001', action: 'create', changes: {} });
+                    throw new Error('boom');
+                }), /boom/);
+
+                assert.equal(await store.proteins.get(createdId, { state: 'any' }), null);
+                assert.equal((await store.proteins.get(existing.protein_id)).name, 'existing');
+                assert.deepEqual((await store.fragments.listByProtein(existing.protein_id)).map(f => f.start_position), [0, 10]);
+                assert.deepEqual(await store.audit.listByProtein(createdId), []);
+            });
+
+            it('joins nested transactions to the outer one', async () => {
+                await assert.rejects(store.transaction(async tx => {
+                    await tx.transaction(async nested => {
+                        await nested.proteins.insert(proteinFields({ name: 'nested' }));
+                    });
+                    throw new Error('outer failed');
+                }), /outer failed/);
+
+                assert.deepEqual(await store.proteins.search(parseProteinSearch({ name: 'nested' })), []);
+            });
+
+            it('keeps writes made outside a transaction that rolls back', async () => {
+                let entered, release;
+                const inside = new Promise(resolve => { entered = resolve; });
+                const gate = new Promise(resolve => { release = resolve; });
+
+                const failing = store.transaction(async tx => {
+                    await tx.proteins.insert(proteinFields({ name: 'inside' }));
+                    entered();
+                    await gate;
+                    throw new Error('rolled back');
+                });
+                await inside;
+                const outside = store.proteins.insert(proteinFields({ name: 'outside' }));
+                await tick();
+                release();
+
+                await assert.rejects(failing, /rolled back/);
+                await outside;
+                const names = (await store.proteins.search(parseProteinSearch({}))).map(p => p.name);
+                assert.deepEqual(names, ['outside']);
+            });
+        });
+
+        describe('constraints', () => {
+            const violates = code => error => error.code === code;
+
+            it('rejects rows that break a CHECK constraint', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const [fragment] = await store.fragments.insertMany(protein.protein_id, fragmentRows(protein.sequence));
+                const [definition] = await store.motifs.listDefinitions();
+                // Confidence scores must stay within [0, 1]
+                const motif = score => ({ fragment_id: fragment.fragment_id, motif_definition_id: definition.motif_definition_id, motif_pattern: 'PPP', motif_type: 'Proline run', start_position: 1, end_position: 4, confidence_score: score });
+
+                await assert.rejects(store.motifs.insertFragmentMotifs([motif(1.15)]), violates('23514'));
+                await assert.rejects(store.proteins.insert(proteinFields({ sequence: 'MKTBZ' })), violates('23514'));
+                await assert.rejects(store.proteins.update(protein.protein_id, { molecular_weight: 0 }), violates('23514'));
+                await assert.rejects(store.users.insert({ id: 'u-2', name: 'Second', role: 'owner' }), violates('23514'));
+                await assert.rejects(store.audit.insert({ proteinId: protein.protein_id, userId: 'user-001', action: 'archive', changes: {} }), violates('23514'));
+
+                const job = await store.jobs.insert({ type: 'refragment', payload: {}, userId: 'user-001' });
+                await assert.rejects(store.jobs.reportProgress(job.job_id, 101, null), violates('23514'));
+                assert.equal((await store.jobs.get(job.job_id)).progress, 0);
+                assert.equal((await store.proteins.get(protein.protein_id)).molecular_weight, protein.molecular_weight);
+            });
+
+            it('rejects missing required values, values that are too long and duplicate keys', async () => {
+                await assert.rejects(store.proteins.insert(proteinFields({ name: null })), violates('23502'));
+                await assert.rejects(store.proteins.insert(proteinFields({ name: 'x'.repeat(101) })), violates('22001'));
+                await assert.rejects(store.users.insert({ id: 'user-001', name: 'Again', role: 'basic' }), violates('23505'));
+
+                const [definition, other] = await store.motifs.listDefinitions();
+                await assert.rejects(store.motifs.insertDefinition({ name: definition.name, type: null, pattern: 'P-P-P', description: null }), violates('23505'));
+                await assert.rejects(store.motifs.updateDefinition(other.motif_definition_id, { ...other, name: definition.name }), violates('23505'));
+                assert.equal((await store.motifs.updateDefinition(definition.motif_definition_id, { ...definition, description: 'kept name' })).description, 'kept name');
+            });
+
+            it('stores none of the rows of a statement when one of them is rejected', async () => {
+                const protein = await store.proteins.insert(proteinFields());
+                const [valid, invalid] = fragmentRows(protein.sequence);
+
+                await assert.rejects(store.fragments.insertMany(protein.protein_id, [valid, { ...invalid, secondary_structure: 'HXC' }]), violates('23514'));
+                assert.equal(await store.fragments.count(protein.protein_id), 0);
+            });
+
+            it('rolls back the transaction of a rejected row', async () => {
+                let createdId = null;
+                await assert.rejects(store.transaction(async tx => {
+                    const protein = await tx.proteins.insert(proteinFields());
+                    createdId = protein.protein_id;
+                    const [fragment] = await tx.fragments.insertMany(protein.protein_id, fragmentRows(protein.sequence));
+                    const [definition] = await tx.motifs.listDefinitions();
+                    await tx.motifs.insertFragmentMotifs([{ fragment_id: fragment.fragment_id, motif_definition_id: definition.motif_definition_id, motif_pattern: 'PPP', motif_type: null, start_position: 1, end_position: 4, confidence_score: 1.15 }]);
+                }), violates('23514'));
+
+                assert.equal(await store.proteins.get(createdId, { state: 'any' }), null);
+                assert.equal(await store.fragments.count(createdId), 0);
+            });
+        });
+    });
+}
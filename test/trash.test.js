@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { backends } = require('./helpers/backends');
+const { startServer } = require('./helpers/server');
+const { createProteinWithFragments, calculateMolecularWeight, purgeExpiredTrash } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('trash routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(async store => {
+            await store.users.insert({ id: 'user-002', name: 'Other User', role: 'basic' });
+        }, { TRASH_RETENTION_DAYS: '7' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    async function trashed(name, userId = 'user-001') {
+        const { proteinId } = (await server.request('POST', '/api/proteins', { userId, body: { name, sequence: SEQUENCE } })).body;
+        assert.equal((await server.request('DELETE', `/api/proteins/${proteinId}`, { userId })).status, 204);
+        return proteinId;
+    }
+
+    it('hides a deleted protein and its fragments from the other routes', async () => {
+        const proteinId = await trashed('hidden');
+
+        assert.equal((await server.request('GET', `/api/proteins/${proteinId}`)).status, 404);
+        assert.equal((await server.request('GET', `/api/proteins/${proteinId}/fragments`)).status, 404);
+        assert.equal((await server.request('DELETE', `/api/proteins/${proteinId}`)).status, 404);
+        assert.ok(!(await server.request('GET', '/api/proteins')).body.items.some(protein => protein.proteinId === proteinId));
+    });
+
+    it('lists the trash with the purge time, per user for basic users', async () => {
+        const mine = await trashed('mine');
+        const theirs = await trashed('theirs', 'user-002');
+
+        const own = (await server.request('GET', '/api/trash')).body;
+        assert.ok(own.every(protein => protein.owner_id === 'user-001'));
+        const listed = own.find(protein => protein.protein_id === mine);
+        assert.equal(Date.parse(listed.purge_at) - Date.parse(listed.deleted_at), 7 * DAY);
+
+        const all = (await server.request('GET', '/api/trash', { userId: 'admin-user-001' })).body.map(protein => protein.protein_id);
+        assert.ok(all.includes(mine) && all.includes(theirs));
+        const filtered = (await server.request('GET', '/api/trash?userId=user-002', { userId: 'admin-user-001' })).body;
+        assert.deepEqual(filtered.map(protein => protein.protein_id), [theirs]);
+    });
+
+    it('restores a protein for its owner or an admin', async () => {
+        const proteinId = await trashed('restored');
+
+        assert.equal((await server.request('POST', `/api/trash/${proteinId}/restore`, { userId: 'user-002' })).status, 403);
+        const restored = await server.request('POST', `/api/trash/${proteinId}/restore`);
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.deleted_at, null);
+        assert.equal((await server.request('GET', `/api/proteins/${proteinId}`)).status, 200);
+        assert.equal((await server.request('POST', `/api/trash/${proteinId}/restore`)).status, 404);
+    });
+
+    it('lets only admins purge a protein early', async () => {
+        const proteinId = await trashed('purged');
+
+        assert.equal((await server.request('DELETE', `/api/trash/${proteinId}`)).status, 403);
+        assert.equal((await server.request('DELETE', `/api/trash/${proteinId}`, { userId: 'admin-user-001' })).status, 204);
+        assert.equal((await server.request('POST', `/api/trash/${proteinId}/restore`, { userId: 'admin-user-001' })).status, 404);
+
+        const live = (await server.request('POST', '/api/proteins', { body: { name: 'live', sequence: SEQUENCE } })).body.proteinId;
+        assert.equal((await server.request('DELETE', `/api/trash/${live}`, { userId: 'admin-user-001' })).status, 404);
+    });
+});
+
+for(const backend of backends) {
+    describe(`trash retention: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        async function create(name) {
+            return createProteinWithFragments(store, {
+                name, description: null, molecularWeight: calculateMolecularWeight(SEQUENCE), sequenceLength: SEQUENCE.length,
+                fragmentation: { strategy: 'sliding', windowSize: 15, stepSize: 5 }, ownerId: 'user-001'
+            }, SEQUENCE);
+        }
+
+        it('purges only proteins trashed longer than the retention period', async () => {
+            const trashed = await create('trashed');
+            const live = await create('live');
+            await store.proteins.trash(trashed.protein_id, 'user-001');
+            await sleep(5);
+
+            assert.equal(await purgeExpiredTrash(store, 1), 0);
+            assert.ok(await store.proteins.get(trashed.protein_id, { state: 'trashed' }));
+
+            assert.equal(await purgeExpiredTrash(store, 0), 1);
+            assert.equal(await store.proteins.get(trashed.protein_id, { state: 'any' }), null);
+            assert.equal(await store.fragments.count(trashed.protein_id), 0);
+            assert.ok(await store.proteins.get(live.protein_id));
+
+            const [purge] = (await store.audit.listByProtein(trashed.protein_id)).filter(entry => entry.action === 'purge');
+            assert.equal(purge.user_id, null);
+        });
+    });
+}
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVariant, applyVariant } = require('../variants');
+const { BadRequestError } = require('../error');
+
+const SEQUENCE = 'MKTAYIAKQR';
+
+const variantOf = notation => applyVariant(SEQUENCE, parseVariant(notation, SEQUENCE)).sequence;
+const rejects = (notation, message) => assert.throws(() => parseVariant(notation, SEQUENCE), error => error instanceof BadRequestError && message.test(error.message), notation);
+
+describe('parseVariant', () => {
+    it('applies substitutions written with one-letter or three-letter codes', () => {
+        assert.equal(variantOf('p.K2R'), 'MRTAYIAKQR');
+        assert.equal(variantOf('p.Lys2Arg'), 'MRTAYIAKQR');
+        assert.deepEqual(parseVariant('p.K2R', SEQUENCE), [{ notation: 'K2R', type: 'substitution', start: 2, end: 2, from: 1, to: 2, inserted: 'R' }]);
+    });
+
+    it('applies deletions', () => {
+        assert.equal(variantOf('p.T3del'), 'MKAYIAKQR');
+        assert.equal(variantOf('p.T3_Y5del'), 'MKIAKQR');
+        assert.equal(variantOf('p.del3_5'), 'MKIAKQR');
+    });
+
+    it('applies insertions between adjacent residues', () => {
+        assert.equal(variantOf('p.K2_T3insGV'), 'MKGVTAYIAKQR');
+        assert.equal(variantOf('p.ins2_3GlyVal'), 'MKGVTAYIAKQR');
+    });
+
+    it('applies deletion-insertions and duplications', () => {
+        assert.equal(variantOf('p.T3_A4delinsW'), 'MKWYIAKQR');
+        assert.equal(variantOf('p.T3dup'), 'MKTTAYIAKQR');
+        assert.equal(variantOf('p.T3_A4dup'), 'MKTATAYIAKQR');
+    });
+
+    it('applies several edits in position order whatever their written order', () => {
+        assert.equal(variantOf('p.[K2R;A4G]'), 'MRTGYIAKQR');
+        assert.equal(variantOf('p.[A4G;K2R]'), 'MRTGYIAKQR');
+        assert.equal(variantOf('p.[K2R;del8_10]'), 'MRTAYIA');
+    });
+
+    it('applies an insertion next to a replaced residue', () => {
+        assert.equal(variantOf('p.[K2_T3insG;T3A]'), 'MKGAAYIAKQR');
+        assert.equal(variantOf('p.[K2R;K2_T3insG]'), 'MRGTAYIAKQR');
+        assert.equal(variantOf('p.[T3dup;A4G]'), 'MKTTGYIAKQR');
+    });
+
+    it('rejects edits that touch the same residues or the same boundary', () => {
+        rejects('p.[K2R;K2_T3del]', /overlap/);
+        rejects('p.[T3_Y5del;A4G]', /overlap/);
+        rejects('p.[K2_T3insG;ins2_3V]', /overlap/);
+        rejects('p.[T3_Y5delinsW;A4_Y5insG]', /overlap/);
+    });
+
+    it('rejects malformed and mismatched notation', () => {
+        rejects('K2R', /starting with p\./);
+        rejects('p.K2', /Unsupported variant/);
+        rejects('p.A2R', /Reference residue at position 2 is K, not A/);
+        rejects('p.K2K', /does not change the residue/);
+        rejects('p.R11A', /Position out of range/);
+        rejects('p.K2_A4insG', /adjacent residues/);
+        rejects('p.K2Xaa', /Unknown residues "Xaa"/);
+    });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { backends } = require('./helpers/backends');
+const { isPrivateTarget, attemptDelivery, formatDelivery, startWebhookWorker } = require('../webhooks');
+const { createProteinWithFragments, calculateMolecularWeight, recordAudit, diffAuditFields, purgeProtein } = require('../lib');
+
+const SEQUENCE = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQ';
+const fragmentation = { strategy: 'sliding', windowSize: 15, stepSize: 5 };
+const EVENTS = ['protein.created', 'protein.deleted', 'protein.restored', 'protein.purged'];
+
+describe('isPrivateTarget', () => {
+    it('flags loopback, link-local and private addresses', async () => {
+        for(const url of [
+            'http://127.0.0.1/hook', 'http://localhost:8080/hook', 'http://2130706433/hook', 'http://10.1.2.3/hook',
+            'http://172.20.0.1/hook', 'http://192.168.1.1/hook', 'http://169.254.169.254/latest/meta-data',
+            'http://0.0.0.0/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://[fd00::1]/hook', 'http://[fe80::1]/hook'
+        ]) {
+            assert.equal(await isPrivateTarget(url), true, url);
+        }
+    });
+
+    it('lets public addresses through', async () => {
+        for(const url of ['https://93.184.215.34/hook', 'http://[2606:4700::1111]/hook', 'https://8.8.8.8:8443/hook']) {
+            assert.equal(await isPrivateTarget(url), false, url);
+        }
+    });
+});
+
+describe('formatDelivery', () => {
+    const row = {
+        delivery_id: 'd-1', webhook_id: 'w-1', event: 'webhook.test', payload: {}, status: 'failed', attempts: 1,
+        response_status: 500, error: 'Receiver responded with 500', next_attempt_at: null, created_at: null, delivered_at: null
+    };
+
+    it("hides the receiver's answer unless detailed", () => {
+        assert.deepEqual([formatDelivery(row).responseStatus, formatDelivery(row).error], [null, 'Delivery failed']);
+        assert.deepEqual([formatDelivery(row, { detailed: true }).responseStatus, formatDelivery(row, { detailed: true }).error], [500, 'Receiver responded with 500']);
+        assert.equal(formatDelivery({ ...row, status: 'succeeded', response_status: 204, error: null }).error, null);
+    });
+});
+
+for(const backend of backends) {
+    describe(`webhook deliveries: ${backend.name}`, { skip: backend.skip }, () => {
+        let store;
+        let server;
+        let received;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                received.push(req.headers['x-webhook-event']);
+                req.resume();
+                res.writeHead(204).end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        after(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(async () => {
+            store = await backend.createStore();
+            received = [];
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        async function queueTest(url) {
+            const webhook = await store.webhooks.insert({ userId: 'user-001', url, events: EVENTS, description: null, active: true, secret: 's' });
+            const delivery = await store.webhooks.insertDelivery({ webhookId: webhook.webhook_id, event: 'webhook.test', payload: {}, nextAttemptAt: null });
+            return { webhook, delivery };
+        }
+
+        it('does not connect to a private address', async () => {
+            for(const host of ['127.0.0.1', 'localhost']) {
+                const { webhook, delivery } = await queueTest(`http://${host}:${server.address().port}/hook`);
+
+                const attempted = await attemptDelivery(store, webhook, delivery, { retry: false });
+
+                assert.equal(attempted.status, 'failed');
+                assert.equal(attempted.response_status, null);
+                assert.match(attempted.error, /private address/);
+            }
+            assert.deepEqual(received, []);
+        });
+
+        it('delivers to a private address when allowed', async () => {
+            const { webhook, delivery } = await queueTest(`http://localhost:${server.address().port}/hook`);
+
+            const attempted = await attemptDelivery(store, webhook, delivery, { retry: false, allowPrivateTargets: true });
+
+            assert.equal(attempted.status, 'succeeded');
+            assert.equal(attempted.response_status, 204);
+            assert.deepEqual(received, ['webhook.test']);
+        });
+
+        it('keeps delivering when a webhook is deleted after its delivery was claimed', async () => {
+            const url = `http://localhost:${server.address().port}/hook`;
+            const subscribe = () => store.webhooks.insert({ userId: 'user-001', url, events: EVENTS, description: null, active: true, secret: 's' });
+            const deleted = await subscribe();
+            const kept = await subscribe();
+            for(const webhook of [deleted, kept]) {
+                await store.webhooks.insertDelivery({ webhookId: webhook.webhook_id, event: 'webhook.test', payload: {}, nextAttemptAt: new Date().toISOString() });
+            }
+            const deleting = {
+                ...store,
+                webhooks: {
+                    ...store.webhooks,
+                    claimDueDeliveries: async (...args) => {
+                        const claimed = await store.webhooks.claimDueDeliveries(...args);
+                        await store.webhooks.delete(deleted.webhook_id);
+                        return claimed;
+                    }
+                }
+            };
+
+            const stop = startWebhookWorker(deleting, { pollInterval: 10, allowPrivateTargets: true });
+            const deadline = Date.now() + 5000;
+            try {
+                while((await store.webhooks.listDeliveries(kept.webhook_id))[0].status !== 'succeeded') {
+                    if(Date.now() > deadline) throw new Error('Delivery did not succeed');
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+            } finally {
+                stop();
+            }
+
+            assert.deepEqual(received, ['webhook.test']);
+            assert.equal(await store.webhooks.get(deleted.webhook_id), null);
+            assert.deepEqual(await store.webhooks.listDeliveries(deleted.webhook_id), []);
+        });
+
+        it('tells subscribers about a trashed protein only when they can read it', async () => {
+            await store.users.insert({ id: 'user-002', name: 'Other User', role: 'basic' });
+            const subscribe = userId => store.webhooks.insert({ userId, url: 'https://example.org/hook', events: EVENTS, description: null, active: true, secret: 's' });
+            const owner = await subscribe('user-001');
+            const other = await subscribe('user-002');
+            const admin = await subscribe('admin-user-001');
+
+            const { protein_id } = await createProteinWithFragments(store, {
+                name: 'owned', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE),
+                sequenceLength: SEQUENCE.length, fragmentation, ownerId: 'user-001'
+            }, SEQUENCE);
+            const protein = await store.proteins.get(protein_id);
+            await store.transaction(async tx => {
+                const trashed = await tx.proteins.trash(protein_id, 'user-001');
+                await recordAudit(tx, { proteinId: protein_id, userId: 'user-001', action: 'delete', changes: diffAuditFields(protein, trashed, ['deleted_at', 'deleted_by']) });
+            });
+            await store.transaction(async tx => {
+                await tx.proteins.restore(protein_id);
+                await recordAudit(tx, { proteinId: protein_id, userId: 'user-001', action: 'restore' });
+            });
+            await purgeProtein(store, await store.proteins.get(protein_id), 'user-001');
+
+            const events = async webhook => (await store.webhooks.listDeliveries(webhook.webhook_id)).map(d => d.event).sort();
+            assert.deepEqual(await events(owner), ['protein.created', 'protein.deleted', 'protein.purged', 'protein.restored']);
+            assert.deepEqual(await events(admin), ['protein.created', 'protein.deleted', 'protein.purged', 'protein.restored']);
+            // The purge removed a live protein, everyone could read it until then
+            assert.deepEqual(await events(other), ['protein.created', 'protein.purged', 'protein.restored']);
+
+            const trashed = await createProteinWithFragments(store, {
+                name: 'trashed', description: null, molecularWeight: calculateMolecularWeight(SEQUENCE),
+                sequenceLength: SEQUENCE.length, fragmentation, ownerId: 'user-001'
+            }, SEQUENCE);
+            await store.proteins.trash(trashed.protein_id, 'user-001');
+            await purgeProtein(store, await store.proteins.get(trashed.protein_id, { state: 'trashed' }), 'user-001');
+
+            assert.equal((await events(owner)).filter(event => event === 'protein.purged').length, 2);
+            assert.equal((await events(other)).filter(event => event === 'protein.purged').length, 1);
+        });
+    });
+}
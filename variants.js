@@ -0,0 +1,223 @@
+const { BadRequestError, ConflictError } = require('./error');
+const { molecularWeights, predictSecondaryStructure, getProteinMotifHits } = require('./lib');
+
+const MAX_VARIANT_LENGTH = 500;
+
+const threeLetterCodes = {
+    Ala: 'A', Arg: 'R', Asn: 'N', Asp: 'D', Cys: 'C', Gln: 'Q', Glu: 'E', Gly: 'G', His: 'H', Ile: 'I',
+    Leu: 'L', Lys: 'K', Met: 'M', Phe: 'F', Pro: 'P', Ser: 'S', Thr: 'T', Trp: 'W', Tyr: 'Y', Val: 'V'
+};
+
+// One residue as a one-letter or three-letter code, then a 1-based position
+const RESIDUE = "([A-Z](?:[a-z]{2})?)";
+const RANGE = `${RESIDUE}?(\\d+)(?:_${RESIDUE}?(\\d+))?`;
+
+// HGVS protein edits, the bare del45_47 and ins45_46GV forms leave out the reference residues
+const editPatterns = [
+    { type: 'delins', pattern: new RegExp(`^${RANGE}delins([A-Za-z]+)$`) },
+    { type: 'deletion', pattern: new RegExp(`^${RANGE}del$`) },
+    { type: 'deletion', pattern: /^del()(\d+)(?:_()(\d+))?$/ },
+    { type: 'duplication', pattern: new RegExp(`^${RANGE}dup$`) },
+    { type: 'insertion', pattern: new RegExp(`^${RESIDUE}?(\\d+)_${RESIDUE}?(\\d+)ins([A-Za-z]+)$`) },
+    { type: 'insertion', pattern: /^ins()(\d+)_()(\d+)([A-Za-z]+)$/ },
+    { type: 'substitution', pattern: new RegExp(`^${RESIDUE}(\\d+)()()${RESIDUE}$`) }
+];
+
+// Residues written with one-letter or three-letter codes, null when neither fits
+function parseResidues(text) {
+    if(/^([A-Z][a-z]{2})+$/.test(text)) {
+        const residues = text.match(/[A-Z][a-z]{2}/g).map(code => threeLetterCodes[code]);
+        return residues.includes(undefined) ? null : residues.join("");
+    }
+    if(/^[A-Z]+$/.test(text) && [...text].every(residue => residue in molecularWeights)) return text;
+    return null;
+}
+
+function parseEdit(text, sequence) {
+    const match = editPatterns.map(({ type, pattern }) => ({ type, groups: pattern.exec(text) })).find(({ groups }) => groups);
+    if(!match) throw new BadRequestError(`[Variant Error] Unsupported variant "${text}", expected a substitution, deletion, insertion, delins or duplication`);
+
+    const [, startResidue, startText, endResidue, endText, insertedText] = match.groups;
+    const type = match.type;
+    const start = Number(startText);
+    const end = endText ? Number(endText) : start;
+
+    if(start < 1 || end < start || end > sequence.length) {
+        throw new BadRequestError(`[Variant Error] Position out of range in "${text}", the sequence has ${sequence.length} residues`);
+    }
+    if(type === 'insertion' && end !== start + 1) {
+        throw new BadRequestError(`[Variant Error] Insertion "${text}" must be between two adjacent residues`);
+    }
+
+    // Reference residues that were given must match the parent sequence
+    for(const [residueText, position] of [[startResidue, start], [endResidue, end]]) {
+        if(!residueText) continue;
+        const residue = parseResidues(residueText);
+        if(!residue) throw new BadRequestError(`[Variant Error] Unknown residue "${residueText}" in "${text}"`);
+        if(sequence[position - 1] !== residue) {
+            throw new BadRequestError(`[Variant Error] Reference residue at position ${position} is ${sequence[position - 1]}, not ${residue}`);
+        }
+    }
+
+    let inserted = "";
+    if(insertedText !== undefined) {
+        inserted = parseResidues(insertedText);
+        if(!inserted) throw new BadRequestError(`[Variant Error] Unknown residues "${insertedText}" in "${text}"`);
+    }
+    if(type === 'substitution' && inserted === sequence[start - 1]) {
+        throw new BadRequestError(`[Variant Error] Substitution "${text}" does not change the residue`);
+    }
+
+    // Every edit replaces the 0-based range [from, to) of the parent with `inserted`
+    const edit = { notation: text, type, start, end, from: start - 1, to: end, inserted };
+    if(type === 'insertion') Object.assign(edit, { from: start, to: start });
+    if(type === 'duplication') Object.assign(edit, { from: end, to: end, inserted: sequence.slice(start - 1, end) });
+    return edit;
+}
+
+// Insertions (and duplications) replace no residues, they only clash with an insertion at the same boundary
+// or a range they fall inside, while replaced residue ranges clash when they share a residue
+function editsOverlap(a, b) {
+    const aInserts = a.from === a.to;
+    const bInserts = b.from === b.to;
+    if(aInserts && bInserts) return a.from === b.from;
+    if(aInserts) return b.from < a.from && a.from < b.to;
+    if(bInserts) return a.from < b.from && b.from < a.to;
+    return a.from < b.to && b.from < a.to;
+}
+
+// Parse HGVS protein notation against the parent sequence, e.g. p.A23V, p.Ala23Val, p.del45_47,
+// p.K45_L46insGV, p.C28_L29delinsW, p.G4_Q6dup or several edits as p.[A23V;del45_47]
+function parseVariant(notation, sequence) {
+    if(typeof notation !== 'string' || notation.trim() === "" || notation.length > MAX_VARIANT_LENGTH) {
+        throw new BadRequestError("[Variant Error] Invalid variant, expected HGVS protein notation like p.A23V");
+    }
+
+    const match = /^p\.(?:\[(.+)\]|\((.+)\)|(.+))$/.exec(notation.trim());
+    if(!match) throw new BadRequestError("[Variant Error] Invalid variant, expected HGVS protein notation starting with p.");
+
+    const edits = (match[1] || match[2] || match[3]).split(";").map(text => parseEdit(text.trim(), sequence));
+
+    // Insertions come before a replacement starting at the same boundary
+    edits.sort((a, b) => a.from - b.from || a.to - b.to);
+    for(let i = 0; i < edits.length; i++) {
+        for(let j = i + 1; j < edits.length; j++) {
+            if(editsOverlap(edits[i], edits[j])) {
+                throw new BadRequestError(`[Variant Error] Edits "${edits[i].notation}" and "${edits[j].notation}" overlap`);
+            }
+        }
+    }
+
+    return edits;
+}
+
+// Apply parsed edits to the parent sequence. `parentPositions[i]` is the 0-based parent position of
+// residue i of the variant, or null for residues that have no counterpart in the parent
+function applyVariant(sequence, edits) {
+    let variant = "";
+    const parentPositions = [];
+    let position = 0;
+
+    for(const edit of edits) {
+        for(; position < edit.from; position++) {
+            variant += sequence[position];
+            parentPositions.push(position);
+        }
+
+        // Same-length replacements keep their residues aligned with the parent
+        const aligned = edit.inserted.length === edit.to - edit.from;
+        for(let i = 0; i < edit.inserted.length; i++) {
+            variant += edit.inserted[i];
+            parentPositions.push(aligned ? edit.from + i : null);
+        }
+        position = edit.to;
+    }
+    for(; position < sequence.length; position++) {
+        variant += sequence[position];
+        parentPositions.push(position);
+    }
+
+    return { sequence: variant, parentPositions };
+}
+
+function formatEdit({ notation, type, start, end, inserted }) {
+    return { notation, type, start, end, inserted };
+}
+
+function formatMotifHit(hit) {
+    return {
+        motifId: hit.motif_definition_id,
+        motifType: hit.name,
+        type: hit.type,
+        motifPattern: hit.match,
+        startPosition: hit.start,
+        endPosition: hit.end
+    };
+}
+
+const difference = (parentValue, variantValue) => ({
+    parent: parentValue,
+    variant: variantValue,
+    delta: parentValue === null || variantValue === null ? null : variantValue - parentValue
+});
+
+// Changes in mass, predicted structure and motif hits between a variant and its parent
+async function diffVariant(store, variant, parent) {
+    const edits = parseVariant(variant.variant, parent.sequence);
+    const { sequence, parentPositions } = applyVariant(parent.sequence, edits);
+    if(sequence !== variant.sequence) throw new ConflictError("[Variant Error] The variant no longer matches its parent sequence");
+
+    // Structure changes at residues the variant shares with its parent, positions are 1-based
+    const parentStructure = predictSecondaryStructure(parent.sequence);
+    const variantStructure = predictSecondaryStructure(variant.sequence);
+    const structureChanges = [];
+    parentPositions.forEach((parentPosition, i) => {
+        if(parentPosition === null || parentStructure[parentPosition] === variantStructure[i]) return;
+        structureChanges.push({
+            position: i + 1,
+            parentPosition: parentPosition + 1,
+            parentResidue: parent.sequence[parentPosition],
+            residue: variant.sequence[i],
+            before: parentStructure[parentPosition],
+            after: variantStructure[i]
+        });
+    });
+
+    // A hit is kept when the variant has the same motif match at the same residue
+    const variantPositions = new Map();
+    parentPositions.forEach((parentPosition, i) => {
+        if(parentPosition !== null) variantPositions.set(parentPosition, i);
+    });
+    const parentHits = await getProteinMotifHits(store, parent.protein_id);
+    const variantHits = await getProteinMotifHits(store, variant.protein_id);
+    const hitKey = (hit, start) => `${hit.motif_definition_id}:${start}:${hit.match}`;
+    const parentKeys = new Set(parentHits.map(hit => hitKey(hit, variantPositions.get(hit.start))));
+    const variantKeys = new Set(variantHits.map(hit => hitKey(hit, hit.start)));
+
+    return {
+        proteinId: variant.protein_id,
+        parentProteinId: parent.protein_id,
+        variant: variant.variant,
+        edits: edits.map(formatEdit),
+        sequenceLength: difference(parent.sequence_length, variant.sequence_length),
+        molecularWeight: difference(parent.molecular_weight, variant.molecular_weight),
+        isoelectricPoint: difference(parent.isoelectric_point, variant.isoelectric_point),
+        structure: {
+            parent: parentStructure,
+            variant: variantStructure,
+            changes: structureChanges
+        },
+        motifs: {
+            gained: variantHits.filter(hit => !parentKeys.has(hitKey(hit, hit.start))).map(formatMotifHit),
+            lost: parentHits.filter(hit => !variantKeys.has(hitKey(hit, variantPositions.get(hit.start)))).map(formatMotifHit)
+        }
+    };
+}
+
+module.exports = {
+    MAX_VARIANT_LENGTH,
+    parseVariant,
+    applyVariant,
+    formatEdit,
+    diffVariant
+};
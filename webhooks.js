@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Protein changes are published under the event matching their audit action
+const AUDIT_ACTION_EVENTS = {
+    create: 'protein.created',
+    update: 'protein.updated',
+    delete: 'protein.deleted',
+    restore: 'protein.restored',
+    purge: 'protein.purged',
+    refragment: 'protein.refragmented',
+    reannotate: 'motifs.annotated'
+};
+
+const WEBHOOK_EVENTS = Object.values(AUDIT_ACTION_EVENTS);
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// A delivery is retried with exponential backoff (30s, 1m, 2m, 4m...) until this many attempts failed
+const MAX_DELIVERY_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 30 * 1000;
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+// Loopback, link-local, private and reserved networks, webhooks cannot reach them unless allowed
+const PRIVATE_NETWORKS = new net.BlockList();
+for(const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 networks
+for(const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with their secret and compare
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function isPrivateAddress(address) {
+    return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails when the host resolves to any private address, given to the HTTP request
+// so the address checked is the one connected to
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if(error) return callback(error);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if(blocked) return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+        if(options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Whether `url` points to a loopback, link-local or private address, hosts that do not resolve are not
+async function isPrivateTarget(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if(net.isIP(hostname)) return isPrivateAddress(hostname);
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        return addresses.some(({ address }) => isPrivateAddress(address));
+    } catch (error) {
+        return false;
+    }
+}
+
+// POST `body` and resolve with the response status, redirects are not followed
+function post(url, headers, body, { allowPrivateTargets }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+        // IP literals are connected to without a lookup
+        if(!allowPrivateTargets && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            reject(new Error(`${hostname} is a private address`));
+            return;
+        }
+
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: allowPrivateTargets ? undefined : publicLookup,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Queue a delivery for every active subscription to `event`
+// Called with the transaction of the change so deliveries only exist for committed changes
+// `audience` restricts them to subscribers who can read the protein: `{ ownerId }` for the owner and admins
+async function queueWebhookEvent(store, event, data, audience = null) {
+    await store.webhooks.queueDeliveries(event, data, audience);
+}
+
+// POST one delivery to its webhook and record the outcome, failed deliveries are rescheduled
+async function attemptDelivery(store, webhook, delivery, { retry = true, allowPrivateTargets = false } = {}) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+        deliveryId: delivery.delivery_id,
+        event: delivery.event,
+        createdAt: delivery.created_at,
+        data: delivery.payload
+    });
+
+    let responseStatus = null;
+    let error = null;
+    try {
+        responseStatus = await post(webhook.url, {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.delivery_id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        }, body, { allowPrivateTargets });
+        if(responseStatus < 200 || responseStatus >= 300) error = `Receiver responded with ${responseStatus}`;
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    let nextAttemptAt = null;
+    if(error) {
+        status = retry && attempts < MAX_DELIVERY_ATTEMPTS ? 'pending' : 'failed';
+        if(status === 'pending') nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (attempts - 1)).toISOString();
+    }
+
+    return store.webhooks.recordAttempt(delivery.delivery_id, { status, attempts, responseStatus, error, nextAttemptAt });
+}
+
+// Claim due deliveries by pushing their next attempt past the delivery timeout,
+// a server that stops mid-delivery leaves them to be retried once that lease runs out
+async function claimDueDeliveries(store, limit = 10) {
+    const now = new Date();
+    return store.webhooks.claimDueDeliveries(now.toISOString(), new Date(now.getTime() + 2 * DELIVERY_TIMEOUT).toISOString(), limit);
+}
+
+// Poll for due deliveries and send them, returns a function that stops the worker
+function startWebhookWorker(store, { pollInterval = 1000, allowPrivateTargets = false } = {}) {
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+        try {
+            let deliveries;
+            while(!stopped && (deliveries = await claimDueDeliveries(store)).length > 0) {
+                for(const delivery of deliveries) {
+                    // The webhook may have been disabled, or deleted with its deliveries, since the claim
+                    const webhook = await store.webhooks.get(delivery.webhook_id);
+                    if(!webhook || !webhook.active) {
+                        await store.webhooks.failDelivery(delivery.delivery_id, webhook ? 'Webhook is disabled' : 'Webhook was deleted');
+                        continue;
+                    }
+                    await attemptDelivery(store, webhook, delivery, { allowPrivateTargets });
+                }
+            }
+        } catch (error) {
+            console.error('Webhook worker failed:', error);
+        }
+
+        if(!stopped) {
+            timer = setTimeout(poll, pollInterval);
+            timer.unref();
+        }
+    };
+    poll();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+// Send a `webhook.test` event right away, a single attempt that is logged like any delivery
+async function testWebhook(store, webhook, userId, { allowPrivateTargets = false } = {}) {
+    const delivery = await store.webhooks.insertDelivery({
+        webhookId: webhook.webhook_id,
+        event: 'webhook.test',
+        payload: { webhookId: webhook.webhook_id, userId },
+        nextAttemptAt: null
+    });
+    return attemptDelivery(store, webhook, delivery, { retry: false, allowPrivateTargets });
+}
+
+// The secret is only returned when the webhook is created
+function formatWebhook(row) {
+    return {
+        webhookId: row.webhook_id,
+        userId: row.user_id,
+        url: row.url,
+        events: row.events,
+        description: row.description,
+        active: row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Only admins see how the receiver answered, the owner learns whether it failed
+function formatDelivery(row, { detailed = false } = {}) {
+    return {
+        deliveryId: row.delivery_id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: detailed ? row.response_status : null,
+        error: detailed || row.error === null ? row.error : 'Delivery failed',
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+module.exports = {
+    AUDIT_ACTION_EVENTS,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    MAX_DELIVERY_ATTEMPTS,
+    generateWebhookSecret,
+    signPayload,
+    isPrivateTarget,
+    queueWebhookEvent,
+    attemptDelivery,
+    startWebhookWorker,
+    testWebhook,
+    formatWebhook,
+    formatDelivery
+};